@@ -1,4 +1,29 @@
-const StockSyncService = require('./src/syncService');
+const path = require('path');
+const CommandLine = require('./src/commandLine');
+const commandLine = new CommandLine(process.argv.slice(2));
+
+// Load and validate the configuration before anything else reads it
+const ConfigLoader = require('./src/configLoader');
+let configLoader;
+try {
+    configLoader = ConfigLoader.getShared();
+} catch (error) {
+    // "config validate" reports an invalid file as its result
+    if (commandLine.is('config', 'validate') && commandLine.has('json')) {
+        const result = {
+            valid: false,
+            file: path.resolve(commandLine.get('config') || path.join(__dirname, 'config.json')),
+            errors: error.errors || [error.message]
+        };
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n', () => process.exit(1));
+        return;
+    }
+
+    console.error(error.message);
+    process.exit(1);
+}
+
+const Cli = require('./src/cli');
 const logger = require('./src/logger');
 
 // Global error handlers
@@ -12,112 +37,10 @@ process.on('unhandledRejection', (reason, promise) => {
     process.exit(1);
 });
 
-// Initialize the sync service
-const syncService = new StockSyncService();
+const cli = new Cli(commandLine, configLoader);
 
-// Graceful shutdown handler
-const gracefulShutdown = (signal) => {
-    logger.info(`Received ${signal}. Starting graceful shutdown...`);
-    
-    syncService.stop();
-    
-    setTimeout(() => {
-        logger.info('Graceful shutdown completed');
-        process.exit(0);
-    }, 2000);
-};
-
-// Handle shutdown signals
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-
-// Main function
-async function main() {
-    try {
-        logger.info('=== IPOS to WooCommerce Stock Sync Service ===');
-        logger.info('Version: 1.0.0');
-        logger.info('Starting application...');
-        
-        // Start the sync service
-        await syncService.start();
-        
-        // Keep the process running
-        logger.info('Service is running. Press Ctrl+C to stop.');
-        
-        // If running manually (not as service), show stats periodically
-        if (!process.env.NODE_ENV || process.env.NODE_ENV !== 'production') {
-            setInterval(() => {
-                const stats = syncService.getStats();
-                logger.info('Service Status:', {
-                    isRunning: stats.isRunning,
-                    totalSyncs: stats.totalSyncs,
-                    totalProducts: stats.totalProducts,
-                    totalUpdates: stats.totalUpdates,
-                    totalErrors: stats.totalErrors,
-                    lastSyncTime: stats.lastSyncTime
-                });
-            }, 60000); // Show stats every minute
-        }
-        
-    } catch (error) {
-        logger.error('Failed to start application:', error);
-        process.exit(1);
-    }
+for (const warning of configLoader.warnings) {
+    logger.warn(`Config: ${warning}`);
 }
 
-// Handle command line arguments
-const args = process.argv.slice(2);
-
-if (args.includes('--manual-sync')) {
-    // Run a single manual sync and exit
-    logger.info('Running manual sync...');
-    
-    const manualSync = async () => {
-        try {
-            await syncService.testConnections();
-            await syncService.performSync();
-            logger.info('Manual sync completed successfully');
-            process.exit(0);
-        } catch (error) {
-            logger.error('Manual sync failed:', error);
-            process.exit(1);
-        }
-    };
-    
-    manualSync();
-} else if (args.includes('--test-connections')) {
-    // Test API connections and exit
-    logger.info('Testing API connections...');
-    
-    const testConnections = async () => {
-        try {
-            await syncService.testConnections();
-            logger.info('All connections successful');
-            process.exit(0);
-        } catch (error) {
-            logger.error('Connection test failed:', error);
-            process.exit(1);
-        }
-    };
-    
-    testConnections();
-} else if (args.includes('--help')) {
-    // Show help
-    console.log('IPOS to WooCommerce Stock Sync Service');
-    console.log('');
-    console.log('Usage:');
-    console.log('  node app.js                    Start the service with scheduled sync');
-    console.log('  node app.js --manual-sync      Run a single sync and exit');
-    console.log('  node app.js --test-connections Test API connections and exit');
-    console.log('  node app.js --help             Show this help message');
-    console.log('');
-    console.log('Service Commands:');
-    console.log('  npm run install-service        Install as Windows service');
-    console.log('  npm run uninstall-service      Uninstall Windows service');
-    console.log('  npm start                      Start normally');
-    console.log('  npm test                       Test connections');
-    process.exit(0);
-} else {
-    // Normal startup - run as service
-    main();
-}
+cli.run();
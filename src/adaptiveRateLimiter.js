@@ -0,0 +1,198 @@
+const logger = require('./logger');
+
+// Network errors worth retrying; anything else without a response is a bug or a bad URL
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * Rate limiter and retry policy for one WooCommerce store, attached to its
+ * axios client. Requests are spaced out by an interval that grows when the
+ * server pushes back (429, 5xx, network errors) and shrinks again while it
+ * answers normally. Retry-After and rate-limit headers pause all requests
+ * to the store, not just the one that got the answer.
+ */
+class AdaptiveRateLimiter {
+    /**
+     * @param {Object} options - Rate limit settings (woocommerce.rateLimit)
+     * @param {string} name - Store name used in log messages
+     */
+    constructor(options = {}, name = 'default') {
+        this.name = name;
+        // Fastest pace the limiter speeds back up to when the server is healthy
+        this.minIntervalMs = options.minIntervalMs !== undefined ? options.minIntervalMs : 200;
+        // Slowest pace after repeated push-back
+        this.maxIntervalMs = options.maxIntervalMs || 10000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 60000;
+
+        this.intervalMs = this.minIntervalMs;
+        this.nextSlotAt = 0;
+        // Set from Retry-After or an exhausted rate-limit budget
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Route every request of an axios client through the limiter and retry
+     * failed requests that are worth retrying
+     * @param {Object} client - Axios instance
+     */
+    attach(client) {
+        client.interceptors.request.use(async requestConfig => {
+            await this.acquire();
+            return requestConfig;
+        });
+
+        client.interceptors.response.use(
+            response => {
+                this.onSuccess(response);
+                return response;
+            },
+            error => this.onError(client, error)
+        );
+    }
+
+    /**
+     * Wait for the next request slot
+     * @returns {Promise<void>} Resolves when the request may start
+     */
+    async acquire() {
+        const now = Date.now();
+        const slotAt = Math.max(now, this.nextSlotAt, this.pausedUntil);
+        this.nextSlotAt = slotAt + this.intervalMs;
+
+        if (slotAt > now) {
+            await this.delay(slotAt - now);
+        }
+    }
+
+    /**
+     * Speed up after a healthy response, unless the rate-limit budget is used up
+     * @param {Object} response - Axios response
+     */
+    onSuccess(response) {
+        this.intervalMs = Math.max(this.minIntervalMs, Math.floor(this.intervalMs * 0.8));
+
+        const headers = response.headers || {};
+        const remaining = this.readHeader(headers, ['x-ratelimit-remaining', 'ratelimit-remaining']);
+
+        if (remaining !== null && parseInt(remaining, 10) <= 0) {
+            const resetMs = this.parseReset(this.readHeader(headers, ['x-ratelimit-reset', 'ratelimit-reset']));
+            if (resetMs !== null) {
+                logger.warn(`WooCommerce store ${this.name}: rate limit budget used up, pausing ${(resetMs / 1000).toFixed(1)}s`);
+                this.pauseFor(resetMs);
+            }
+        }
+    }
+
+    /**
+     * Slow down and retry a failed request when the failure is temporary
+     * @param {Object} client - Axios instance the request was sent with
+     * @param {Error} error - Axios error
+     * @returns {Promise<Object>} Response of a successful retry; rejects with the error otherwise
+     */
+    async onError(client, error) {
+        const requestConfig = error.config;
+
+        if (!requestConfig || !this.isRetryable(error)) {
+            throw error;
+        }
+
+        const attempt = (requestConfig.rateLimitRetries || 0) + 1;
+        const description = `${(requestConfig.method || 'get').toUpperCase()} ${requestConfig.url}`;
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+
+        if (attempt > this.maxRetries) {
+            logger.error(`WooCommerce store ${this.name}: ${description} failed with ${reason}, giving up after ${this.maxRetries} retries`);
+            throw error;
+        }
+
+        this.intervalMs = Math.min(this.maxIntervalMs, Math.max(this.intervalMs * 2, this.baseDelayMs));
+
+        const retryAfterMs = error.response ? this.parseReset(this.readHeader(error.response.headers || {}, ['retry-after'])) : null;
+        let waitMs;
+
+        if (retryAfterMs !== null) {
+            // The server said how long to wait, and that holds for every request to it
+            waitMs = Math.min(retryAfterMs, this.maxDelayMs);
+            this.pauseFor(waitMs);
+        } else {
+            // Exponential backoff with full jitter so parallel requests do not retry in lockstep
+            waitMs = Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+        }
+
+        logger.warn(`WooCommerce store ${this.name}: ${description} failed with ${reason}, retry ${attempt}/${this.maxRetries} in ${(waitMs / 1000).toFixed(1)}s`);
+
+        requestConfig.rateLimitRetries = attempt;
+        await this.delay(waitMs);
+        return client.request(requestConfig);
+    }
+
+    /**
+     * Check whether a failed request is worth retrying
+     * @param {Error} error - Axios error
+     * @returns {boolean} True for 429, 5xx and transient network errors
+     */
+    isRetryable(error) {
+        if (error.response) {
+            return error.response.status === 429 || error.response.status >= 500;
+        }
+
+        return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+
+    /**
+     * Hold all requests until the given time from now
+     * @param {number} ms - Pause length in milliseconds
+     */
+    pauseFor(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Read the first header present out of a list of names
+     * @param {Object} headers - Response headers (lower-case names)
+     * @param {Array<string>} names - Header names to try
+     * @returns {string|null} Header value or null
+     */
+    readHeader(headers, names) {
+        for (const name of names) {
+            const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+            if (value !== undefined && value !== null && value !== '') {
+                return String(value);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse a Retry-After or rate-limit reset value
+     * @param {string|null} value - Seconds to wait, a Unix timestamp in seconds or an HTTP date
+     * @returns {number|null} Milliseconds to wait from now, or null when missing or unreadable
+     */
+    parseReset(value) {
+        if (value === null) {
+            return null;
+        }
+
+        if (/^\d+(\.\d+)?$/.test(value.trim())) {
+            const seconds = parseFloat(value);
+            // Large values are absolute Unix timestamps rather than a number of seconds
+            const ms = seconds > 1000000000 ? seconds * 1000 - Date.now() : seconds * 1000;
+            return Math.max(0, ms);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Utility function to add delay
+     * @param {number} ms - Milliseconds to delay
+     * @returns {Promise} Promise that resolves after delay
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = AdaptiveRateLimiter;
@@ -0,0 +1,346 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const SecretProvider = require('./secretProvider');
+const Metrics = require('./metrics');
+const config = require('./config');
+
+// Request bodies larger than this are rejected
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Local HTTP admin API for status, health checks and manual syncs
+ */
+class AdminServer {
+    /**
+     * @param {StockSyncService} syncService - The running sync service
+     */
+    constructor(syncService) {
+        const adminApi = config.adminApi || {};
+
+        this.syncService = syncService;
+        this.host = adminApi.host || '127.0.0.1';
+        this.port = adminApi.port || 8787;
+        this.token = SecretProvider.getShared().resolve(adminApi.token, 'adminApi.token') || '';
+        // A sync is considered stale after three missed intervals by default
+        this.staleAfterMinutes = adminApi.staleAfterMinutes || config.sync.intervalMinutes * 3;
+        this.server = null;
+        this.startedAt = new Date();
+
+        this.dashboardEnabled = adminApi.dashboard !== false;
+        this.dashboardFile = path.join(__dirname, '..', 'public', 'dashboard.html');
+
+        this.routes = [
+            { method: 'GET', pattern: /^\/$/, handler: this.handleDashboard, public: true },
+            { method: 'GET', pattern: /^\/health$/, handler: this.handleHealth, public: true },
+            // Prometheus can send the token, see the README; metricsPublic is for scrapers that cannot
+            { method: 'GET', pattern: /^\/metrics$/, handler: this.handleMetrics, public: adminApi.metricsPublic === true },
+            { method: 'GET', pattern: /^\/stats$/, handler: this.handleStats },
+            { method: 'GET', pattern: /^\/runs$/, handler: this.handleRuns },
+            { method: 'GET', pattern: /^\/sku\/([^/]+)$/, handler: this.handleCompareSku },
+            { method: 'POST', pattern: /^\/sync$/, handler: this.handleSync },
+            { method: 'POST', pattern: /^\/sync\/sku\/([^/]+)$/, handler: this.handleSyncSku },
+            { method: 'POST', pattern: /^\/sync\/targeted$/, handler: this.handleSyncTargeted }
+        ];
+    }
+
+    /**
+     * Start listening for requests
+     * @returns {Promise<void>} Resolves once the server is listening
+     */
+    start() {
+        if (!this.token) {
+            logger.error('Admin API is enabled but adminApi.token is not set, refusing to start it');
+            return Promise.resolve();
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                logger.error('Admin API request failed:', error);
+                this.sendJson(res, 500, { error: 'Internal server error' });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                logger.info(`Admin API listening on http://${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the server
+     */
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+            logger.info('Admin API stopped');
+        }
+    }
+
+    /**
+     * Route an incoming request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const pathname = url.pathname;
+        req.query = url.searchParams;
+
+        for (const route of this.routes) {
+            const match = pathname.match(route.pattern);
+            if (!match || route.method !== req.method) {
+                continue;
+            }
+
+            if (!route.public && !this.isAuthorized(req)) {
+                logger.warn(`Unauthorized admin API request: ${req.method} ${pathname}`);
+                return this.sendJson(res, 401, { error: 'Unauthorized' });
+            }
+
+            let params;
+            try {
+                params = match.slice(1).map(decodeURIComponent);
+            } catch (error) {
+                return this.sendJson(res, 400, { error: `Malformed URL: ${error.message}` });
+            }
+            return route.handler.call(this, req, res, ...params);
+        }
+
+        this.sendJson(res, 404, { error: 'Not found' });
+    }
+
+    /**
+     * Check the request token, sent as a bearer token or X-Admin-Token header
+     * @param {http.IncomingMessage} req - Request
+     * @returns {boolean} True if the token matches
+     */
+    isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-admin-token'];
+
+        if (typeof token !== 'string') {
+            return false;
+        }
+
+        // Digests have the same length whatever was sent, timingSafeEqual throws on buffers of different lengths
+        const digest = value => crypto.createHash('sha256').update(value, 'utf8').digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.token));
+    }
+
+    /**
+     * GET / - browser dashboard. The page itself holds no data; it asks for
+     * the admin token and calls the authenticated endpoints.
+     */
+    handleDashboard(req, res) {
+        if (!this.dashboardEnabled) {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        fs.createReadStream(this.dashboardFile).pipe(res);
+    }
+
+    /**
+     * GET /health - liveness plus freshness of the last successful sync
+     */
+    handleHealth(req, res) {
+        const stats = this.syncService.getStats();
+        const lastSyncTime = stats.lastSyncTime ? new Date(stats.lastSyncTime) : null;
+        const lastSyncAgeSeconds = lastSyncTime ? Math.round((Date.now() - lastSyncTime.getTime()) / 1000) : null;
+        const stale = lastSyncAgeSeconds === null || lastSyncAgeSeconds > this.staleAfterMinutes * 60;
+
+        this.sendJson(res, stale ? 503 : 200, {
+            status: stale ? 'stale' : 'ok',
+            uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+            isRunning: stats.isRunning,
+            lastSyncTime: stats.lastSyncTime,
+            lastSyncAgeSeconds: lastSyncAgeSeconds,
+            staleAfterMinutes: this.staleAfterMinutes
+        });
+    }
+
+    /**
+     * GET /metrics - Prometheus metrics in the text exposition format
+     */
+    handleMetrics(req, res) {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(Metrics.getShared().render());
+    }
+
+    /**
+     * GET /stats - current sync statistics
+     */
+    handleStats(req, res) {
+        this.sendJson(res, 200, this.syncService.getStats());
+    }
+
+    /**
+     * GET /runs?limit=N - most recent runs with durations, differences and failures
+     */
+    handleRuns(req, res) {
+        const limit = parseInt(req.query.get('limit'), 10) || 20;
+        const runs = this.syncService.store.getRecentRuns(limit).map(run => ({
+            ...run,
+            durationSeconds: run.finishedAt
+                ? (new Date(run.finishedAt) - new Date(run.startedAt)) / 1000
+                : null
+        }));
+
+        this.sendJson(res, 200, runs);
+    }
+
+    /**
+     * GET /sku/:sku - WooCommerce and IPOS stock side by side
+     */
+    async handleCompareSku(req, res, sku) {
+        this.sendJson(res, 200, await this.syncService.compareSku(sku));
+    }
+
+    /**
+     * POST /sync - start a full sync in the background
+     */
+    handleSync(req, res) {
+        if (this.syncService.isRunning) {
+            return this.sendJson(res, 409, { error: 'Sync already in progress', runId: this.syncService.currentRunId });
+        }
+
+        this.syncService.manualSync().catch(error => {
+            logger.error('Manual sync from admin API failed:', error);
+        });
+
+        // The run lock and run ID are taken before manualSync() first waits, so no run ID means another process is syncing
+        const runId = this.syncService.currentRunId;
+        if (!runId) {
+            return this.sendJson(res, 409, { error: 'Sync already in progress in another process' });
+        }
+
+        this.sendJson(res, 202, { status: 'started', runId: runId });
+    }
+
+    /**
+     * POST /sync/sku/:sku - sync a single product and return the run summary
+     */
+    async handleSyncSku(req, res, sku) {
+        if (this.syncService.isRunning) {
+            return this.sendJson(res, 409, { error: 'Sync already in progress', runId: this.syncService.currentRunId });
+        }
+
+        const summary = await this.syncService.syncSku(sku);
+
+        if (!summary) {
+            return this.sendJson(res, 409, { error: 'Sync already in progress', runId: this.syncService.currentRunId });
+        }
+
+        if (summary.productsChecked === 0 && summary.status === 'success') {
+            return this.sendJson(res, 404, { error: `No syncable WooCommerce product found for SKU ${sku}`, ...summary });
+        }
+
+        this.sendJson(res, summary.status === 'success' ? 200 : 500, summary);
+    }
+
+    /**
+     * POST /sync/targeted - sync the products given by
+     * {skus, barcodes, categories, tags, modifiedSince, store} and return the run summary
+     */
+    async handleSyncTargeted(req, res) {
+        let body;
+        try {
+            body = await this.readBody(req);
+        } catch (error) {
+            return this.sendJson(res, error.statusCode || 400, { error: error.message });
+        }
+
+        const target = body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+        const isList = value => value === undefined || (Array.isArray(value) && value.every(entry => typeof entry === 'string' || typeof entry === 'number'));
+        const toList = value => (value || []).map(entry => String(entry));
+
+        if (!target || !['skus', 'barcodes', 'categories', 'tags'].every(key => isList(target[key]))) {
+            return this.sendJson(res, 400, { error: 'Expected {"skus": [...], "barcodes": [...], "categories": [...], "tags": [...], "modifiedSince": "...", "store": "..."}' });
+        }
+
+        if (target.store !== undefined && !this.syncService.stores.some(store => store.name === target.store)) {
+            return this.sendJson(res, 400, { error: `Unknown store ${target.store}` });
+        }
+
+        if (this.syncService.isRunning) {
+            return this.sendJson(res, 409, { error: 'Sync already in progress', runId: this.syncService.currentRunId });
+        }
+
+        let summary;
+        try {
+            summary = await this.syncService.syncTargeted({
+                skus: toList(target.skus),
+                barcodes: toList(target.barcodes),
+                categories: toList(target.categories),
+                tags: toList(target.tags),
+                modifiedSince: target.modifiedSince || null
+            }, target.store || null);
+        } catch (error) {
+            return this.sendJson(res, 400, { error: error.message });
+        }
+
+        if (!summary) {
+            return this.sendJson(res, 409, { error: 'Sync already in progress', runId: this.syncService.currentRunId });
+        }
+
+        this.sendJson(res, summary.status === 'success' ? 200 : 500, summary);
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<*>} Parsed body
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    const error = new Error('Request body too large');
+                    error.statusCode = 413;
+                    reject(error);
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status code
+     * @param {Object} body - Response body
+     */
+    sendJson(res, status, body) {
+        if (res.headersSent) {
+            return;
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = AdminServer;
@@ -0,0 +1,77 @@
+const config = require('./config');
+
+/**
+ * Safety thresholds that hold back suspicious mass stock changes, e.g. when
+ * IPOS is mid-restore and reports an empty database
+ */
+class AnomalyGuard {
+    /**
+     * @param {Object} options - Thresholds, defaults to config.anomalyGuard
+     */
+    constructor(options = config.anomalyGuard || {}) {
+        this.enabled = options.enabled !== false;
+        // Percentage thresholds are only evaluated for runs checking at least this many products
+        this.minProducts = options.minProducts !== undefined ? options.minProducts : 20;
+        this.maxZeroedPercent = options.maxZeroedPercent !== undefined ? options.maxZeroedPercent : 20;
+        this.maxChangedProducts = options.maxChangedProducts !== undefined ? options.maxChangedProducts : null;
+        this.maxTotalDropPercent = options.maxTotalDropPercent !== undefined ? options.maxTotalDropPercent : 50;
+    }
+
+    /**
+     * Compute change metrics for a run
+     * @param {Array} products - Products checked in the run
+     * @param {Array} allUpdates - Updates computed by processBatch()
+     * @returns {Object} Metrics used by the thresholds
+     */
+    measure(products, allUpdates) {
+        // Price-only updates leave stock untouched
+        const updates = allUpdates.filter(update => update.stockQuantity !== update.currentStock);
+        const totalBefore = products.reduce((sum, product) => sum + Math.max(0, product.stock_quantity || 0), 0);
+        const totalDelta = updates.reduce((sum, update) => sum + (update.stockQuantity - Math.max(0, update.currentStock)), 0);
+        const totalAfter = totalBefore + totalDelta;
+        const zeroed = updates.filter(update => update.currentStock > 0 && update.stockQuantity <= 0).length;
+
+        return {
+            productsChecked: products.length,
+            changedProducts: updates.length,
+            zeroedProducts: zeroed,
+            zeroedPercent: products.length > 0 ? (zeroed / products.length) * 100 : 0,
+            totalStockBefore: totalBefore,
+            totalStockAfter: totalAfter,
+            totalDropPercent: totalBefore > 0 ? Math.max(0, (totalBefore - totalAfter) / totalBefore * 100) : 0
+        };
+    }
+
+    /**
+     * Check a run against the configured thresholds
+     * @param {Array} products - Products checked in the run
+     * @param {Array} updates - Updates computed by processBatch()
+     * @returns {Object} {hold, reasons, metrics}
+     */
+    check(products, updates) {
+        const metrics = this.measure(products, updates);
+        const reasons = [];
+
+        if (!this.enabled) {
+            return { hold: false, reasons, metrics };
+        }
+
+        if (this.maxChangedProducts !== null && metrics.changedProducts > this.maxChangedProducts) {
+            reasons.push(`${metrics.changedProducts} products would change (limit ${this.maxChangedProducts})`);
+        }
+
+        if (metrics.productsChecked >= this.minProducts) {
+            if (this.maxZeroedPercent !== null && metrics.zeroedPercent > this.maxZeroedPercent) {
+                reasons.push(`${metrics.zeroedPercent.toFixed(1)}% of products would drop to zero (limit ${this.maxZeroedPercent}%)`);
+            }
+
+            if (this.maxTotalDropPercent !== null && metrics.totalDropPercent > this.maxTotalDropPercent) {
+                reasons.push(`Total stock would fall by ${metrics.totalDropPercent.toFixed(1)}% (limit ${this.maxTotalDropPercent}%)`);
+            }
+        }
+
+        return { hold: reasons.length > 0, reasons, metrics };
+    }
+}
+
+module.exports = AnomalyGuard;
@@ -0,0 +1,1340 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const StockSyncService = require('./syncService');
+const AdminServer = require('./adminServer');
+const PushReceiver = require('./pushReceiver');
+const ReconciliationReport = require('./reconciliationReport');
+const SecretProvider = require('./secretProvider');
+const logger = require('./logger');
+const config = require('./config');
+
+// Process exit codes, listed in the README for scripts and schedulers
+const EXIT = {
+    OK: 0,
+    // The command failed: an error, a failed run or a failed connection
+    FAILED: 1,
+    // The command finished but something needs a look: a held or partial run,
+    // failed updates, stock differences, mapping conflicts or config warnings
+    ATTENTION: 2,
+    // Unknown command, option or missing argument
+    USAGE: 64,
+    // The running service could not be reached
+    UNAVAILABLE: 69,
+    // A sync or order export is already running, here or in another process; try again later
+    BUSY: 75
+};
+
+// Options every command accepts
+const GLOBAL_OPTIONS = ['config', 'json', 'help'];
+
+const COMMANDS = {
+    start: {
+        usage: 'start [--dry-run]',
+        description: 'Run the service with its schedules (the default without a command)',
+        options: ['dry-run']
+    },
+    sync: {
+        usage: 'sync [--sku SKU]... [--sku-file FILE] [--barcode-file FILE] [--category NAME]... [--tag NAME]... [--modified-since TIME] [--store NAME] [--dry-run]',
+        description: 'Run one sync of every product, or only of the given products, and exit',
+        options: ['sku', 'sku-file', 'barcode-file', 'category', 'tag', 'modified-since', 'store', 'dry-run']
+    },
+    diff: {
+        usage: 'diff [--store NAME] [--all]',
+        description: 'List products whose WooCommerce stock differs from IPOS, without changing anything',
+        options: ['store', 'all']
+    },
+    report: {
+        usage: 'report [--format csv|json|xlsx] [--output FILE] [--store NAME]',
+        description: 'Write a WooCommerce vs IPOS reconciliation report',
+        options: ['format', 'output', 'store']
+    },
+    status: {
+        usage: 'status',
+        description: 'Show the state of the running service through the admin API'
+    },
+    history: {
+        usage: 'history [--limit N] [--sku SKU]',
+        description: 'Show past sync runs, or the stock changes of one SKU',
+        options: ['limit', 'sku']
+    },
+    'test-connections': {
+        usage: 'test-connections',
+        description: 'Test the WooCommerce and IPOS connections'
+    },
+    doctor: {
+        usage: 'doctor',
+        description: 'Check the config, secrets, data folder and connections and compare a few products'
+    },
+    inspect: {
+        usage: 'inspect woocommerce [--store NAME] [--limit N] | inspect ipos <barcode> | inspect sku <SKU>',
+        description: 'Show raw WooCommerce products, a raw IPOS lookup, or one SKU in IPOS and every store',
+        options: ['store', 'limit']
+    },
+    mapping: {
+        usage: 'mapping import <file.csv> [--replace] | mapping export [file.csv]',
+        description: 'Import or export SKU to barcode overrides',
+        options: ['replace']
+    },
+    config: {
+        usage: 'config validate',
+        description: 'Check the config file and show its warnings'
+    },
+    held: {
+        usage: 'held [confirm|discard] [--store NAME]',
+        description: 'Show, apply or discard the runs held by the anomaly guard',
+        options: ['store']
+    },
+    'retry-queue': {
+        usage: 'retry-queue [clear] [--store NAME]',
+        description: 'Show failed updates waiting for retry, or clear the dead letters',
+        options: ['store']
+    },
+    orders: {
+        usage: 'orders [export]',
+        description: 'Show the order export state, or export new WooCommerce orders to IPOS'
+    },
+    notify: {
+        usage: 'notify test',
+        description: 'Send a test message to every notification channel'
+    },
+    secrets: {
+        usage: 'secrets list | secrets set <name> [value] | secrets delete <name> | secrets rotate-key',
+        description: 'Manage the secrets file (a missing value is read from stdin)'
+    },
+    help: {
+        usage: 'help [command]',
+        description: 'Show this help, or the usage of one command'
+    }
+};
+
+/**
+ * The "node app.js <command>" interface. Every command prints text, or one
+ * JSON document with --json, and ends with an exit code from EXIT.
+ */
+class Cli {
+    /**
+     * @param {CommandLine} commandLine - Parsed arguments
+     * @param {ConfigLoader} configLoader - Loader of the config in use
+     */
+    constructor(commandLine, configLoader) {
+        this.commandLine = commandLine;
+        this.configLoader = configLoader;
+        this.json = commandLine.has('json');
+        // Created on first use, the secrets commands must run without it
+        this.syncService = null;
+
+        if (this.json) {
+            this.logToStderr();
+        }
+    }
+
+    /**
+     * Run the command and exit, except for "start" which keeps running
+     */
+    async run() {
+        const command = this.commandLine.command;
+        let result;
+
+        try {
+            this.checkArguments(command);
+            // "node app.js --help" has no command word and shows the general help
+            result = this.commandLine.has('help')
+                ? this.commandHelp(this.commandLine.words.length > 0 ? command : null)
+                : await this[this.getMethodName(command)]();
+        } catch (error) {
+            result = this.describeError(error);
+        }
+
+        if (result) {
+            this.finish(result);
+        }
+    }
+
+    /**
+     * Reject unknown commands and options and options missing their value
+     * @param {string} command - Command name
+     */
+    checkArguments(command) {
+        const definition = COMMANDS[command];
+
+        if (!definition) {
+            throw this.usageError(`Unknown command "${command}", see "node app.js help"`);
+        }
+
+        for (const name of this.commandLine.getOptionNames()) {
+            if (!GLOBAL_OPTIONS.includes(name) && !(definition.options || []).includes(name)) {
+                throw this.usageError(`Unknown option --${name} for "${command}"`, command);
+            }
+
+            if ([].concat(this.commandLine.get(name)).includes(null)) {
+                throw this.usageError(`Option --${name} needs a value`, command);
+            }
+        }
+    }
+
+    /**
+     * Method implementing a command, e.g. "retry-queue" -> commandRetryQueue
+     * @param {string} command - Command name
+     * @returns {string} Method name
+     */
+    getMethodName(command) {
+        return 'command' + command.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    }
+
+    /**
+     * Error for wrong command line use, exits with EXIT.USAGE and shows the usage
+     * @param {string} message - What is wrong
+     * @param {string|null} command - Command whose usage is shown
+     * @returns {Error} Error to throw
+     */
+    usageError(message, command = null) {
+        const error = new Error(message);
+        error.exitCode = EXIT.USAGE;
+        error.usage = command ? `node app.js ${COMMANDS[command].usage}` : null;
+        return error;
+    }
+
+    /**
+     * Error that ends the command with a given exit code
+     * @param {number} exitCode - Exit code from EXIT
+     * @param {string} message - What went wrong
+     * @returns {Error} Error to throw
+     */
+    failure(exitCode, message) {
+        const error = new Error(message);
+        error.exitCode = exitCode;
+        return error;
+    }
+
+    /**
+     * Turn an error thrown by a command into its result
+     * @param {Error} error - Error
+     * @returns {Object} Command result
+     */
+    describeError(error) {
+        if (error.exitCode === undefined) {
+            logger.error(`Command ${this.commandLine.command} failed:`, error);
+        }
+
+        return {
+            code: error.exitCode !== undefined ? error.exitCode : EXIT.FAILED,
+            data: { error: error.message },
+            errorText: error.usage ? `${error.message}\nUsage: ${error.usage}` : error.message
+        };
+    }
+
+    /**
+     * Print the result and exit
+     * @param {Object} result - {code, data, text, errorText}
+     */
+    finish(result) {
+        const stdout = this.json
+            ? JSON.stringify(result.data === undefined ? {} : result.data, null, 2) + '\n'
+            : (result.text || []).map(line => line + '\n').join('');
+
+        if (!this.json && result.errorText) {
+            process.stderr.write(result.errorText + '\n');
+        }
+
+        // Exit once stdout is flushed, a pipe may still be draining
+        process.stdout.write(stdout, () => process.exit(result.code));
+    }
+
+    /**
+     * Send console logs to stderr so stdout only carries the JSON result
+     */
+    logToStderr() {
+        const levels = Object.keys(logger.levels).reduce((all, level) => ({ ...all, [level]: true }), {});
+
+        for (const transport of logger.transports) {
+            if (transport.name === 'console') {
+                transport.stderrLevels = levels;
+            }
+        }
+    }
+
+    /**
+     * The sync service, created on first use
+     * @returns {StockSyncService} Sync service
+     */
+    getSyncService() {
+        if (!this.syncService) {
+            this.syncService = new StockSyncService();
+
+            if (this.commandLine.has('dry-run')) {
+                this.syncService.dryRun = true;
+            }
+            // stdout only carries the JSON result, the CSV report is still written
+            this.syncService.printDiffReports = !this.json;
+        }
+
+        return this.syncService;
+    }
+
+    /**
+     * The store named by --store, or the first store
+     * @returns {Object} Store
+     */
+    getSelectedStore() {
+        const syncService = this.getSyncService();
+        const storeName = this.commandLine.get('store');
+
+        if (storeName && !syncService.stores.some(store => store.name === storeName)) {
+            throw this.usageError(`Unknown store "${storeName}", configured stores: ${syncService.stores.map(store => store.name).join(', ')}`);
+        }
+
+        return storeName ? syncService.getStore(storeName) : syncService.stores[0];
+    }
+
+    /**
+     * Read --limit
+     * @param {number} fallback - Limit when the option is missing
+     * @returns {number} Positive limit
+     */
+    getLimit(fallback) {
+        const value = this.commandLine.get('limit');
+        const limit = value === null ? fallback : Number(value);
+
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw this.usageError(`--limit must be a positive whole number, got "${value}"`, this.commandLine.command);
+        }
+
+        return limit;
+    }
+
+    /**
+     * Warn about credentials that are still written in plaintext in the config file
+     */
+    warnAboutPlaintextSecrets() {
+        const plaintext = this.configLoader.getPlaintextSecrets();
+
+        if (plaintext.length === 0) {
+            return;
+        }
+
+        logger.warn(`${this.configLoader.file} contains plaintext secrets: ${plaintext.map(secret => secret.path).join(', ')}`);
+        logger.warn(`Move them to the secret provider, e.g. "node app.js secrets set ${plaintext[0].secretName}", then remove them from the config file`);
+    }
+
+    /**
+     * start: run the service until it is stopped
+     * @returns {Promise<Object|null>} Result if starting failed, null while running
+     */
+    async commandStart() {
+        const syncService = this.getSyncService();
+        let adminServer = null;
+        let pushReceiver = null;
+
+        const gracefulShutdown = (signal) => {
+            logger.info(`Received ${signal}. Starting graceful shutdown...`);
+
+            syncService.stop();
+            this.configLoader.unwatch();
+
+            if (adminServer) {
+                adminServer.stop();
+            }
+
+            if (pushReceiver) {
+                pushReceiver.stop();
+            }
+
+            setTimeout(() => {
+                logger.info('Graceful shutdown completed');
+                process.exit(EXIT.OK);
+            }, 2000);
+        };
+
+        process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+        process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+        try {
+            logger.info('=== IPOS to WooCommerce Stock Sync Service ===');
+            logger.info('Version: 1.0.0');
+            logger.info('Starting application...');
+            logger.info(`Using configuration ${this.configLoader.file}`);
+            this.warnAboutPlaintextSecrets();
+
+            // Start the admin API first so health checks work during the initial sync
+            if (config.adminApi && config.adminApi.enabled) {
+                adminServer = new AdminServer(syncService);
+                await adminServer.start();
+            }
+
+            if (config.pushApi && config.pushApi.enabled) {
+                pushReceiver = new PushReceiver(syncService);
+                await pushReceiver.start();
+            }
+
+            // Start the sync service
+            await syncService.start();
+
+            // Apply changed intervals, rules and log level without a restart
+            this.configLoader.on('change', changed => {
+                logger.level = config.logging.level;
+                syncService.applyConfig(changed);
+            });
+            this.configLoader.watch();
+
+            // Keep the process running
+            logger.info('Service is running. Press Ctrl+C to stop.');
+
+            // If running manually (not as service), show stats periodically
+            if (!process.env.NODE_ENV || process.env.NODE_ENV !== 'production') {
+                setInterval(() => {
+                    const stats = syncService.getStats();
+                    logger.info('Service Status:', {
+                        isRunning: stats.isRunning,
+                        totalSyncs: stats.totalSyncs,
+                        totalProducts: stats.totalProducts,
+                        totalUpdates: stats.totalUpdates,
+                        totalErrors: stats.totalErrors,
+                        lastSyncTime: stats.lastSyncTime,
+                        nextSyncTime: stats.nextSyncTime
+                    });
+                }, 60000); // Show stats every minute
+            }
+        } catch (error) {
+            logger.error('Failed to start application:', error);
+            return { code: EXIT.FAILED, data: { error: error.message } };
+        }
+
+        return null;
+    }
+
+    /**
+     * sync: run one sync of everything, or a targeted sync of the products
+     * given by SKU, barcode, category, tag or modification time
+     * @returns {Promise<Object>} Result
+     */
+    async commandSync() {
+        const syncService = this.getSyncService();
+        const storeName = this.commandLine.get('store');
+        const target = this.readTarget();
+        const targeted = Object.values(target).some(value => (Array.isArray(value) ? value.length > 0 : value !== null));
+
+        if (storeName) {
+            this.getSelectedStore();
+        }
+
+        if (!targeted && ['sku', 'sku-file', 'barcode-file'].some(name => this.commandLine.has(name))) {
+            throw this.usageError('No SKUs or barcodes given', 'sync');
+        }
+
+        await syncService.testConnections();
+        logger.info(targeted ? 'Running targeted sync...' : 'Running manual sync...');
+
+        const summary = targeted
+            ? await syncService.syncTargeted(target, storeName)
+            : await syncService.performSync(storeName);
+
+        if (!summary) {
+            throw this.failure(EXIT.BUSY, 'A sync is already in progress, try again when it has finished');
+        }
+
+        const text = [`Sync ${summary.runId} ${summary.status}: ${summary.productsChecked} checked, ${summary.updatesApplied} updated, ${summary.updatesFailed} failed`];
+
+        if (summary.dryRunTotals) {
+            const totals = summary.dryRunTotals;
+            text.push(`Dry run: ${totals.changes} changes, ${totals.outOfStock} out of stock, ${totals.backInStock} back in stock, ${totals.priceChanges} price changes`);
+        }
+        for (const [name, result] of Object.entries(summary.stores)) {
+            if (result.status === 'failed') {
+                text.push(`Store ${name} failed`);
+            }
+        }
+        for (const reason of summary.heldReasons || []) {
+            text.push(`Held: ${reason}`);
+        }
+        if (summary.status === 'held') {
+            text.push('Review with "node app.js held", then apply with "node app.js held confirm"');
+        }
+        for (const error of summary.errors) {
+            text.push(`  error: ${error.store ? `[${error.store}] ` : ''}${error.sku ? error.sku + ' - ' : ''}${error.error}`);
+        }
+
+        let code = EXIT.OK;
+        if (summary.status === 'failed') {
+            code = EXIT.FAILED;
+        } else if (['held', 'partial'].includes(summary.status) || summary.updatesFailed > 0) {
+            code = EXIT.ATTENTION;
+        }
+
+        return { code: code, data: summary, text: text };
+    }
+
+    /**
+     * Collect the products to sync from the sync options
+     * @returns {Object} {skus, barcodes, categories, tags, modifiedSince} for StockSyncService.syncTargeted()
+     */
+    readTarget() {
+        let modifiedSince = this.commandLine.get('modified-since');
+
+        if (modifiedSince !== null) {
+            try {
+                modifiedSince = this.getSyncService().parseModifiedSince(modifiedSince);
+            } catch (error) {
+                throw this.usageError(error.message, 'sync');
+            }
+        }
+
+        return {
+            skus: this.readList('sku', 'sku-file'),
+            barcodes: this.readList(null, 'barcode-file'),
+            categories: this.readList('category', null),
+            tags: this.readList('tag', null),
+            modifiedSince: modifiedSince
+        };
+    }
+
+    /**
+     * Collect the values of a list option and a list file. Both accept comma
+     * separated lists; the file has one value per line and "#" comments.
+     * @param {string|null} listOption - Option that may be repeated, e.g. "sku"
+     * @param {string|null} fileOption - Option naming a file, e.g. "sku-file"
+     * @returns {Array<string>} Unique values in the order given
+     */
+    readList(listOption, fileOption) {
+        const entries = listOption ? [...this.commandLine.get(listOption, [])] : [];
+        const file = fileOption ? this.commandLine.get(fileOption) : null;
+
+        if (file) {
+            if (!fs.existsSync(file)) {
+                throw this.usageError(`File ${file} does not exist`, this.commandLine.command);
+            }
+            entries.push(...fs.readFileSync(file, 'utf8').split(/\r?\n/).map(line => line.replace(/#.*$/, '')));
+        }
+
+        const values = entries.flatMap(entry => entry.split(',')).map(value => value.trim()).filter(value => value !== '');
+        return Array.from(new Set(values));
+    }
+
+    /**
+     * diff: compare one store against IPOS without writing anything
+     * @returns {Promise<Object>} Result
+     */
+    async commandDiff() {
+        const syncService = this.getSyncService();
+        const store = this.getSelectedStore();
+        const report = new ReconciliationReport(store.woocommerce, syncService.localApi, {
+            skuMapper: syncService.skuMapper,
+            publishRules: store.publishRules
+        });
+        await report.build();
+
+        const totals = report.getTotals();
+        const rows = this.commandLine.has('all') ? report.rows : report.rows.filter(row => row.matchState !== 'in_sync');
+        const text = [`Store ${store.name}: ${Object.entries(totals).map(([state, count]) => `${state} ${count}`).join(', ')}`];
+
+        if (rows.length > 0) {
+            text.push('');
+            for (const row of rows) {
+                const ipos = row.publishedStock !== null ? `${row.publishedStock}${row.rule ? ` (${row.rule})` : ''}` : '-';
+                text.push(`  ${row.sku || '(no SKU)'}  ${row.name}: WooCommerce ${row.wooStock}, IPOS ${ipos}  ${row.matchState}`);
+            }
+        }
+
+        return {
+            code: totals.differs > 0 ? EXIT.ATTENTION : EXIT.OK,
+            data: { store: store.name, totals: totals, products: rows },
+            text: text
+        };
+    }
+
+    /**
+     * report: write a reconciliation report file
+     * @returns {Promise<Object>} Result
+     */
+    async commandReport() {
+        const format = this.commandLine.get('format', 'csv');
+
+        if (!ReconciliationReport.FORMATS.includes(format)) {
+            throw this.usageError(`Unsupported report format: ${format} (use ${ReconciliationReport.FORMATS.join(', ')})`, 'report');
+        }
+
+        const syncService = this.getSyncService();
+        const store = this.getSelectedStore();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const output = this.commandLine.get('output') || path.join(__dirname, '..', 'reports', `reconciliation-${timestamp}.${format}`);
+        const report = new ReconciliationReport(store.woocommerce, syncService.localApi, {
+            skuMapper: syncService.skuMapper,
+            publishRules: store.publishRules
+        });
+        await report.build();
+        const file = await report.write(format, output);
+        const totals = report.getTotals();
+
+        return {
+            code: EXIT.OK,
+            data: { store: store.name, file: file, totals: totals },
+            text: [
+                `Reconciliation report written to ${file}`,
+                `Totals: ${Object.entries(totals).map(([state, count]) => `${state} ${count}`).join(', ')}`
+            ]
+        };
+    }
+
+    /**
+     * status: ask the running service for its stats
+     * @returns {Promise<Object>} Result
+     */
+    async commandStatus() {
+        const adminApi = config.adminApi || {};
+
+        if (!adminApi.enabled) {
+            throw this.failure(EXIT.UNAVAILABLE, 'The status command talks to the admin API of the running service, enable it with adminApi.enabled');
+        }
+
+        // A service listening on every interface is reached locally
+        const host = !adminApi.host || ['0.0.0.0', '::'].includes(adminApi.host) ? '127.0.0.1' : adminApi.host;
+        const url = `http://${host.includes(':') ? `[${host}]` : host}:${adminApi.port || 8787}/stats`;
+        const token = SecretProvider.getShared().resolve(adminApi.token, 'adminApi.token') || '';
+        let stats;
+
+        try {
+            const response = await axios.get(url, {
+                headers: { Authorization: `Bearer ${token}` },
+                timeout: 5000
+            });
+            stats = response.data;
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+            throw this.failure(EXIT.UNAVAILABLE, `Could not reach the service at ${url}: ${reason}`);
+        }
+
+        const lastRun = stats.lastRun;
+        const text = [
+            `Service at ${url.replace(/\/stats$/, '')}: ${stats.isRunning ? `syncing (run ${stats.currentRunId})` : 'idle'}`,
+            `Last successful sync: ${stats.lastSyncTime || 'never'}`,
+            `Last run: ${lastRun ? `${lastRun.runId} ${lastRun.status}, ${lastRun.updatesApplied || 0} updated, ${lastRun.updatesFailed || 0} failed` : 'none'}`,
+            `Next sync: ${stats.nextSyncTime || 'not scheduled'}`
+        ];
+
+        for (const schedule of stats.schedules || []) {
+            text.push(`  schedule ${schedule.name}: ${schedule.job} ${schedule.schedule}, next ${schedule.nextRun || 'never'}`);
+        }
+        for (const store of stats.stores || []) {
+            text.push(`  store ${store.name}: ${store.lastRun ? store.lastRun.status : 'not synced'}${store.lastSuccessAt ? `, last full sync ${store.lastSuccessAt}` : ''}`);
+        }
+        if (stats.retryQueue) {
+            text.push(`Retry queue: ${stats.retryQueue.queued} queued, ${stats.retryQueue.deadLetters} dead letters`);
+        }
+        for (const heldRun of stats.heldRuns || []) {
+            text.push(`Held: run ${heldRun.runId} for store ${heldRun.store}, ${heldRun.updates} updates (${heldRun.reasons.join('; ')})`);
+        }
+
+        const needsAttention = (stats.heldRuns || []).length > 0 || (lastRun && ['failed', 'partial'].includes(lastRun.status));
+        return { code: needsAttention ? EXIT.ATTENTION : EXIT.OK, data: stats, text: text };
+    }
+
+    /**
+     * history: show past runs, or the stock changes of one SKU
+     * @returns {Object} Result
+     */
+    commandHistory() {
+        const syncService = this.getSyncService();
+        const sku = this.commandLine.get('sku');
+
+        if (sku) {
+            return this.describeSkuHistory(syncService, [].concat(sku)[0]);
+        }
+
+        const runs = syncService.store.getRecentRuns(this.getLimit(20));
+        const text = [];
+
+        if (runs.length === 0) {
+            text.push('No sync runs recorded yet');
+        } else {
+            text.push(`Last ${runs.length} sync runs:`, '');
+            for (const run of runs) {
+                text.push(`  ${run.runId}  ${run.status.padEnd(11)}  started ${run.startedAt}  finished ${run.finishedAt || '-'}`);
+                text.push(`    checked: ${run.productsChecked || 0}, updated: ${run.updatesApplied || 0}, failed: ${run.updatesFailed || 0}`);
+                if (run.stores && Object.keys(run.stores).length > 1) {
+                    for (const [name, result] of Object.entries(run.stores)) {
+                        text.push(`    ${name}: ${result.status}, checked: ${result.productsChecked}, updated: ${result.updatesApplied}, failed: ${result.updatesFailed}`);
+                    }
+                }
+                for (const error of run.errors || []) {
+                    text.push(`    error: ${error.store ? `[${error.store}] ` : ''}${error.sku ? error.sku + ' - ' : ''}${error.error}`);
+                }
+            }
+        }
+
+        return { code: EXIT.OK, data: runs, text: text };
+    }
+
+    /**
+     * Describe the applied stock changes of one SKU
+     * @param {StockSyncService} syncService - Sync service
+     * @param {string} sku - Product SKU
+     * @returns {Object} Result
+     */
+    describeSkuHistory(syncService, sku) {
+        const changes = syncService.store.getSkuHistory(sku);
+        const text = [];
+
+        if (changes.length === 0) {
+            text.push(`No stock changes recorded for SKU ${sku}`);
+        } else {
+            text.push(`Stock changes for SKU ${sku}:`, '');
+            for (const change of changes) {
+                const store = change.store ? `store ${change.store}, ` : '';
+                const price = change.newPrice !== undefined ? `  price ${change.oldPrice || 'none'} -> ${change.newPrice}` : '';
+                const salePrice = change.newSalePrice !== undefined && change.newSalePrice !== change.oldSalePrice
+                    ? `  sale ${change.oldSalePrice || 'none'} -> ${change.newSalePrice || 'none'}`
+                    : '';
+                text.push(`  ${change.appliedAt}  ${change.oldQuantity} -> ${change.newQuantity}${price}${salePrice}  (${store}product ${change.productId}, run ${change.runId})`);
+            }
+        }
+
+        return { code: EXIT.OK, data: changes, text: text };
+    }
+
+    /**
+     * test-connections: check every store and IPOS
+     * @returns {Promise<Object>} Result
+     */
+    async commandTestConnections() {
+        this.warnAboutPlaintextSecrets();
+        logger.info('Testing API connections...');
+
+        const connections = await this.testConnections();
+        const text = [
+            ...Object.entries(connections.woocommerce).map(([name, ok]) => `WooCommerce store ${name}: ${ok ? 'OK' : 'FAILED'}`),
+            `IPOS local API: ${connections.ipos ? 'OK' : 'FAILED'}`
+        ];
+        const storeResults = Object.values(connections.woocommerce);
+
+        let code = EXIT.OK;
+        if (!connections.ipos || !storeResults.some(ok => ok)) {
+            code = EXIT.FAILED;
+        } else if (storeResults.includes(false)) {
+            code = EXIT.ATTENTION;
+        }
+
+        return { code: code, data: connections, text: text };
+    }
+
+    /**
+     * Test the connection of every store and of IPOS
+     * @returns {Promise<Object>} {woocommerce: {store: ok}, ipos: ok}
+     */
+    async testConnections() {
+        const syncService = this.getSyncService();
+        const woocommerce = {};
+
+        for (const store of syncService.stores) {
+            woocommerce[store.name] = await store.woocommerce.testConnection();
+        }
+
+        return { woocommerce: woocommerce, ipos: await syncService.localApi.testConnection() };
+    }
+
+    /**
+     * doctor: check everything the service needs and compare a few products
+     * @returns {Promise<Object>} Result
+     */
+    async commandDoctor() {
+        const checks = [];
+        const check = (name, status, detail) => checks.push({ name: name, status: status, detail: detail });
+
+        check('config', this.configLoader.warnings.length > 0 ? 'warn' : 'ok',
+            this.configLoader.warnings.length > 0
+                ? `${this.configLoader.file}: ${this.configLoader.warnings.join('; ')}`
+                : `${this.configLoader.file} is valid`);
+
+        const plaintext = this.configLoader.getPlaintextSecrets();
+        check('secrets', plaintext.length > 0 ? 'warn' : 'ok',
+            plaintext.length > 0
+                ? `plaintext in the config file: ${plaintext.map(secret => secret.path).join(', ')}, move them with "node app.js secrets set <name>"`
+                : 'no plaintext secrets in the config file');
+
+        let syncService;
+        try {
+            syncService = this.getSyncService();
+        } catch (error) {
+            check('services', 'fail', error.message);
+            return this.describeChecks(checks, []);
+        }
+
+        for (const [name, dir] of [['data folder', syncService.store.dataDir], ['logs folder', path.join(__dirname, '..', 'logs')]]) {
+            try {
+                const probe = path.join(dir, `.doctor-${process.pid}`);
+                fs.writeFileSync(probe, '');
+                fs.unlinkSync(probe);
+                check(name, 'ok', `${dir} is writable`);
+            } catch (error) {
+                check(name, 'fail', `${dir} is not writable: ${error.message}`);
+            }
+        }
+
+        const connections = await this.testConnections();
+        for (const [name, ok] of Object.entries(connections.woocommerce)) {
+            check(`woocommerce ${name}`, ok ? 'ok' : 'fail', ok ? `${syncService.getStore(name).woocommerce.baseUrl} answers` : 'connection failed, see the log above');
+        }
+        check('ipos', connections.ipos ? 'ok' : 'fail', connections.ipos ? `${config.localApi.baseUrl} answers` : 'connection failed, see the log above');
+
+        const localApi = syncService.localApi;
+        if (!localApi.listEndpoint) {
+            check('ipos list endpoint', 'warn', 'localApi.listEndpoint is not set, every product is looked up on its own');
+        } else if (connections.ipos) {
+            try {
+                const response = await localApi.client.get(localApi.listEndpoint, {
+                    params: { [localApi.listPageParam]: 1, [localApi.listPageSizeParam]: 1 }
+                });
+                const rows = localApi.extractRows(response.data);
+                check('ipos list endpoint', rows.length > 0 ? 'ok' : 'warn',
+                    rows.length > 0 ? `${localApi.listEndpoint} returns stock rows` : `${localApi.listEndpoint} returned no rows`);
+            } catch (error) {
+                check('ipos list endpoint', 'fail', `${localApi.listEndpoint}: ${error.message}`);
+            }
+        }
+
+        try {
+            for (const schedule of syncService.buildSchedules()) {
+                const nextRun = schedule.nextRun();
+                check(`schedule ${schedule.name}`, nextRun ? 'ok' : 'warn',
+                    `${schedule.job} sync ${schedule.describe()}, next run ${nextRun ? nextRun.toISOString() : 'never'}`);
+            }
+        } catch (error) {
+            check('schedules', 'fail', error.message);
+        }
+
+        const notifier = syncService.notifier;
+        if (notifier.enabled) {
+            const configured = (config.notifications.channels || []).length;
+            const usable = notifier.channels.map(channel => channel.name);
+            check('notifications', usable.length > 0 && usable.length === configured ? 'ok' : 'warn',
+                usable.length === configured
+                    ? `${usable.length > 0 ? usable.join(', ') : 'no channels configured'}, send a test with "node app.js notify test"`
+                    : `${usable.length} of ${configured} channels usable, see the log above`);
+        }
+
+        const samples = await this.compareSampleProducts(syncService, connections);
+        return this.describeChecks(checks, samples);
+    }
+
+    /**
+     * Compare the first few products of the first reachable store with IPOS
+     * @param {StockSyncService} syncService - Sync service
+     * @param {Object} connections - Result of testConnections()
+     * @returns {Promise<Array>} compareSku() results
+     */
+    async compareSampleProducts(syncService, connections) {
+        const store = syncService.stores.find(candidate => connections.woocommerce[candidate.name]);
+
+        if (!store || !connections.ipos) {
+            return [];
+        }
+
+        try {
+            const response = await store.woocommerce.client.get('/products', { params: { per_page: 10 } });
+            // Products without stock management are never synced, comparing them says nothing
+            const skus = response.data.filter(product => store.woocommerce.managesStock(product))
+                .map(product => (product.sku || '').trim()).filter(sku => sku !== '').slice(0, 5);
+            const samples = [];
+
+            for (const sku of skus) {
+                samples.push(await syncService.compareSku(sku));
+            }
+            return samples;
+        } catch (error) {
+            logger.error('Comparing sample products failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Turn doctor checks into a result
+     * @param {Array} checks - {name, status, detail}
+     * @param {Array} samples - Sample product comparisons
+     * @returns {Object} Result
+     */
+    describeChecks(checks, samples) {
+        const marks = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+        const text = checks.map(entry => `${marks[entry.status]} ${entry.name}: ${entry.detail}`);
+
+        if (samples.length > 0) {
+            text.push('', 'Sample products:');
+            for (const sample of samples) {
+                for (const store of sample.stores) {
+                    text.push(`  ${sample.sku} [${store.store}] WooCommerce ${store.wooStock}, IPOS ${store.localStock}${store.inSync ? ' - in sync' : ' - differs'}`);
+                }
+            }
+        }
+
+        // Warnings are advice, only failed checks fail "npm test"
+        const failed = checks.some(entry => entry.status === 'fail');
+        return { code: failed ? EXIT.FAILED : EXIT.OK, data: { checks: checks, samples: samples }, text: text };
+    }
+
+    /**
+     * inspect: show raw API data for troubleshooting
+     * @returns {Promise<Object>} Result
+     */
+    async commandInspect() {
+        const target = this.commandLine.arg(0);
+        const value = this.commandLine.arg(1);
+
+        if (target === 'woocommerce') {
+            return this.inspectWooCommerce();
+        }
+        if (target === 'ipos' && value) {
+            return this.inspectIpos(value);
+        }
+        if (target === 'sku' && value) {
+            return this.inspectSku(value);
+        }
+
+        throw this.usageError(target ? `Cannot inspect "${[target, value].filter(Boolean).join(' ')}"` : 'Nothing to inspect', 'inspect');
+    }
+
+    /**
+     * Show the raw products of a store as the WooCommerce API returns them
+     * @returns {Promise<Object>} Result
+     */
+    async inspectWooCommerce() {
+        const store = this.getSelectedStore();
+        const limit = this.getLimit(5);
+        const url = `${store.woocommerce.baseUrl}/products`;
+        let response;
+
+        try {
+            response = await store.woocommerce.client.get('/products', { params: { per_page: Math.min(limit, 100) } });
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+            throw this.failure(EXIT.FAILED, `GET ${url} failed: ${reason}`);
+        }
+
+        const text = [`GET ${url}: HTTP ${response.status}, ${response.headers['x-wp-total'] || '?'} products in total`, ''];
+        for (const product of response.data) {
+            text.push(`  #${product.id} ${product.type} sku "${product.sku}" ${product.name}`);
+            text.push(`    manage_stock: ${product.manage_stock}, stock_quantity: ${product.stock_quantity}, stock_status: ${product.stock_status}, regular_price: ${product.regular_price}`);
+        }
+
+        return {
+            code: EXIT.OK,
+            data: { store: store.name, url: url, status: response.status, total: Number(response.headers['x-wp-total']) || null, products: response.data },
+            text: text
+        };
+    }
+
+    /**
+     * Show the raw IPOS answer for a barcode and how it is parsed
+     * @param {string} barcode - IPOS barcode
+     * @returns {Promise<Object>} Result
+     */
+    async inspectIpos(barcode) {
+        const localApi = this.getSyncService().localApi;
+        const url = `${config.localApi.baseUrl}${localApi.searchEndpoint}`;
+        let response;
+
+        try {
+            response = await localApi.client.get(localApi.searchEndpoint, { params: { barcode: barcode } });
+        } catch (error) {
+            if (!error.response) {
+                throw this.failure(EXIT.FAILED, `GET ${url} failed: ${error.message}`);
+            }
+            response = error.response;
+        }
+
+        const parsed = response.status === 200 ? localApi.parseStockData(response.data, barcode) : null;
+
+        return {
+            code: parsed ? EXIT.OK : EXIT.ATTENTION,
+            data: { barcode: barcode, url: url, status: response.status, raw: response.data, parsed: parsed },
+            text: [
+                `GET ${url}?barcode=${encodeURIComponent(barcode)}: HTTP ${response.status}`,
+                JSON.stringify(response.data, null, 2),
+                '',
+                parsed ? `Parsed: ${JSON.stringify(parsed)}` : 'No stock could be parsed from this answer'
+            ]
+        };
+    }
+
+    /**
+     * Show one SKU in IPOS and every store side by side
+     * @param {string} sku - Product SKU
+     * @returns {Promise<Object>} Result
+     */
+    async inspectSku(sku) {
+        const comparison = await this.getSyncService().compareSku(sku);
+        const text = [`SKU ${sku} -> IPOS barcode ${comparison.barcode}: stock ${comparison.rawStock !== null ? comparison.rawStock : 'not found'}, price ${comparison.iposPrice !== null ? comparison.iposPrice : '-'}`];
+
+        for (const store of comparison.stores) {
+            text.push(store.productId
+                ? `  [${store.store}] #${store.productId} ${store.name}: WooCommerce ${store.wooStock} (${store.wooStockStatus}), published ${store.localStock}${store.rule ? ` (${store.rule})` : ''}, price ${store.wooPrice || '-'} -> ${store.publishedPrice || '-'}  ${store.inSync ? 'in sync' : 'differs'}`
+                : `  [${store.store}] not found or not synced`);
+        }
+
+        const inSync = comparison.stores.every(store => store.inSync);
+        return { code: inSync ? EXIT.OK : EXIT.ATTENTION, data: comparison, text: text };
+    }
+
+    /**
+     * mapping: import or export the SKU mapping overrides
+     * @returns {Object} Result
+     */
+    commandMapping() {
+        const action = this.commandLine.arg(0);
+        const file = this.commandLine.arg(1);
+        const skuMapper = this.getSyncService().skuMapper;
+
+        if (action === 'import' && file) {
+            const result = skuMapper.importCsv(file, { replace: this.commandLine.has('replace') });
+            const text = [`Imported ${result.imported} SKU mappings into ${skuMapper.overridesFile}`];
+            for (const conflict of result.conflicts) {
+                text.push(`  Skipped ${conflict.sku}: listed with different barcodes ${conflict.barcodes.join(', ')}`);
+            }
+            return { code: result.conflicts.length > 0 ? EXIT.ATTENTION : EXIT.OK, data: result, text: text };
+        }
+
+        if (action === 'export') {
+            const csv = skuMapper.exportCsv();
+
+            if (!file) {
+                // Without a file the CSV itself is the output
+                return { code: EXIT.OK, data: { csv: csv }, text: [csv.replace(/\n$/, '')] };
+            }
+
+            fs.writeFileSync(file, csv, 'utf8');
+            return {
+                code: EXIT.OK,
+                data: { file: file, exported: skuMapper.overrides.size },
+                text: [`Exported ${skuMapper.overrides.size} SKU mappings to ${file}`]
+            };
+        }
+
+        throw this.usageError(action === 'import' ? 'No CSV file given' : 'Use "mapping import" or "mapping export"', 'mapping');
+    }
+
+    /**
+     * config validate: the config was loaded before the command ran, so it is
+     * valid; app.js reports invalid files
+     * @returns {Object} Result
+     */
+    commandConfig() {
+        if (this.commandLine.arg(0) !== 'validate') {
+            throw this.usageError('Use "config validate"', 'config');
+        }
+
+        const warnings = this.configLoader.warnings;
+        const plaintext = this.configLoader.getPlaintextSecrets().map(secret => secret.path);
+        const text = [`${this.configLoader.file} is valid`];
+
+        for (const warning of warnings) {
+            text.push(`  warning: ${warning}`);
+        }
+        if (plaintext.length > 0) {
+            text.push(`  plaintext secrets: ${plaintext.join(', ')}`);
+        }
+
+        return {
+            code: warnings.length > 0 ? EXIT.ATTENTION : EXIT.OK,
+            data: { valid: true, file: this.configLoader.file, errors: [], warnings: warnings, plaintextSecrets: plaintext },
+            text: text
+        };
+    }
+
+    /**
+     * held: show, confirm or discard the runs held by the anomaly guard
+     * @returns {Promise<Object>} Result
+     */
+    async commandHeld() {
+        const action = this.commandLine.arg(0);
+        const syncService = this.getSyncService();
+        const storeName = this.commandLine.get('store');
+        const heldRuns = syncService.store.getHeldRuns().filter(heldRun => !storeName || heldRun.store === storeName);
+
+        if (action === 'confirm') {
+            const summary = await syncService.confirmHeldRun(storeName);
+
+            if (!summary && heldRuns.length > 0) {
+                throw this.failure(EXIT.BUSY, 'A sync is in progress, confirm the held run when it has finished');
+            }
+            if (!summary) {
+                return { code: EXIT.OK, data: null, text: ['No run is currently held'] };
+            }
+
+            return {
+                code: summary.status === 'success' && summary.updatesFailed === 0 ? EXIT.OK : EXIT.FAILED,
+                data: summary,
+                text: [`Applied held runs ${summary.heldRunIds.join(', ')}: ${summary.updatesApplied} updated, ${summary.updatesFailed} failed`]
+            };
+        }
+
+        if (action === 'discard') {
+            syncService.store.clearHeldRun(storeName);
+            return {
+                code: EXIT.OK,
+                data: { discarded: heldRuns.map(heldRun => ({ runId: heldRun.runId, store: heldRun.store })) },
+                text: [heldRuns.length > 0
+                    ? `Discarded held runs: ${heldRuns.map(heldRun => `${heldRun.runId} (${heldRun.store})`).join(', ')}`
+                    : 'No run is currently held']
+            };
+        }
+
+        if (action) {
+            throw this.usageError(`Unknown held action "${action}"`, 'held');
+        }
+
+        if (heldRuns.length === 0) {
+            return { code: EXIT.OK, data: [], text: ['No run is currently held'] };
+        }
+
+        const text = [];
+        for (const heldRun of heldRuns) {
+            text.push(`Run ${heldRun.runId} held at ${heldRun.heldAt} for store ${heldRun.store}`);
+            for (const reason of heldRun.reasons) {
+                text.push(`  - ${reason}`);
+            }
+            text.push('', `${heldRun.updates.length} held updates:`);
+            for (const update of heldRun.updates) {
+                text.push(`  ${update.sku}  ${update.productName}: ${update.currentStock} -> ${update.stockQuantity}`);
+            }
+            text.push('');
+        }
+        text.push('Apply with: node app.js held confirm [--store NAME]');
+        text.push('Discard with: node app.js held discard [--store NAME]');
+
+        return { code: EXIT.ATTENTION, data: heldRuns, text: text };
+    }
+
+    /**
+     * retry-queue: show the queued and dead-lettered updates, or clear the dead letters
+     * @returns {Object} Result
+     */
+    commandRetryQueue() {
+        const action = this.commandLine.arg(0);
+        const syncService = this.getSyncService();
+        const storeName = this.commandLine.get('store');
+
+        if (action === 'clear') {
+            const count = syncService.store.clearDeadLetters(storeName);
+            return {
+                code: EXIT.OK,
+                data: { cleared: count },
+                text: [`Cleared ${count} dead-lettered updates${storeName ? ` of store ${storeName}` : ''}`]
+            };
+        }
+
+        if (action) {
+            throw this.usageError(`Unknown retry-queue action "${action}"`, 'retry-queue');
+        }
+
+        const stores = syncService.stores.filter(store => !storeName || store.name === storeName);
+        const queued = stores.flatMap(store => syncService.store.getRetryQueue(store.name).map(entry => ({ store: store.name, ...entry })));
+        const deadLetters = syncService.store.getDeadLetters(storeName);
+        const describe = entry => `${entry.sku}  ${entry.productName || ''}  stock ${entry.stockQuantity}${entry.price ? `, price ${entry.price.regular}` : ''}`;
+        const text = [`${queued.length} updates waiting for retry:`];
+
+        for (const entry of queued) {
+            text.push(`  [${entry.store}] ${describe(entry)}  attempts: ${entry.attempts}, last error: ${entry.lastError}`);
+        }
+        text.push('', `${deadLetters.length} dead-lettered updates (gave up after ${syncService.retryMaxAttempts} attempts):`);
+        for (const entry of deadLetters) {
+            text.push(`  [${entry.store}] ${describe(entry)}  failing since ${entry.firstFailedAt}, last error: ${entry.lastError}`);
+        }
+        if (deadLetters.length > 0) {
+            text.push('', 'Fix the products in WooCommerce, then clear the list with: node app.js retry-queue clear [--store NAME]');
+        }
+
+        return {
+            code: deadLetters.length > 0 ? EXIT.ATTENTION : EXIT.OK,
+            data: { queued: queued, deadLetters: deadLetters },
+            text: text
+        };
+    }
+
+    /**
+     * orders: show the order export state, or export new orders once
+     * @returns {Promise<Object>} Result
+     */
+    async commandOrders() {
+        const action = this.commandLine.arg(0);
+        const syncService = this.getSyncService();
+        const orderExporter = syncService.orderExporter;
+
+        if (action === 'export') {
+            const summary = await syncService.exportOrders();
+            if (!summary) {
+                throw this.failure(EXIT.BUSY, 'A sync or order export is already in progress, try again when it has finished');
+            }
+
+            const failedStores = Object.entries(summary.stores).filter(([, result]) => result.status === 'failed');
+            const text = [`Order export: ${summary.exported} exported, ${summary.failed} failed, ${summary.skipped} skipped`];
+
+            for (const [name, result] of failedStores) {
+                text.push(`  store ${name} failed: ${result.error}`);
+            }
+
+            return { code: summary.failed === 0 && failedStores.length === 0 ? EXIT.OK : EXIT.FAILED, data: summary, text: text };
+        }
+
+        if (action) {
+            throw this.usageError(`Unknown orders action "${action}"`, 'orders');
+        }
+
+        const status = orderExporter.getStatus();
+        const text = [`Order export is ${status.enabled ? 'enabled' : 'disabled'}, ${status.exported} orders exported${status.archived > 0 ? ` (and ${status.archived} older ones archived)` : ''}`];
+
+        for (const [name, checkpoint] of Object.entries(status.checkpoints)) {
+            text.push(`  store ${name}: orders checked up to ${checkpoint}`);
+        }
+        if (status.lastRun) {
+            text.push(`Last run finished ${status.lastRun.finishedAt}: ${status.lastRun.exported} exported, ${status.lastRun.failed} failed, ${status.lastRun.skipped} skipped`);
+        }
+        if (status.failed.length > 0) {
+            text.push('', `${status.failed.length} failed exports:`);
+            for (const failed of status.failed) {
+                text.push(`  ${failed.reference}  attempts: ${failed.attempts}${failed.retrying ? '' : ' (given up)'}  ${failed.lastError}`);
+            }
+        }
+
+        return { code: status.failed.length > 0 ? EXIT.ATTENTION : EXIT.OK, data: status, text: text };
+    }
+
+    /**
+     * notify test: send a test message to every notification channel
+     * @returns {Promise<Object>} Result
+     */
+    async commandNotify() {
+        if (this.commandLine.arg(0) !== 'test') {
+            throw this.usageError('Use "notify test"', 'notify');
+        }
+
+        const notifier = this.getSyncService().notifier;
+        if (!notifier.enabled) {
+            throw this.failure(EXIT.FAILED, 'Notifications are disabled, set notifications.enabled in the config');
+        }
+        if (notifier.channels.length === 0) {
+            throw this.failure(EXIT.FAILED, 'No usable notification channel, see the log above');
+        }
+
+        const results = await notifier.sendTest();
+        const failed = Object.values(results).filter(error => error !== null).length;
+        const text = Object.entries(results).map(([name, error]) => `Channel ${name}: ${error === null ? 'sent' : `FAILED (${error})`}`);
+
+        let code = EXIT.OK;
+        if (failed === notifier.channels.length) {
+            code = EXIT.FAILED;
+        } else if (failed > 0) {
+            code = EXIT.ATTENTION;
+        }
+
+        return { code: code, data: { channels: results }, text: text };
+    }
+
+    /**
+     * secrets: manage the secrets file. Runs without the sync service, which
+     * needs the secrets to start.
+     * @returns {Object} Result
+     */
+    commandSecrets() {
+        const action = this.commandLine.arg(0);
+        const name = this.commandLine.arg(1);
+        const secrets = SecretProvider.getShared();
+
+        if (action === 'set' && name) {
+            let value = this.commandLine.arg(2);
+
+            // Reading the value from stdin keeps it out of the shell history
+            if (!value) {
+                if (process.stdin.isTTY) {
+                    process.stderr.write(`Enter the value for ${name}, then press Enter and Ctrl+Z (Windows) or Ctrl+D:\n`);
+                }
+                value = fs.readFileSync(0, 'utf8').trim();
+            }
+
+            if (!value) {
+                throw this.failure(EXIT.FAILED, 'No value given, nothing stored');
+            }
+
+            secrets.set(name, value);
+            return { code: EXIT.OK, data: { stored: name, file: secrets.file }, text: [`Stored secret ${name} in ${secrets.file}`] };
+        }
+
+        if (action === 'delete' && name) {
+            const deleted = secrets.delete(name);
+            return {
+                code: deleted ? EXIT.OK : EXIT.ATTENTION,
+                data: { deleted: deleted, name: name },
+                text: [deleted ? `Deleted secret ${name}` : `No secret named ${name}`]
+            };
+        }
+
+        if (action === 'list') {
+            const names = secrets.list();
+            return {
+                code: EXIT.OK,
+                data: { file: secrets.file, secrets: names },
+                text: [names.length > 0 ? `Secrets in ${secrets.file}:` : `No secrets stored in ${secrets.file}`, ...names.map(secret => `  ${secret}`)]
+            };
+        }
+
+        if (action === 'rotate-key') {
+            secrets.rotateKey();
+            const text = [`Re-encrypted ${secrets.file} with a new key`];
+            if (secrets.keySource === 'passphrase') {
+                text.push(`Now set ${secrets.passphraseEnv} to the new passphrase`);
+            }
+            return { code: EXIT.OK, data: { file: secrets.file, keySource: secrets.keySource }, text: text };
+        }
+
+        throw this.usageError(['set', 'delete'].includes(action) ? 'No secret name given' : 'Use "secrets list", "set", "delete" or "rotate-key"', 'secrets');
+    }
+
+    /**
+     * help: show every command, or the usage of one
+     * @param {string|null} command - Command to describe
+     * @returns {Object} Result
+     */
+    commandHelp(command = this.commandLine.arg(0)) {
+        if (command && command !== 'help' && COMMANDS[command]) {
+            const definition = COMMANDS[command];
+            return {
+                code: EXIT.OK,
+                data: { command: command, ...definition },
+                text: [`Usage: node app.js ${definition.usage}`, '', definition.description]
+            };
+        }
+
+        if (command && command !== 'help') {
+            throw this.usageError(`Unknown command "${command}"`);
+        }
+
+        const text = ['IPOS to WooCommerce Stock Sync Service', '', 'Usage: node app.js [command] [options]', '', 'Commands:'];
+        for (const [name, definition] of Object.entries(COMMANDS)) {
+            text.push(`  ${name.padEnd(18)}${definition.description}`);
+        }
+        text.push(
+            '',
+            'Every command accepts:',
+            '  --config <path>   Use another config file',
+            '  --json            Print the result as JSON on stdout, logs go to stderr',
+            '  --help            Show the usage of the command',
+            '',
+            'Exit codes:',
+            '  0   success',
+            '  1   failed (error, failed run or connection)',
+            '  2   finished, but needs attention (held or partial run, failed updates, differences, warnings)',
+            '  64  wrong command or options',
+            '  69  the running service could not be reached',
+            '  75  a sync or order export is already in progress, try again later',
+            '',
+            'Service Commands:',
+            '  npm run install-service        Install as Windows service',
+            '  npm run uninstall-service      Uninstall Windows service',
+            '  npm start                      Start normally',
+            '  npm test                       Run the doctor checks'
+        );
+
+        return { code: EXIT.OK, data: { commands: COMMANDS, exitCodes: EXIT }, text: text };
+    }
+}
+
+Cli.EXIT = EXIT;
+Cli.COMMANDS = COMMANDS;
+
+module.exports = Cli;
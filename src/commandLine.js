@@ -0,0 +1,148 @@
+// Options followed by a value; every other --option is a flag
+const VALUE_OPTIONS = ['config', 'sku', 'sku-file', 'barcode-file', 'category', 'tag', 'modified-since', 'store', 'limit', 'format', 'output'];
+// Options that may be given more than once
+const LIST_OPTIONS = ['sku', 'category', 'tag'];
+
+// Flags of earlier versions, still accepted: old flag -> the words replacing it
+const LEGACY_FLAGS = {
+    '--manual-sync': ['sync'],
+    '--test-connections': ['test-connections'],
+    '--report': ['report'],
+    '--import-mapping': ['mapping', 'import'],
+    '--export-mapping': ['mapping', 'export'],
+    '--held': ['held'],
+    '--confirm-held': ['held', 'confirm'],
+    '--discard-held': ['held', 'discard'],
+    '--retry-queue': ['retry-queue'],
+    '--clear-dead-letters': ['retry-queue', 'clear'],
+    '--history': ['history'],
+    '--sku-history': ['history', '--sku'],
+    '--export-orders': ['orders', 'export'],
+    '--order-exports': ['orders'],
+    '--set-secret': ['secrets', 'set'],
+    '--delete-secret': ['secrets', 'delete'],
+    '--list-secrets': ['secrets', 'list'],
+    '--rotate-secrets-key': ['secrets', 'rotate-key']
+};
+
+/**
+ * Parsed command line: "node app.js <command> [subcommand] [arguments] [--options]".
+ * Options may come anywhere, as "--name value" or "--name=value".
+ */
+class CommandLine {
+    /**
+     * @param {Array<string>} argv - Arguments after the script name
+     */
+    constructor(argv) {
+        this.argv = argv;
+        // Command, subcommand and other positional arguments, in order
+        this.words = [];
+        this.options = {};
+
+        this.parse(this.translateLegacy(argv));
+    }
+
+    /**
+     * Rewrite a flag of an earlier version, e.g. "--manual-sync --dry-run"
+     * becomes "sync --dry-run"
+     * @param {Array<string>} argv - Arguments
+     * @returns {Array<string>} Arguments using commands
+     */
+    translateLegacy(argv) {
+        const index = argv.findIndex(arg => LEGACY_FLAGS[arg]);
+
+        if (index === -1) {
+            return argv;
+        }
+
+        // The old flags take their arguments right after them
+        return [...LEGACY_FLAGS[argv[index]], ...argv.slice(index + 1), ...argv.slice(0, index)];
+    }
+
+    /**
+     * Split arguments into words and options
+     * @param {Array<string>} argv - Arguments
+     */
+    parse(argv) {
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (!arg.startsWith('--') || arg === '--') {
+                this.words.push(arg);
+                continue;
+            }
+
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+            let value = true;
+
+            if (separator !== -1) {
+                value = arg.slice(separator + 1);
+            } else if (VALUE_OPTIONS.includes(name)) {
+                value = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : null;
+            }
+
+            if (LIST_OPTIONS.includes(name)) {
+                this.options[name] = [...(this.options[name] || []), value];
+            } else {
+                this.options[name] = value;
+            }
+        }
+    }
+
+    /**
+     * The command, "start" when none is given
+     * @returns {string} Command name
+     */
+    get command() {
+        return this.words[0] || 'start';
+    }
+
+    /**
+     * Positional argument after the command
+     * @param {number} index - 0 for the subcommand, 1 for the word after it, ...
+     * @returns {string|null} The argument or null
+     */
+    arg(index) {
+        return this.words[index + 1] !== undefined ? this.words[index + 1] : null;
+    }
+
+    /**
+     * Check whether the command line is a command and subcommand
+     * @param {string} command - Command name
+     * @param {string} subcommand - Subcommand name
+     * @returns {boolean} True if both match
+     */
+    is(command, subcommand) {
+        return this.command === command && this.arg(0) === subcommand;
+    }
+
+    /**
+     * Check whether an option was given
+     * @param {string} name - Option name without dashes
+     * @returns {boolean} True if present
+     */
+    has(name) {
+        return this.options[name] !== undefined;
+    }
+
+    /**
+     * Value of an option
+     * @param {string} name - Option name without dashes
+     * @param {*} fallback - Value when the option is missing
+     * @returns {*} Value; true for flags, an array for list options
+     */
+    get(name, fallback = null) {
+        return this.has(name) ? this.options[name] : fallback;
+    }
+
+    /**
+     * Names of the options that were given
+     * @returns {Array<string>} Option names
+     */
+    getOptionNames() {
+        return Object.keys(this.options);
+    }
+}
+
+module.exports = CommandLine;
@@ -0,0 +1,6 @@
+/**
+ * The validated configuration shared by all modules. Settings marked as
+ * reloadable in the schema are updated in place when the file changes, so
+ * read them when they are needed instead of copying them at startup.
+ */
+module.exports = require('./configLoader').getShared().config;
@@ -0,0 +1,762 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const CronExpression = require('./cronExpression');
+const Schedule = require('./schedule');
+const CommandLine = require('./commandLine');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+const STORE_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        url: { type: 'string', required: true, format: 'url' },
+        // Credentials can also come from the secret provider, see SecretProvider
+        consumer_key: { type: 'string', secret: 'consumer_key' },
+        consumer_secret: { type: 'string', secret: 'consumer_secret' },
+        version: { type: 'string', default: 'wc/v3' },
+        timeout: { type: 'integer', min: 1000, default: 30000 },
+        batchSize: { type: 'integer', min: 1, max: 100, default: 100 },
+        filters: {
+            type: 'object',
+            properties: {
+                includeCategories: { type: 'array' },
+                excludeCategories: { type: 'array' },
+                includeTags: { type: 'array' },
+                excludeTags: { type: 'array' }
+            }
+        },
+        publishRules: { type: 'array', reload: true, items: { type: 'object', allowUnknown: true } },
+        priceMultiplier: { type: 'number', min: 0, reload: true },
+        rateLimit: {
+            type: 'object',
+            properties: {
+                minIntervalMs: { type: 'integer', min: 0 },
+                maxIntervalMs: { type: 'integer', min: 0 },
+                maxRetries: { type: 'integer', min: 0 },
+                baseDelayMs: { type: 'integer', min: 0 },
+                maxDelayMs: { type: 'integer', min: 0 }
+            }
+        }
+    }
+};
+
+const BLACKOUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        from: { type: 'string', required: true, format: 'time' },
+        to: { type: 'string', required: true, format: 'time' },
+        days: { type: 'array', items: { type: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } }
+    }
+};
+
+const NOTIFICATION_EVENTS = ['connectionLost', 'connectionRestored', 'runFailed', 'updateFailures', 'outOfStock', 'dailySummary'];
+
+const CHANNEL_SCHEMA = {
+    type: 'object',
+    format: 'channel',
+    properties: {
+        type: { type: 'string', required: true, enum: ['email', 'telegram', 'webhook'] },
+        name: { type: 'string' },
+        // Only send these events; all events when left out
+        events: { type: 'array', items: { type: 'string', enum: NOTIFICATION_EVENTS } },
+        // email
+        host: { type: 'string' },
+        port: { type: 'integer', min: 1, max: 65535 },
+        secure: { type: 'boolean' },
+        user: { type: 'string' },
+        password: { type: 'string', secret: 'password' },
+        from: { type: 'string' },
+        to: { type: ['string', 'array'] },
+        // telegram
+        botToken: { type: 'string', secret: 'botToken' },
+        chatId: { type: ['string', 'integer'] },
+        apiUrl: { type: 'string', format: 'url' },
+        // webhook
+        url: { type: 'string', format: 'url' },
+        token: { type: 'string', secret: 'token' },
+        headers: { type: 'object', allowUnknown: true }
+    }
+};
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        // A single store object or a list of named stores
+        woocommerce: { type: ['object', 'array'], required: true, properties: STORE_SCHEMA.properties, items: STORE_SCHEMA },
+        localApi: {
+            type: 'object',
+            required: true,
+            properties: {
+                baseUrl: { type: 'string', required: true, format: 'url' },
+                searchEndpoint: { type: 'string', default: '/api/products/search' },
+                listEndpoint: { type: 'string', nullable: true, default: '' },
+                listPageSize: { type: 'integer', min: 1, default: 500 },
+                listPageParam: { type: 'string', default: 'page' },
+                listPageSizeParam: { type: 'string', default: 'limit' },
+                barcodeField: { type: 'string', default: 'barcode' },
+                locations: {
+                    type: 'object',
+                    properties: {
+                        field: { type: ['string', 'array'] },
+                        only: { type: 'string', nullable: true },
+                        include: { type: 'array' },
+                        exclude: { type: 'array' },
+                        // Location code -> factor; NaN would end up in the published stock
+                        weights: { type: 'object', allowUnknown: true, values: { type: 'number', min: 0 } }
+                    }
+                },
+                timeout: { type: 'integer', min: 1000, default: 10000 },
+                apiKey: { type: 'string', secret: 'localApi.apiKey' },
+                apiKeyHeader: { type: 'string', default: 'X-API-Key' }
+            }
+        },
+        sync: {
+            type: 'object',
+            default: {},
+            properties: {
+                // Only used when no schedules are configured
+                intervalMinutes: { type: 'integer', min: 1, max: 1440, default: 10, reload: true },
+                timezone: { type: 'string', format: 'timezone', reload: true },
+                blackouts: { type: 'array', reload: true, items: BLACKOUT_SCHEMA },
+                schedules: {
+                    type: 'array',
+                    reload: true,
+                    items: {
+                        type: 'object',
+                        format: 'schedule',
+                        properties: {
+                            name: { type: 'string' },
+                            cron: { type: 'string', format: 'cron' },
+                            every: { type: ['string', 'integer'], format: 'interval' },
+                            job: { type: 'string', enum: Schedule.JOBS, default: 'full' },
+                            timezone: { type: 'string', format: 'timezone' },
+                            blackouts: { type: 'array', items: BLACKOUT_SCHEMA },
+                            enabled: { type: 'boolean', default: true }
+                        }
+                    }
+                },
+                batchSize: { type: 'integer', min: 1, default: 50, reload: true },
+                maxRetries: { type: 'integer', min: 1, default: 3, reload: true },
+                retryDelayMs: { type: 'integer', min: 0, default: 2000, reload: true },
+                batchDelayMs: { type: 'integer', min: 0, default: 1000, reload: true },
+                lookupConcurrency: { type: 'integer', min: 1, default: 4, reload: true },
+                lookupRatePerSecond: { type: 'number', min: 0, nullable: true, default: null, reload: true },
+                retryQueue: {
+                    type: 'object',
+                    reload: true,
+                    properties: {
+                        enabled: { type: 'boolean', default: true },
+                        maxAttempts: { type: 'integer', min: 1, default: 5 }
+                    }
+                },
+                enabled: { type: 'boolean', default: true, reload: true },
+                dryRun: { type: 'boolean', default: false }
+            }
+        },
+        adminApi: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                host: { type: 'string', default: '127.0.0.1' },
+                port: { type: 'integer', min: 1, max: 65535, default: 8787 },
+                token: { type: 'string', secret: 'adminApi.token' },
+                dashboard: { type: 'boolean', default: true },
+                metricsPublic: { type: 'boolean', default: false },
+                staleAfterMinutes: { type: 'integer', min: 1, nullable: true }
+            }
+        },
+        pushApi: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                host: { type: 'string', default: '127.0.0.1' },
+                port: { type: 'integer', min: 1, max: 65535, default: 8788 },
+                secret: { type: 'string', secret: 'pushApi.secret' },
+                debounceMs: { type: 'integer', min: 0 },
+                maxWaitMs: { type: 'integer', min: 0 },
+                busyRetryMs: { type: 'integer', min: 0 },
+                maxBarcodesPerRequest: { type: 'integer', min: 1 }
+            }
+        },
+        orderExport: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                endpoint: { type: 'string' },
+                documentType: { type: 'string' },
+                statuses: { type: 'array' },
+                initialLookbackHours: { type: 'number', min: 0 },
+                maxAttempts: { type: 'integer', min: 1 }
+            }
+        },
+        storage: {
+            type: 'object',
+            properties: {
+                dataDir: { type: 'string', default: './data' },
+                historyDays: { type: 'integer', min: 1, default: 90 },
+                runDetails: { type: 'integer', min: 1, default: 100 }
+            }
+        },
+        anomalyGuard: {
+            type: 'object',
+            reload: true,
+            properties: {
+                enabled: { type: 'boolean' },
+                minProducts: { type: 'integer', min: 0 },
+                maxZeroedPercent: { type: 'number', min: 0, nullable: true },
+                maxChangedProducts: { type: 'integer', min: 0, nullable: true },
+                maxTotalDropPercent: { type: 'number', min: 0, nullable: true }
+            }
+        },
+        publishRules: { type: 'array', reload: true, items: { type: 'object', allowUnknown: true } },
+        priceSync: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false, reload: true },
+                priceField: { type: 'string' },
+                salePriceField: { type: 'string', nullable: true },
+                rounding: {
+                    type: 'object',
+                    reload: true,
+                    properties: {
+                        mode: { type: 'string', enum: ['none', 'nearest', 'up', 'down'] },
+                        step: { type: 'number', min: 0 }
+                    }
+                },
+                decimals: { type: 'integer', min: 0, max: 4, reload: true },
+                maxChangePercent: { type: 'number', min: 0, nullable: true, reload: true }
+            }
+        },
+        mapping: {
+            type: 'object',
+            properties: {
+                rules: {
+                    type: 'object',
+                    properties: {
+                        trim: { type: 'boolean' },
+                        case: { type: 'string', enum: ['none', 'upper', 'lower'] },
+                        stripPrefixes: { type: 'array' },
+                        stripSuffixes: { type: 'array' },
+                        padZerosTo: { type: 'integer', min: 0 }
+                    }
+                },
+                overridesFile: { type: 'string' }
+            }
+        },
+        notifications: {
+            type: 'object',
+            reload: true,
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                repeatAfterMinutes: { type: 'integer', min: 0, default: 60 },
+                channels: { type: 'array', items: CHANNEL_SCHEMA },
+                triggers: {
+                    type: 'object',
+                    properties: {
+                        connectionLost: { type: 'boolean' },
+                        connectionRestored: { type: 'boolean' },
+                        runFailed: { type: 'boolean' },
+                        updateFailures: { type: 'integer', min: 0, nullable: true },
+                        outOfStock: { type: 'boolean' },
+                        dailySummary: { type: 'string', format: 'time', nullable: true }
+                    }
+                }
+            }
+        },
+        logging: {
+            type: 'object',
+            default: {},
+            properties: {
+                level: { type: 'string', enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'], default: 'info', reload: true },
+                maxFiles: { type: 'string', default: '14d' },
+                maxSize: { type: 'string', default: '20m' }
+            }
+        },
+        service: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' }
+            }
+        },
+        secrets: {
+            type: 'object',
+            default: {},
+            properties: {
+                provider: { type: 'string', enum: ['env', 'file', 'command'], default: 'env' },
+                file: { type: 'string', default: './data/secrets.enc' },
+                key: { type: 'string', enum: ['machine', 'passphrase'], default: 'machine' },
+                passphraseEnv: { type: 'string', default: 'STOCK_SYNC_PASSPHRASE' },
+                command: { type: 'string' },
+                envPrefix: { type: 'string', default: 'STOCK_SYNC_SECRET_' }
+            }
+        }
+    }
+};
+
+// Checks for settings with a "format"; each returns an error message or null
+const FORMATS = {
+    url: value => (/^https?:\/\/[^\s]+$/.test(value) ? null : `must be an http:// or https:// URL, got ${JSON.stringify(value)}`),
+    time: value => (/^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/.test(value) ? null : `must be a time as HH:MM, got ${JSON.stringify(value)}`),
+    timezone: value => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return null;
+        } catch (error) {
+            return `must be a timezone name such as "Asia/Jakarta", got ${JSON.stringify(value)}`;
+        }
+    },
+    cron: value => checkWith(() => new CronExpression(value)),
+    interval: value => checkWith(() => Schedule.parseInterval(value)),
+    schedule: value => ((value.cron === undefined) === (value.every === undefined) ? 'needs either "cron" or "every"' : null),
+    channel: value => {
+        const required = { email: ['host', 'from', 'to'], telegram: ['chatId'], webhook: ['url'] }[value.type] || [];
+        const missing = required.filter(key => value[key] === undefined || value[key] === '');
+        return missing.length > 0 ? `a ${value.type} channel needs ${missing.join(', ')}` : null;
+    }
+};
+
+/**
+ * Run a parser for a format check
+ * @param {Function} parse - Throws when the value is invalid
+ * @returns {string|null} The parser's error message, or null
+ */
+function checkWith(parse) {
+    try {
+        parse();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Environment variables that override config values, for containers and CI.
+// The woocommerce variables apply to the first (or only) store.
+const ENV_OVERRIDES = [
+    { env: 'WOO_URL', path: 'woocommerce.url', type: 'string' },
+    { env: 'WOO_CONSUMER_KEY', path: 'woocommerce.consumer_key', type: 'string' },
+    { env: 'WOO_CONSUMER_SECRET', path: 'woocommerce.consumer_secret', type: 'string' },
+    { env: 'IPOS_BASE_URL', path: 'localApi.baseUrl', type: 'string' },
+    { env: 'IPOS_API_KEY', path: 'localApi.apiKey', type: 'string' },
+    { env: 'SYNC_INTERVAL_MINUTES', path: 'sync.intervalMinutes', type: 'number' },
+    { env: 'SYNC_TIMEZONE', path: 'sync.timezone', type: 'string' },
+    { env: 'SYNC_ENABLED', path: 'sync.enabled', type: 'boolean' },
+    { env: 'SYNC_DRY_RUN', path: 'sync.dryRun', type: 'boolean' },
+    { env: 'LOG_LEVEL', path: 'logging.level', type: 'string' },
+    { env: 'ADMIN_API_ENABLED', path: 'adminApi.enabled', type: 'boolean' },
+    { env: 'ADMIN_API_PORT', path: 'adminApi.port', type: 'number' },
+    { env: 'ADMIN_API_TOKEN', path: 'adminApi.token', type: 'string' },
+    { env: 'PUSH_API_SECRET', path: 'pushApi.secret', type: 'string' },
+    { env: 'DATA_DIR', path: 'storage.dataDir', type: 'string' }
+];
+
+/**
+ * Loads config.json (or the file given with --config), applies environment
+ * overrides and defaults, and validates it against the schema. In service
+ * mode the file is watched: settings marked as reloadable are applied to the
+ * live config object in place and announced with a 'change' event; other
+ * changes are reported as needing a restart.
+ */
+class ConfigLoader extends EventEmitter {
+    /**
+     * @param {string} file - Path to the config file
+     * @param {Object} env - Environment variables, defaults to process.env
+     */
+    constructor(file = DEFAULT_CONFIG_FILE, env = process.env) {
+        super();
+        this.file = path.resolve(file);
+        this.env = env;
+        this.config = null;
+        // The file contents before overrides and defaults, used for the plaintext secret check
+        this.raw = null;
+        this.warnings = [];
+        this.watching = false;
+    }
+
+    /**
+     * Get the loader shared by all modules, created on first use from the
+     * --config command line argument
+     * @returns {ConfigLoader} Shared loader with the config loaded
+     */
+    static getShared() {
+        if (!ConfigLoader.shared) {
+            const file = new CommandLine(process.argv.slice(2)).get('config') || DEFAULT_CONFIG_FILE;
+            const loader = new ConfigLoader(file);
+            loader.load();
+            ConfigLoader.shared = loader;
+        }
+
+        return ConfigLoader.shared;
+    }
+
+    /**
+     * Read and validate the config file
+     * @returns {Object} The validated config
+     */
+    load() {
+        const { config, raw, warnings } = this.read();
+
+        this.config = config;
+        this.raw = raw;
+        this.warnings = warnings;
+        return this.config;
+    }
+
+    /**
+     * Read the file, apply overrides and defaults and validate the result
+     * @returns {Object} {config, raw, warnings}
+     */
+    read() {
+        if (!fs.existsSync(this.file)) {
+            throw new Error(`Config file not found: ${this.file} (copy config.example.json to config.json or pass --config <path>)`);
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Config file ${this.file} is not valid JSON: ${error.message}`);
+        }
+
+        const config = JSON.parse(JSON.stringify(raw));
+        const errors = [];
+        const warnings = [];
+
+        this.applyEnvOverrides(config, errors);
+        this.validate(config, SCHEMA, '', errors, warnings);
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid configuration in ${this.file}:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+            // The single problems, for "config validate --json"
+            error.errors = errors;
+            throw error;
+        }
+
+        return { config, raw, warnings };
+    }
+
+    /**
+     * Apply the environment variable overrides
+     * @param {Object} config - Parsed config, changed in place
+     * @param {Array<string>} errors - Collected errors
+     */
+    applyEnvOverrides(config, errors) {
+        for (const override of ENV_OVERRIDES) {
+            const value = this.env[override.env];
+
+            if (value === undefined || value === '') {
+                continue;
+            }
+
+            let parsed = value;
+            if (override.type === 'number') {
+                parsed = Number(value);
+                if (isNaN(parsed)) {
+                    errors.push(`${override.env}: must be a number, got "${value}"`);
+                    continue;
+                }
+            } else if (override.type === 'boolean') {
+                parsed = ['1', 'true', 'yes'].includes(value.toLowerCase());
+            }
+
+            const [section, ...rest] = override.path.split('.');
+            if (!config[section] || typeof config[section] !== 'object') {
+                config[section] = {};
+            }
+            // A list of stores gets the override on its first store
+            const target = Array.isArray(config[section]) ? config[section][0] : config[section];
+            if (target) {
+                target[rest.join('.')] = parsed;
+            }
+        }
+    }
+
+    /**
+     * Validate a value against a schema node, filling in defaults
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema node
+     * @param {string} at - Path of the value, for messages
+     * @param {Array<string>} errors - Collected errors
+     * @param {Array<string>} warnings - Collected warnings
+     */
+    validate(value, schema, at, errors, warnings) {
+        if (value === null && schema.nullable) {
+            return;
+        }
+
+        const types = [].concat(schema.type);
+        const actual = this.typeOf(value);
+
+        if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            errors.push(`${at || 'config'}: must be ${types.join(' or ')}, got ${actual === 'null' ? 'null' : `${actual} ${JSON.stringify(value)}`}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${at}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.min !== undefined && value < schema.min) {
+                errors.push(`${at}: must be at least ${schema.min}, got ${value}`);
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                errors.push(`${at}: must be at most ${schema.max}, got ${value}`);
+            }
+        }
+
+        const formatError = schema.format ? FORMATS[schema.format](value) : null;
+        if (formatError) {
+            errors.push(`${at}: ${formatError}`);
+        }
+
+        if (actual === 'array' && schema.items) {
+            value.forEach((item, index) => this.validate(item, schema.items, `${at}[${index}]`, errors, warnings));
+        }
+
+        // Objects keyed by free names, e.g. location codes, with a schema for every value
+        if (actual === 'object' && schema.values) {
+            for (const [key, item] of Object.entries(value)) {
+                this.validate(item, schema.values, `${at}.${key}`, errors, warnings);
+            }
+        }
+
+        if (actual === 'object' && schema.properties) {
+            for (const [key, child] of Object.entries(schema.properties)) {
+                const childAt = at ? `${at}.${key}` : key;
+
+                if (value[key] === undefined) {
+                    if (child.required) {
+                        errors.push(`${childAt}: required setting is missing`);
+                    } else if (child.default !== undefined) {
+                        value[key] = JSON.parse(JSON.stringify(child.default));
+                        // Defaults of nested settings, e.g. sync.batchSize inside a defaulted sync section
+                        this.validate(value[key], child, childAt, errors, warnings);
+                    }
+                    continue;
+                }
+
+                this.validate(value[key], child, childAt, errors, warnings);
+            }
+
+            if (!schema.allowUnknown) {
+                for (const key of Object.keys(value)) {
+                    if (!schema.properties[key]) {
+                        warnings.push(`${at ? `${at}.${key}` : key} is not a known setting and is ignored (typo?)`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * JSON type of a value, telling integers, arrays and null apart
+     * @param {*} value - Value
+     * @returns {string} One of string, integer, number, boolean, array, object, null, undefined
+     */
+    typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Find secrets written in plaintext in the config file itself
+     * @returns {Array} {path, secretName} for every non-empty secret field in the file
+     */
+    getPlaintextSecrets() {
+        const found = [];
+        const stores = Array.isArray(this.raw.woocommerce) ? this.raw.woocommerce : [this.raw.woocommerce || {}];
+
+        stores.forEach((store, index) => {
+            const at = Array.isArray(this.raw.woocommerce) ? `woocommerce[${index}]` : 'woocommerce';
+            const name = store.name || (Array.isArray(this.raw.woocommerce) ? `store${index + 1}` : 'default');
+
+            for (const field of ['consumer_key', 'consumer_secret']) {
+                if (store[field]) {
+                    found.push({ path: `${at}.${field}`, secretName: `woocommerce.${name}.${field}` });
+                }
+            }
+        });
+
+        const channels = this.raw.notifications && Array.isArray(this.raw.notifications.channels) ? this.raw.notifications.channels : [];
+
+        channels.forEach((channel, index) => {
+            for (const [key, field] of Object.entries(CHANNEL_SCHEMA.properties)) {
+                if (field.secret && channel[key]) {
+                    found.push({ path: `notifications.channels[${index}].${key}`, secretName: `notifications.${channel.name || channel.type}.${field.secret}` });
+                }
+            }
+        });
+
+        for (const [section, child] of Object.entries(SCHEMA.properties)) {
+            if (section === 'woocommerce' || !child.properties || !this.raw[section]) {
+                continue;
+            }
+
+            for (const [key, field] of Object.entries(child.properties)) {
+                if (field.secret && this.raw[section][key]) {
+                    found.push({ path: `${section}.${key}`, secretName: field.secret });
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Watch the config file and apply reloadable settings when it changes
+     * @param {number} intervalMs - Polling interval
+     */
+    watch(intervalMs = 2000) {
+        if (this.watching) {
+            return;
+        }
+
+        this.watching = true;
+        // Polling works the same for every editor and on network drives
+        fs.watchFile(this.file, { interval: intervalMs }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reload();
+            }
+        });
+    }
+
+    /**
+     * Stop watching the config file
+     */
+    unwatch() {
+        if (this.watching) {
+            fs.unwatchFile(this.file);
+            this.watching = false;
+        }
+    }
+
+    /**
+     * Re-read the file and apply the reloadable settings to the live config.
+     * An invalid file is reported and the running config is kept.
+     * @returns {Array<string>} Paths of the settings that were applied
+     */
+    reload() {
+        const logger = require('./logger');
+        let next;
+
+        try {
+            next = this.read();
+        } catch (error) {
+            logger.error(`Config change not applied, keeping the running configuration: ${error.message}`);
+            return [];
+        }
+
+        const applied = [];
+        const needsRestart = [];
+        this.diff(this.config, next.config, SCHEMA, '', applied, needsRestart);
+
+        for (const changedPath of applied) {
+            this.setPath(this.config, changedPath, this.getPath(next.config, changedPath));
+        }
+        this.raw = next.raw;
+
+        for (const warning of next.warnings) {
+            logger.warn(`Config: ${warning}`);
+        }
+        if (needsRestart.length > 0) {
+            logger.warn(`Config changes need a service restart to take effect: ${needsRestart.join(', ')}`);
+        }
+        if (applied.length > 0) {
+            logger.info(`Config reloaded: ${applied.join(', ')}`);
+            this.emit('change', applied);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Compare two configs and sort the changed settings into reloadable and restart-only
+     * @param {*} current - Running value
+     * @param {*} next - Value from the changed file
+     * @param {Object} schema - Schema node
+     * @param {string} at - Path of the value
+     * @param {Array<string>} applied - Collected reloadable paths
+     * @param {Array<string>} needsRestart - Collected restart-only paths
+     */
+    diff(current, next, schema, at, applied, needsRestart) {
+        // Unknown settings are already reported as warnings
+        if (!schema || JSON.stringify(current) === JSON.stringify(next)) {
+            return;
+        }
+
+        if (schema.reload) {
+            applied.push(at);
+            return;
+        }
+
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (schema.properties && isObject(current) && isObject(next)) {
+            const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+            for (const key of keys) {
+                this.diff(current[key], next[key], schema.properties[key], at ? `${at}.${key}` : key, applied, needsRestart);
+            }
+            return;
+        }
+
+        // Lists of the same length, e.g. the stores, are compared item by item so their reloadable settings apply
+        if (schema.items && schema.items.properties && Array.isArray(current) && Array.isArray(next) && current.length === next.length) {
+            current.forEach((item, index) => {
+                this.diff(item, next[index], schema.items, `${at}.${index}`, applied, needsRestart);
+            });
+            return;
+        }
+
+        needsRestart.push(at);
+    }
+
+    /**
+     * Read a value by dotted path
+     * @param {Object} object - Object to read
+     * @param {string} dottedPath - e.g. "sync.intervalMinutes"
+     * @returns {*} Value or undefined
+     */
+    getPath(object, dottedPath) {
+        return dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+    }
+
+    /**
+     * Set a value by dotted path, creating intermediate objects
+     * @param {Object} object - Object to change
+     * @param {string} dottedPath - e.g. "sync.intervalMinutes"
+     * @param {*} value - New value; undefined removes the setting
+     */
+    setPath(object, dottedPath, value) {
+        const keys = dottedPath.split('.');
+        const last = keys.pop();
+        let target = object;
+
+        for (const key of keys) {
+            if (!target[key] || typeof target[key] !== 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+
+        if (value === undefined) {
+            delete target[last];
+        } else {
+            target[last] = value;
+        }
+    }
+}
+
+ConfigLoader.shared = null;
+
+module.exports = ConfigLoader;
@@ -0,0 +1,164 @@
+// Fields of a standard five-field cron expression, in order
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 0 and 7 are both Sunday
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+/**
+ * A parsed cron expression: "minute hour day month weekday" with lists,
+ * ranges, steps and month/weekday names, e.g. "0 2 * * *" or
+ * "*\/15 8-20 * * mon-sat". The expression only matches wall-clock times;
+ * the timezone is applied by Schedule.
+ */
+class CronExpression {
+    /**
+     * @param {string} expression - Cron expression or a macro such as "@daily"
+     */
+    constructor(expression) {
+        this.expression = String(expression).trim();
+
+        const text = MACROS[this.expression.toLowerCase()] || this.expression;
+        const parts = text.split(/\s+/);
+
+        if (parts.length !== 5) {
+            throw new Error(`Cron expression "${this.expression}" must have 5 fields: minute hour day month weekday`);
+        }
+
+        this.fields = {};
+        FIELDS.forEach((field, index) => {
+            this.fields[field.name] = this.parseField(parts[index], field);
+        });
+
+        if (this.fields.weekday.has(7)) {
+            this.fields.weekday.add(0);
+        }
+
+        // As in cron, when both day and weekday are restricted a time matches either of them
+        this.dayRestricted = !parts[2].startsWith('*');
+        this.weekdayRestricted = !parts[4].startsWith('*');
+    }
+
+    /**
+     * Parse one field into the set of values it allows
+     * @param {string} text - Field text, e.g. "1-5", "*\/10" or "mon,wed,fri"
+     * @param {Object} field - Field definition from FIELDS
+     * @returns {Set<number>} Allowed values
+     */
+    parseField(text, field) {
+        const values = new Set();
+
+        for (const part of text.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Cron expression "${this.expression}": invalid step in ${field.name} field "${part}"`);
+            }
+
+            let from;
+            let to;
+
+            if (range === '*') {
+                from = field.min;
+                to = field.max;
+            } else if (range.includes('-')) {
+                const [start, end] = range.split('-');
+                from = this.parseValue(start, field);
+                to = this.parseValue(end, field);
+            } else {
+                from = this.parseValue(range, field);
+                // "5/15" means from 5 up to the end of the range in steps of 15
+                to = stepText === undefined ? from : field.max;
+            }
+
+            if (from > to) {
+                throw new Error(`Cron expression "${this.expression}": range "${range}" in ${field.name} field is backwards`);
+            }
+
+            for (let value = from; value <= to; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Parse a single number or name
+     * @param {string} text - e.g. "5", "jan" or "fri"
+     * @param {Object} field - Field definition from FIELDS
+     * @returns {number} Value
+     */
+    parseValue(text, field) {
+        const lower = String(text).toLowerCase();
+        let value;
+
+        if (field.names && field.names.includes(lower)) {
+            value = field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+        } else if (/^\d+$/.test(lower)) {
+            value = Number(lower);
+        } else {
+            throw new Error(`Cron expression "${this.expression}": "${text}" is not valid in the ${field.name} field`);
+        }
+
+        if (value < field.min || value > field.max) {
+            throw new Error(`Cron expression "${this.expression}": ${field.name} must be between ${field.min} and ${field.max}, got ${value}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Check whether a date (day, month and weekday) can match
+     * @param {Object} time - Wall-clock time {minute, hour, day, month, weekday}
+     * @returns {boolean} True if some time on this date matches
+     */
+    matchesDate(time) {
+        if (!this.fields.month.has(time.month)) {
+            return false;
+        }
+
+        const dayMatches = this.fields.day.has(time.day);
+        const weekdayMatches = this.fields.weekday.has(time.weekday);
+
+        if (this.dayRestricted && this.weekdayRestricted) {
+            return dayMatches || weekdayMatches;
+        }
+
+        return dayMatches && weekdayMatches;
+    }
+
+    /**
+     * Check whether an hour of a matching date can match
+     * @param {Object} time - Wall-clock time
+     * @returns {boolean} True if some minute in this hour matches
+     */
+    matchesHour(time) {
+        return this.fields.hour.has(time.hour);
+    }
+
+    /**
+     * Check whether a wall-clock time matches the expression
+     * @param {Object} time - Wall-clock time {minute, hour, day, month, weekday}
+     * @returns {boolean} True if the time matches
+     */
+    matches(time) {
+        return this.matchesDate(time) && this.matchesHour(time) && this.fields.minute.has(time.minute);
+    }
+}
+
+module.exports = CronExpression;
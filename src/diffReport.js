@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Stock difference report produced by dry runs
+ */
+class DiffReport {
+    /**
+     * @param {Array} updates - Updates computed by processBatch()
+     * @param {string|null} storeName - Store the report is for, named in the title and file name
+     */
+    constructor(updates, storeName = null) {
+        this.storeName = storeName;
+        this.rows = updates.map(update => ({
+            sku: update.sku,
+            name: update.productName,
+            wooStock: update.currentStock,
+            rawStock: update.rawStock !== undefined ? update.rawStock : update.stockQuantity,
+            rule: update.ruleApplied || '',
+            localStock: update.stockQuantity,
+            delta: update.stockQuantity - update.currentStock,
+            oldPrice: update.price ? update.price.oldRegular : '',
+            newPrice: update.price ? update.price.regular : '',
+            locations: update.locationBreakdown || ''
+        }));
+        this.createdAt = new Date();
+    }
+
+    /**
+     * Count products that would change stock status
+     * @returns {Object} Totals of changes, products going out of stock and coming back into stock
+     */
+    getTotals() {
+        return {
+            changes: this.rows.length,
+            priceChanges: this.rows.filter(row => row.newPrice !== '').length,
+            outOfStock: this.rows.filter(row => row.wooStock > 0 && row.localStock <= 0).length,
+            backInStock: this.rows.filter(row => row.wooStock <= 0 && row.localStock > 0).length
+        };
+    }
+
+    /**
+     * Format the report as a plain text table
+     * @returns {string} Report text
+     */
+    format() {
+        const headers = ['SKU', 'Name', 'WooCommerce', 'IPOS', 'Rule', 'Published', 'Delta', 'Price', 'IPOS Locations'];
+        const lines = this.rows.map(row => [
+            row.sku,
+            row.name || '',
+            String(row.wooStock),
+            String(row.rawStock),
+            row.rule,
+            String(row.localStock),
+            row.delta > 0 ? `+${row.delta}` : String(row.delta),
+            row.newPrice !== '' ? `${row.oldPrice || 'none'} -> ${row.newPrice}` : '',
+            row.locations
+        ]);
+
+        const widths = headers.map((header, i) =>
+            Math.max(header.length, ...lines.map(line => line[i].length))
+        );
+        const formatLine = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+        const totals = this.getTotals();
+        const output = [
+            `Dry-run stock differences${this.storeName ? ` for store ${this.storeName}` : ''} (${this.createdAt.toISOString()})`,
+            '',
+            formatLine(headers),
+            widths.map(width => '-'.repeat(width)).join('  '),
+            ...lines.map(formatLine),
+            '',
+            `Products that would change:             ${totals.changes}`,
+            `Products that would go out of stock:    ${totals.outOfStock}`,
+            `Products that would come back in stock: ${totals.backInStock}`,
+            `Products whose price would change:      ${totals.priceChanges}`
+        ];
+
+        return output.join('\n');
+    }
+
+    /**
+     * Format the report as CSV
+     * @returns {string} CSV text
+     */
+    toCsv() {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [['sku', 'name', 'woo_stock', 'ipos_stock', 'rule', 'published_stock', 'delta', 'old_price', 'new_price', 'ipos_locations'].join(',')];
+        for (const row of this.rows) {
+            lines.push([row.sku, row.name, row.wooStock, row.rawStock, row.rule, row.localStock, row.delta, row.oldPrice, row.newPrice, row.locations].map(escape).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Print the report to the console and save it as CSV
+     * @param {string} reportsDir - Directory to write the report file to
+     * @param {boolean} print - Print the table to stdout, off for JSON output
+     * @returns {string} Path of the written file
+     */
+    output(reportsDir, print = true) {
+        if (print) {
+            console.log(this.format());
+        }
+
+        if (!fs.existsSync(reportsDir)) {
+            fs.mkdirSync(reportsDir, { recursive: true });
+        }
+
+        const timestamp = this.createdAt.toISOString().replace(/[:.]/g, '-');
+        const file = path.join(reportsDir, `dry-run-${this.storeName ? `${this.storeName}-` : ''}${timestamp}.csv`);
+        fs.writeFileSync(file, this.toCsv(), 'utf8');
+
+        logger.info(`Dry-run report written to ${file}`);
+        return file;
+    }
+}
+
+module.exports = DiffReport;
@@ -0,0 +1,47 @@
+const nodemailer = require('nodemailer');
+const SecretProvider = require('./secretProvider');
+
+/**
+ * Notification channel sending plain text email through an SMTP server
+ */
+class EmailChannel {
+    /**
+     * @param {Object} options - Channel settings {name, host, port, secure, user, password, from, to}
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.from = options.from;
+        this.to = [].concat(options.to).join(', ');
+
+        const password = SecretProvider.getShared().resolve(options.password, `notifications.${this.name}.password`);
+        if (options.user && !password) {
+            throw new Error(`password is not set in the config or as secret notifications.${this.name}.password`);
+        }
+
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            // Port 465 speaks TLS from the start, 587 upgrades with STARTTLS
+            port: options.port || (options.secure ? 465 : 587),
+            secure: Boolean(options.secure),
+            auth: options.user ? { user: options.user, pass: password } : undefined,
+            connectionTimeout: 15000,
+            greetingTimeout: 15000
+        });
+    }
+
+    /**
+     * Send a notification
+     * @param {Object} message - Message {event, subject, text, data}
+     * @returns {Promise<void>} Resolves once the server accepted the mail
+     */
+    async send(message) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: message.subject,
+            text: message.text
+        });
+    }
+}
+
+module.exports = EmailChannel;
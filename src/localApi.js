@@ -1,22 +1,79 @@
 const axios = require('axios');
 const logger = require('./logger');
-const config = require('../config.json');
+const SecretProvider = require('./secretProvider');
+const Metrics = require('./metrics');
+const config = require('./config');
 
 class LocalApiService {
     constructor() {
         this.baseUrl = config.localApi.baseUrl;
         this.searchEndpoint = config.localApi.searchEndpoint;
         this.timeout = config.localApi.timeout;
+
+        // Optional bulk "list all stock" endpoint, used instead of per-barcode lookups
+        this.listEndpoint = config.localApi.listEndpoint || null;
+        this.listPageSize = config.localApi.listPageSize || 500;
+        this.listPageParam = config.localApi.listPageParam || 'page';
+        this.listPageSizeParam = config.localApi.listPageSizeParam || 'limit';
+        this.barcodeField = config.localApi.barcodeField || 'barcode';
+        this.stockIndex = null;
+        this.unparsedBarcodes = new Set();
+
+        // Which IPOS stock rows count towards the published stock
+        this.locationRules = this.buildLocationRules(config.localApi.locations || {});
+
+        // Price fields read for the opt-in price sync
+        const priceSync = config.priceSync || {};
+        this.priceField = priceSync.priceField || 'harga';
+        this.salePriceField = priceSync.salePriceField || null;
+        
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'IPOS-WooCommerce-Stock-Sync/1.0.0'
+        };
+
+        // Optional API key for IPOS installations behind an authenticating proxy
+        const apiKey = SecretProvider.getShared().resolve(config.localApi.apiKey, 'localApi.apiKey');
+        if (apiKey) {
+            headers[config.localApi.apiKeyHeader || 'X-API-Key'] = apiKey;
+        }
         
         // Create axios instance with default configuration
         this.client = axios.create({
             baseURL: this.baseUrl,
             timeout: this.timeout,
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'IPOS-WooCommerce-Stock-Sync/1.0.0'
-            }
+            headers: headers
         });
+        Metrics.getShared().instrument(this.client, 'ipos');
+    }
+
+    /**
+     * Normalise the location/warehouse filter configuration
+     * @param {Object} locations - config.localApi.locations
+     * @returns {Object} Location rules used by applyLocationRules()
+     */
+    buildLocationRules(locations) {
+        const upper = values => (values || []).map(value => String(value).trim().toUpperCase());
+        const weights = {};
+
+        for (const [location, weight] of Object.entries(locations.weights || {})) {
+            weights[location.trim().toUpperCase()] = Number(weight);
+        }
+
+        const rules = {
+            fields: [].concat(locations.field || ['gudang', 'kodegudang', 'warehouse', 'location', 'lokasi']),
+            only: locations.only ? String(locations.only).trim().toUpperCase() : null,
+            include: upper(locations.include),
+            exclude: upper(locations.exclude),
+            weights: weights
+        };
+
+        rules.active = rules.only !== null
+            || rules.include.length > 0
+            || rules.exclude.length > 0
+            || Object.keys(weights).length > 0;
+
+        return rules;
     }
 
     /**
@@ -25,6 +82,16 @@ class LocalApiService {
      * @returns {Promise<Object|null>} Product data with stock information or null if not found
      */
     async getStockByBarcode(barcode) {
+        const result = await this.lookupStock(barcode);
+        return result.stockData;
+    }
+
+    /**
+     * Look up stock for a barcode and report why no stock was returned
+     * @param {string} barcode - The barcode/SKU to search for
+     * @returns {Promise<Object>} {status, stockData} where status is 'found', 'missing', 'parse_failure' or 'error'
+     */
+    async lookupStock(barcode) {
         try {
             logger.info(`Querying local API for barcode: ${barcode}`);
             
@@ -34,10 +101,17 @@ class LocalApiService {
 
             if (response.data && response.status === 200) {
                 logger.debug(`Local API response for ${barcode}:`, response.data);
-                return this.parseStockData(response.data, barcode);
+                const stockData = this.parseStockData(response.data, barcode);
+
+                if (stockData) {
+                    return { status: 'found', stockData: stockData };
+                }
+
+                const isEmpty = Array.isArray(response.data) && response.data.length === 0;
+                return { status: isEmpty ? 'missing' : 'parse_failure', stockData: null };
             } else {
                 logger.warn(`No data returned from local API for barcode: ${barcode}`);
-                return null;
+                return { status: 'missing', stockData: null };
             }
         } catch (error) {
             if (error.response) {
@@ -46,6 +120,10 @@ class LocalApiService {
                 if (error.response.data) {
                     logger.error('Error details:', error.response.data);
                 }
+
+                if (error.response.status === 404) {
+                    return { status: 'missing', stockData: null };
+                }
             } else if (error.request) {
                 // Request was made but no response received
                 logger.error(`No response from local API for barcode ${barcode}: ${error.message}`);
@@ -53,8 +131,188 @@ class LocalApiService {
                 // Something else happened
                 logger.error(`Error setting up request for barcode ${barcode}: ${error.message}`);
             }
+            return { status: 'error', stockData: null, error: error.message };
+        }
+    }
+
+    /**
+     * Download all stock from the bulk list endpoint and build an in-memory
+     * barcode index. Leaves the index empty when no list endpoint is
+     * configured or the download fails, so callers fall back to per-barcode lookups.
+     * @returns {Promise<boolean>} True if the index was built
+     */
+    async loadStockIndex() {
+        this.stockIndex = null;
+
+        if (!this.listEndpoint) {
+            logger.debug('No local API list endpoint configured, using per-barcode lookups');
+            return false;
+        }
+
+        try {
+            logger.info(`Downloading all stock from local API list endpoint: ${this.listEndpoint}`);
+
+            const rowsByBarcode = new Map();
+            let totalRows = 0;
+            let page = 1;
+            let previousFirstRow = null;
+
+            while (true) {
+                const response = await this.client.get(this.listEndpoint, {
+                    params: {
+                        [this.listPageParam]: page,
+                        [this.listPageSizeParam]: this.listPageSize
+                    }
+                });
+
+                const rows = this.extractRows(response.data);
+                if (rows.length === 0) {
+                    break;
+                }
+
+                // Guard against endpoints that ignore the page parameter
+                const firstRow = JSON.stringify(rows[0]);
+                if (firstRow === previousFirstRow) {
+                    logger.warn(`Local API list endpoint returned the same page twice at page ${page}, stopping pagination`);
+                    break;
+                }
+                previousFirstRow = firstRow;
+
+                for (const row of rows) {
+                    const barcode = row && row[this.barcodeField] !== undefined && row[this.barcodeField] !== null
+                        ? String(row[this.barcodeField]).trim()
+                        : '';
+
+                    if (barcode === '') {
+                        continue;
+                    }
+
+                    if (!rowsByBarcode.has(barcode)) {
+                        rowsByBarcode.set(barcode, []);
+                    }
+                    rowsByBarcode.get(barcode).push(row);
+                }
+
+                totalRows += rows.length;
+                logger.debug(`Fetched local stock page ${page}: ${rows.length} rows`);
+
+                if (rows.length < this.listPageSize) {
+                    break;
+                }
+
+                page++;
+            }
+
+            const index = new Map();
+            this.unparsedBarcodes = new Set();
+            for (const [barcode, rows] of rowsByBarcode) {
+                const stockData = this.parseStockData(rows, barcode);
+                if (stockData) {
+                    index.set(barcode, stockData);
+                } else {
+                    this.unparsedBarcodes.add(barcode);
+                }
+            }
+
+            this.stockIndex = index;
+            logger.info(`Local stock index built: ${index.size} barcodes from ${totalRows} rows`);
+            return true;
+
+        } catch (error) {
+            if (error.response) {
+                logger.warn(`Local API list endpoint returned ${error.response.status} - ${error.response.statusText}, falling back to per-barcode lookups`);
+            } else {
+                logger.warn(`Could not download stock from local API list endpoint, falling back to per-barcode lookups: ${error.message}`);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Post a document (e.g. an exported online sale) to the local API
+     * @param {string} endpoint - Endpoint path relative to the base URL
+     * @param {Object} document - Document body
+     * @returns {Promise<Object>} Response data
+     */
+    async postDocument(endpoint, document) {
+        try {
+            const response = await this.client.post(endpoint, document);
+            return response.data;
+        } catch (error) {
+            if (error.response) {
+                logger.error(`Local API error posting to ${endpoint}: ${error.response.status} - ${error.response.statusText}`);
+                if (error.response.data) {
+                    logger.error('Error details:', error.response.data);
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Extract the list of rows from a list endpoint response
+     * @param {Object|Array} data - Raw response data
+     * @returns {Array} Stock rows
+     */
+    extractRows(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+
+        if (data && typeof data === 'object') {
+            for (const field of ['data', 'items', 'results', 'rows']) {
+                if (Array.isArray(data[field])) {
+                    return data[field];
+                }
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Check whether a bulk stock index is available for this run
+     * @returns {boolean} True if lookups can be served from the index
+     */
+    hasStockIndex() {
+        return this.stockIndex !== null;
+    }
+
+    /**
+     * Look up stock for a barcode in the bulk stock index
+     * @param {string} barcode - The barcode/SKU to look up
+     * @returns {Object|null} Parsed stock data or null if the barcode is not in the index
+     */
+    getIndexedStock(barcode) {
+        if (!this.stockIndex) {
             return null;
         }
+
+        return this.stockIndex.get(String(barcode).trim()) || null;
+    }
+
+    /**
+     * Look up a barcode in the bulk stock index, in the same shape as lookupStock()
+     * @param {string} barcode - The barcode/SKU to look up
+     * @returns {Object} {status, stockData}
+     */
+    lookupIndexedStock(barcode) {
+        const stockData = this.getIndexedStock(barcode);
+
+        if (stockData) {
+            return { status: 'found', stockData: stockData };
+        }
+
+        const status = this.unparsedBarcodes.has(String(barcode).trim()) ? 'parse_failure' : 'missing';
+        return { status: status, stockData: null };
+    }
+
+    /**
+     * Drop the bulk stock index so it is not reused by a later run
+     */
+    clearStockIndex() {
+        this.stockIndex = null;
+        this.unparsedBarcodes = new Set();
     }
 
     /**
@@ -65,8 +323,7 @@ class LocalApiService {
      */
     parseStockData(data, barcode) {
         try {
-            let totalStock = 0;
-            let hasValidData = false;
+            let entries = [];
             
             if (Array.isArray(data)) {
                 // If response is an array, sum all stock values for duplicate entries
@@ -76,15 +333,12 @@ class LocalApiService {
                     if (item && typeof item === 'object') {
                         const stockValue = this.extractStockQuantity(item);
                         if (stockValue !== null) {
-                            totalStock += stockValue;
-                            hasValidData = true;
+                            entries.push({ location: this.extractLocation(item), quantity: stockValue });
                         }
                     }
                 }
                 
-                if (hasValidData) {
-                    logger.info(`Summed stock for ${barcode}: ${totalStock} (from ${data.length} entries)`);
-                } else {
+                if (entries.length === 0) {
                     logger.warn(`No valid stock data found in array for barcode ${barcode}`);
                     return null;
                 }
@@ -93,8 +347,7 @@ class LocalApiService {
                 // If response is a single object
                 const stockValue = this.extractStockQuantity(data);
                 if (stockValue !== null) {
-                    totalStock = stockValue;
-                    hasValidData = true;
+                    entries.push({ location: this.extractLocation(data), quantity: stockValue });
                 } else {
                     logger.warn(`No valid stock data found in object for barcode ${barcode}`);
                     return null;
@@ -104,10 +357,22 @@ class LocalApiService {
                 return null;
             }
 
+            const locations = entries.map(entry => this.applyLocationRules(entry));
+            const weightedTotal = locations.reduce((sum, entry) => sum + entry.countedQuantity, 0);
+            const totalStock = Math.floor(weightedTotal);
+
+            if (entries.length > 1 || this.locationRules.active) {
+                logger.info(`Summed stock for ${barcode}: ${totalStock} (from ${entries.length} entries: ${this.formatLocations(locations)})`);
+            }
+
+            const rows = Array.isArray(data) ? data : [data];
             const result = {
                 barcode: barcode,
                 stockQuantity: totalStock,
-                available: hasValidData && totalStock >= 0,
+                available: totalStock >= 0,
+                price: this.extractPrice(rows, this.priceField),
+                salePrice: this.salePriceField ? this.extractPrice(rows, this.salePriceField) : null,
+                locations: locations,
                 lastUpdated: new Date().toISOString(),
                 rawData: data // Keep raw data for debugging
             };
@@ -120,6 +385,85 @@ class LocalApiService {
         }
     }
 
+    /**
+     * Extract the location/warehouse of a stock row
+     * @param {Object} item - Stock row from the local API
+     * @returns {string} Location code, or an empty string if the row has none
+     */
+    extractLocation(item) {
+        for (const field of this.locationRules.fields) {
+            if (item[field] !== undefined && item[field] !== null && String(item[field]).trim() !== '') {
+                return String(item[field]).trim();
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Decide whether and how much a stock row counts towards the published total
+     * @param {Object} entry - {location, quantity}
+     * @returns {Object} Entry with weight and countedQuantity
+     */
+    applyLocationRules(entry) {
+        const rules = this.locationRules;
+        const location = entry.location.toUpperCase();
+        let weight = 1;
+
+        if (rules.only !== null) {
+            weight = location === rules.only ? 1 : 0;
+        } else if (rules.include.length > 0 && !rules.include.includes(location)) {
+            weight = 0;
+        } else if (rules.exclude.includes(location)) {
+            weight = 0;
+        }
+
+        if (weight > 0 && Object.prototype.hasOwnProperty.call(rules.weights, location)) {
+            weight = rules.weights[location];
+        }
+
+        return {
+            location: entry.location,
+            quantity: entry.quantity,
+            weight: weight,
+            countedQuantity: entry.quantity * weight
+        };
+    }
+
+    /**
+     * Format a per-location breakdown for logs and reports
+     * @param {Array} locations - Entries returned by applyLocationRules()
+     * @returns {string} e.g. "TOKO=5, GUDANG=3 (x0)"
+     */
+    formatLocations(locations) {
+        return locations.map(entry => {
+            const name = entry.location || '(none)';
+            return entry.weight === 1 ? `${name}=${entry.quantity}` : `${name}=${entry.quantity} (x${entry.weight})`;
+        }).join(', ');
+    }
+
+    /**
+     * Extract a price from the first stock row that has a valid value. All
+     * rows of a barcode carry the same price, whatever their location.
+     * @param {Array} rows - Stock rows from the local API
+     * @param {string} field - Price field name
+     * @returns {number|null} Price or null if no row has one
+     */
+    extractPrice(rows, field) {
+        for (const row of rows) {
+            if (!row || typeof row !== 'object' || row[field] === null || row[field] === undefined) {
+                continue;
+            }
+
+            const price = typeof row[field] === 'number' ? row[field] : parseFloat(row[field]);
+            if (!isNaN(price) && price > 0) {
+                return price;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Extract stock quantity from various possible field names
      * @param {Object} data - Product data from API
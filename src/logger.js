@@ -1,7 +1,7 @@
 const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
-const config = require('../config.json');
+const config = require('./config');
 
 // Create logs directory if it doesn't exist
 const fs = require('fs');
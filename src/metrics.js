@@ -0,0 +1,248 @@
+// Latency buckets of API requests, in seconds
+const REQUEST_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Prometheus metrics of the service: counters, gauges and histograms kept in
+ * memory and rendered in the Prometheus text format for GET /metrics.
+ * Values that are already recorded elsewhere, such as the run history, are
+ * read by collectors right before each scrape instead of being counted twice.
+ */
+class Metrics {
+    constructor() {
+        // Metric name -> {name, type, help, buckets, series: Map(label key -> {labels, value | counts, sum, count})}
+        this.families = new Map();
+        this.collectors = [];
+    }
+
+    /**
+     * Get the metrics shared by all services
+     * @returns {Metrics} Shared metrics
+     */
+    static getShared() {
+        if (!Metrics.shared) {
+            Metrics.shared = new Metrics();
+        }
+        return Metrics.shared;
+    }
+
+    /**
+     * Declare a counter, a value that only goes up
+     * @param {string} name - Metric name, e.g. "stock_sync_updates_applied_total"
+     * @param {string} help - Description shown by Prometheus
+     */
+    counter(name, help) {
+        this.declare(name, 'counter', help);
+    }
+
+    /**
+     * Declare a gauge, a value that goes up and down
+     * @param {string} name - Metric name
+     * @param {string} help - Description shown by Prometheus
+     */
+    gauge(name, help) {
+        this.declare(name, 'gauge', help);
+    }
+
+    /**
+     * Declare a histogram of observed values
+     * @param {string} name - Metric name, e.g. "stock_sync_run_duration_seconds"
+     * @param {string} help - Description shown by Prometheus
+     * @param {Array<number>} buckets - Upper bounds of the buckets, ascending
+     */
+    histogram(name, help, buckets) {
+        this.declare(name, 'histogram', help, buckets);
+    }
+
+    /**
+     * Add a metric family; declaring the same name again keeps the first
+     * @param {string} name - Metric name
+     * @param {string} type - counter, gauge or histogram
+     * @param {string} help - Description
+     * @param {Array<number>} buckets - Histogram buckets
+     */
+    declare(name, type, help, buckets = null) {
+        if (!this.families.has(name)) {
+            this.families.set(name, { name, type, help, buckets, series: new Map() });
+        }
+    }
+
+    /**
+     * Get the series of a metric for a set of labels, created on first use
+     * @param {string} name - Declared metric name
+     * @param {Object} labels - Label values, e.g. {api: "ipos"}
+     * @returns {Object} Series {labels, value} or {labels, counts, sum, count}
+     */
+    getSeries(name, labels) {
+        const family = this.families.get(name);
+        if (!family) {
+            throw new Error(`Metric ${name} is not declared`);
+        }
+
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!family.series.has(key)) {
+            family.series.set(key, family.type === 'histogram'
+                ? { labels, counts: family.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+
+        return family.series.get(key);
+    }
+
+    /**
+     * Add to a counter
+     * @param {string} name - Counter name
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount to add
+     */
+    inc(name, labels = {}, value = 1) {
+        this.getSeries(name, labels).value += value;
+    }
+
+    /**
+     * Set a gauge, or a counter whose total is kept elsewhere
+     * @param {string} name - Metric name
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(name, labels, value) {
+        this.getSeries(name, labels).value = value;
+    }
+
+    /**
+     * Record a value in a histogram
+     * @param {string} name - Histogram name
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value, e.g. seconds
+     */
+    observe(name, labels, value) {
+        const family = this.families.get(name);
+        const series = this.getSeries(name, labels);
+
+        family.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Forget every series of a metric, for gauges whose label sets come and go
+     * @param {string} name - Metric name
+     */
+    reset(name) {
+        this.families.get(name).series.clear();
+    }
+
+    /**
+     * Register a function that updates metrics right before they are rendered
+     * @param {Function} collect - Called without arguments on every scrape
+     */
+    addCollector(collect) {
+        this.collectors.push(collect);
+    }
+
+    /**
+     * Time the requests of an axios client and count its errors by status
+     * code. Attach it before a rate limiter so waiting for a request slot is
+     * not counted and every retry is measured on its own.
+     * @param {Object} client - axios instance
+     * @param {string} api - "ipos" or "woocommerce"
+     * @param {string} store - Store name, empty for IPOS
+     */
+    instrument(client, api, store = '') {
+        this.histogram('stock_sync_api_request_duration_seconds', 'Duration of IPOS and WooCommerce API requests', REQUEST_BUCKETS);
+        this.counter('stock_sync_api_request_errors_total', 'Failed IPOS and WooCommerce API requests by HTTP status or error code');
+
+        const labels = { api, store };
+
+        client.interceptors.request.use(requestConfig => {
+            requestConfig.metricsStartedAt = Date.now();
+            return requestConfig;
+        });
+
+        client.interceptors.response.use(
+            response => {
+                this.observe('stock_sync_api_request_duration_seconds', labels, (Date.now() - response.config.metricsStartedAt) / 1000);
+                return response;
+            },
+            error => {
+                if (error.config && error.config.metricsStartedAt) {
+                    this.observe('stock_sync_api_request_duration_seconds', labels, (Date.now() - error.config.metricsStartedAt) / 1000);
+                }
+                // Requests that got no answer are counted by their error code, e.g. ECONNREFUSED
+                const status = error.response ? String(error.response.status) : (error.code || 'network');
+                this.inc('stock_sync_api_request_errors_total', { ...labels, status });
+                return Promise.reject(error);
+            }
+        );
+    }
+
+    /**
+     * Render all metrics in the Prometheus text exposition format
+     * @returns {string} Metrics text
+     */
+    render() {
+        for (const collect of this.collectors) {
+            collect();
+        }
+
+        const lines = [];
+
+        for (const family of this.families.values()) {
+            lines.push(`# HELP ${family.name} ${family.help}`);
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+
+            for (const series of family.series.values()) {
+                if (family.type !== 'histogram') {
+                    lines.push(`${family.name}${this.formatLabels(series.labels)} ${this.formatValue(series.value)}`);
+                    continue;
+                }
+
+                family.buckets.forEach((bound, index) => {
+                    lines.push(`${family.name}_bucket${this.formatLabels({ ...series.labels, le: String(bound) })} ${series.counts[index]}`);
+                });
+                lines.push(`${family.name}_bucket${this.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${family.name}_sum${this.formatLabels(series.labels)} ${this.formatValue(series.sum)}`);
+                lines.push(`${family.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Format a label set
+     * @param {Object} labels - Label values
+     * @returns {string} e.g. '{api="ipos",status="500"}', or '' without labels
+     */
+    formatLabels(labels) {
+        const entries = Object.entries(labels);
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+    }
+
+    /**
+     * Format a sample value
+     * @param {number} value - Value
+     * @returns {string} Number as Prometheus expects it
+     */
+    formatValue(value) {
+        if (Number.isNaN(value)) {
+            return 'NaN';
+        }
+        if (!Number.isFinite(value)) {
+            return value > 0 ? '+Inf' : '-Inf';
+        }
+        return String(value);
+    }
+}
+
+Metrics.shared = null;
+
+module.exports = Metrics;
@@ -0,0 +1,550 @@
+const logger = require('./logger');
+const Schedule = require('./schedule');
+const EmailChannel = require('./emailChannel');
+const TelegramChannel = require('./telegramChannel');
+const WebhookChannel = require('./webhookChannel');
+const config = require('./config');
+
+const CHANNEL_TYPES = {
+    email: EmailChannel,
+    telegram: TelegramChannel,
+    webhook: WebhookChannel
+};
+
+// Triggers when notifications.triggers leaves them out. updateFailures is the
+// number of failed updates in one store that is tolerated, dailySummary a time.
+const DEFAULT_TRIGGERS = {
+    connectionLost: true,
+    connectionRestored: true,
+    runFailed: true,
+    updateFailures: 10,
+    outOfStock: true,
+    dailySummary: null
+};
+
+// setTimeout cannot wait longer than about 24.8 days, see Scheduler
+const MAX_TIMER_MS = 24 * 3600 * 1000;
+// Lines of errors or products listed in one message
+const MAX_LIST_LINES = 20;
+// Products kept for the daily summary
+const MAX_OUT_OF_STOCK = 500;
+
+/**
+ * Sends alerts about connection problems, failed runs and failed updates,
+ * products that sold out and a daily summary to the configured email,
+ * Telegram and webhook channels.
+ *
+ * An alert is identified by a key, e.g. "connection:IPOS"; the same alert is
+ * sent again at most every notifications.repeatAfterMinutes while the problem
+ * lasts, and the number of held back repeats is added to the next one. The
+ * state is kept in the data folder so restarts do not repeat alerts.
+ * Sending never throws, a broken channel is only logged.
+ */
+class Notifier {
+    /**
+     * @param {SyncStore} store - Store keeping the notification state
+     */
+    constructor(store) {
+        this.store = store;
+        this.channels = [];
+        this.summarySchedule = null;
+        this.summaryTimer = null;
+        // Set while the daily summary runs, see startDailySummary()
+        this.getStats = null;
+
+        this.reload();
+    }
+
+    /**
+     * Build the channels and triggers from the live config
+     */
+    reload() {
+        const options = config.notifications || {};
+
+        this.enabled = Boolean(options.enabled);
+        this.triggers = { ...DEFAULT_TRIGGERS, ...(options.triggers || {}) };
+        this.repeatAfterMinutes = options.repeatAfterMinutes !== undefined ? options.repeatAfterMinutes : 60;
+        this.prefix = `[${(config.service && config.service.name) || 'IPOS Stock Sync'}]`;
+        this.channels = [];
+
+        if (this.enabled) {
+            const names = new Set();
+
+            for (const channelConfig of options.channels || []) {
+                const name = channelConfig.name || channelConfig.type;
+
+                if (names.has(name)) {
+                    logger.error(`Notification channel "${name}" is configured twice, give each channel its own "name"`);
+                    continue;
+                }
+                names.add(name);
+
+                try {
+                    const channel = new CHANNEL_TYPES[channelConfig.type]({ ...channelConfig, name });
+                    channel.type = channelConfig.type;
+                    channel.events = channelConfig.events || null;
+                    this.channels.push(channel);
+                } catch (error) {
+                    logger.error(`Notification channel ${name} disabled: ${error.message}`);
+                }
+            }
+
+            if (this.channels.length === 0) {
+                logger.warn('Notifications are enabled but no channel is usable');
+            }
+        }
+
+        // A running daily summary follows the new time or stops
+        if (this.getStats) {
+            this.startDailySummary(this.getStats);
+        }
+    }
+
+    /**
+     * Check whether alerts can be sent at all
+     * @returns {boolean} True when enabled with at least one channel
+     */
+    isActive() {
+        return this.enabled && this.channels.length > 0;
+    }
+
+    /**
+     * Check whether a trigger is switched on
+     * @param {string} event - Trigger name, e.g. "runFailed"
+     * @returns {boolean} True if alerts of this kind are sent
+     */
+    isTriggerEnabled(event) {
+        const value = this.triggers[event];
+        return value !== false && value !== null && value !== undefined;
+    }
+
+    /**
+     * Check whether the connection checks before each run are worth making
+     * @returns {boolean} True if connection alerts are switched on
+     */
+    watchesConnections() {
+        return this.isActive() && (this.isTriggerEnabled('connectionLost') || this.isTriggerEnabled('connectionRestored'));
+    }
+
+    /**
+     * Record connection test results and alert about lost and restored
+     * connections. A lost connection is alerted again, rate-limited, for as
+     * long as it stays down.
+     * @param {Object} results - Connection name -> true if it answered, e.g. {"IPOS": false}
+     */
+    async connectionsChecked(results) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const state = this.store.readNotifications();
+        const now = new Date().toISOString();
+        const lost = [];
+        const restored = [];
+
+        for (const [name, ok] of Object.entries(results)) {
+            const previous = state.connections[name];
+            const changed = !previous || previous.ok !== ok;
+
+            if (!ok) {
+                lost.push({ name, since: changed ? now : previous.since, repeated: !changed });
+            } else if (previous && !previous.ok) {
+                restored.push({ name, since: previous.since });
+            }
+
+            state.connections[name] = { ok: ok, since: changed ? now : previous.since };
+        }
+
+        this.store.writeNotifications(state);
+
+        for (const connection of lost) {
+            await this.notify('connectionLost', `connection:${connection.name}`,
+                `${connection.name} is ${connection.repeated ? 'still ' : ''}unreachable`,
+                [`${connection.name} has not answered since ${connection.since}.`, 'Stock is not synced while it is down.'],
+                { connection: connection.name, since: connection.since });
+        }
+
+        for (const connection of restored) {
+            this.clear(`connection:${connection.name}`);
+            await this.notify('connectionRestored', `connection-restored:${connection.name}`,
+                `${connection.name} is reachable again`,
+                [`${connection.name} answers again, it was unreachable since ${connection.since}.`],
+                { connection: connection.name, since: connection.since });
+        }
+    }
+
+    /**
+     * Alert about a failed or partly failed run. A successful run ends the
+     * problem, so the next failure is alerted straight away.
+     * @param {Object} summary - Run summary from StockSyncService.executeRun()
+     */
+    async runFinished(summary) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        if (summary.status !== 'failed' && summary.status !== 'partial') {
+            if (summary.status !== 'dry-run') {
+                this.clear('run-failed');
+            }
+            return;
+        }
+
+        const stores = Object.entries(summary.stores || {});
+        const failedStores = stores.filter(([, result]) => result.status === 'failed');
+        const lines = [summary.status === 'failed'
+            ? `Sync run ${summary.runId} failed, no stock was updated.`
+            : `Sync run ${summary.runId} failed for ${failedStores.length} of ${stores.length} stores, the other stores were synced.`];
+
+        for (const [name, result] of failedStores) {
+            const errors = result.errors.map(error => error.error).join('; ') || 'unknown error';
+            lines.push(stores.length > 1 ? `Store ${name}: ${errors}` : errors);
+        }
+        if (failedStores.length === 0) {
+            lines.push(...summary.errors.slice(0, MAX_LIST_LINES).map(error => error.error));
+        }
+
+        await this.notify('runFailed', 'run-failed',
+            summary.status === 'failed' ? 'Sync run failed' : 'Sync run partly failed',
+            lines,
+            { runId: summary.runId, status: summary.status, failedStores: failedStores.map(([name]) => name), errors: summary.errors });
+    }
+
+    /**
+     * Alert about the results of a batch update: more failures than
+     * notifications.triggers.updateFailures, and products that went out of stock
+     * @param {string} storeName - Store the updates were sent to
+     * @param {Array} updates - Updates sent to WooCommerce
+     * @param {Object} results - Results summary from WooCommerceService.batchUpdateStock()
+     */
+    async updatesApplied(storeName, updates, results) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const inStore = this.describeStore(storeName);
+        const failureKey = `update-failures:${storeName}`;
+        const threshold = this.triggers.updateFailures;
+
+        if (threshold !== null && threshold !== false && results.failed > threshold) {
+            const lines = [`${results.failed} of ${updates.length} stock updates${inStore} were rejected by WooCommerce.`];
+            lines.push(...results.errors.slice(0, MAX_LIST_LINES).map(error => `${error.sku || error.productId}: ${error.error}`));
+            if (results.errors.length > MAX_LIST_LINES) {
+                lines.push(`... and ${results.errors.length - MAX_LIST_LINES} more`);
+            }
+
+            await this.notify('updateFailures', failureKey, `${results.failed} stock update${results.failed === 1 ? '' : 's'} failed${inStore}`, lines,
+                { store: storeName, failed: results.failed, errors: results.errors });
+        } else if (results.failed === 0) {
+            this.clear(failureKey);
+        }
+
+        const failedIds = new Set(results.errors.map(error => error.productId));
+        const soldOut = updates.filter(update => !failedIds.has(update.productId) &&
+            Number(update.currentStock) > 0 && Number(update.stockQuantity) <= 0);
+
+        if (soldOut.length > 0) {
+            await this.productsSoldOut(storeName, soldOut);
+        }
+    }
+
+    /**
+     * Alert about products that went out of stock and keep them for the daily
+     * summary. Each product is alerted at most once per repeat interval.
+     * @param {string} storeName - Store of the products
+     * @param {Array} soldOut - Applied updates that set the stock to zero
+     */
+    async productsSoldOut(storeName, soldOut) {
+        const state = this.store.readNotifications();
+        const now = new Date().toISOString();
+        const fresh = soldOut.filter(update => !this.isRecent(state.sent[`out-of-stock:${storeName}:${update.productId}`]));
+
+        if (this.isTriggerEnabled('dailySummary')) {
+            state.outOfStock.push(...soldOut.map(update => ({ store: storeName, sku: update.sku, name: update.productName, at: now })));
+            state.outOfStock = state.outOfStock.slice(-MAX_OUT_OF_STOCK);
+        }
+        this.pruneSent(state);
+        this.store.writeNotifications(state);
+
+        if (fresh.length === 0 || !this.isTriggerEnabled('outOfStock')) {
+            return;
+        }
+
+        const inStore = this.describeStore(storeName);
+        const lines = fresh.slice(0, MAX_LIST_LINES).map(update => `${update.sku}  ${update.productName || ''}  (was ${update.currentStock})`);
+        if (fresh.length > MAX_LIST_LINES) {
+            lines.push(`... and ${fresh.length - MAX_LIST_LINES} more`);
+        }
+
+        const sent = await this.send('outOfStock',
+            `${fresh.length} product${fresh.length === 1 ? '' : 's'} out of stock${inStore}`,
+            lines,
+            { store: storeName, products: fresh.map(update => ({ sku: update.sku, productId: update.productId, name: update.productName, previousStock: update.currentStock })) });
+
+        if (sent) {
+            const latest = this.store.readNotifications();
+            for (const update of fresh) {
+                latest.sent[`out-of-stock:${storeName}:${update.productId}`] = { sentAt: now, suppressed: 0 };
+            }
+            this.store.writeNotifications(latest);
+        }
+    }
+
+    /**
+     * Start sending the daily summary at notifications.triggers.dailySummary,
+     * in the sync timezone
+     * @param {Function} getStats - Returns the service stats, see StockSyncService.getStats()
+     */
+    startDailySummary(getStats) {
+        this.stopDailySummary();
+        this.getStats = getStats;
+
+        if (!this.isActive() || !this.isTriggerEnabled('dailySummary')) {
+            return;
+        }
+
+        const [hour, minute] = this.triggers.dailySummary.split(':').map(Number);
+        this.summarySchedule = new Schedule({ name: 'daily summary', cron: `${minute} ${hour % 24} * * *` }, { timezone: config.sync.timezone });
+        this.armDailySummary(new Date());
+
+        logger.info(`Daily summary notification at ${this.triggers.dailySummary} (${this.summarySchedule.timezone})`);
+    }
+
+    /**
+     * Stop the daily summary
+     */
+    stopDailySummary() {
+        clearTimeout(this.summaryTimer);
+        this.summaryTimer = null;
+        this.summarySchedule = null;
+        this.getStats = null;
+    }
+
+    /**
+     * Set the timer for the next daily summary
+     * @param {Date} after - Send after this time
+     */
+    armDailySummary(after) {
+        const nextRun = this.summarySchedule.nextRun(after);
+        const waitMs = nextRun.getTime() - Date.now();
+
+        this.summaryTimer = setTimeout(async () => {
+            if (waitMs > MAX_TIMER_MS) {
+                this.armDailySummary(after);
+                return;
+            }
+
+            // Timers may fire a little early, so the next one is searched after the planned time
+            this.armDailySummary(new Date(Math.max(nextRun.getTime(), Date.now())));
+            try {
+                await this.sendDailySummary(this.getStats());
+            } catch (error) {
+                logger.error(`Daily summary failed: ${error.message}`);
+            }
+        }, Math.max(0, Math.min(waitMs, MAX_TIMER_MS)));
+    }
+
+    /**
+     * Send the summary of the last 24 hours and start collecting the next one
+     * @param {Object} stats - Service stats from StockSyncService.getStats()
+     * @returns {Promise<boolean>} True if the summary was sent
+     */
+    async sendDailySummary(stats) {
+        const since = Date.now() - 24 * 3600 * 1000;
+        const runs = this.store.getRecentRuns(1000).filter(run => Date.parse(run.startedAt) >= since);
+        const count = status => runs.filter(run => run.status === status).length;
+        const state = this.store.readNotifications();
+        const outOfStock = state.outOfStock.filter(entry => Date.parse(entry.at) >= since);
+        const down = Object.entries(state.connections).filter(([, connection]) => !connection.ok);
+
+        const totals = {
+            runs: runs.length,
+            failed: count('failed'),
+            partial: count('partial'),
+            held: count('held'),
+            updatesApplied: runs.reduce((total, run) => total + (run.updatesApplied || 0), 0),
+            updatesFailed: runs.reduce((total, run) => total + (run.updatesFailed || 0), 0),
+            outOfStock: outOfStock.length
+        };
+
+        const lines = [
+            `Runs in the last 24 hours: ${totals.runs} (${totals.failed} failed, ${totals.partial} partial, ${totals.held} held)`,
+            `Stock updates: ${totals.updatesApplied} applied, ${totals.updatesFailed} failed`,
+            `Last successful full sync: ${stats.lastSyncTime || 'never'}`,
+            `Retry queue: ${stats.retryQueue.queued} queued, ${stats.retryQueue.deadLetters} dead letters`
+        ];
+
+        for (const heldRun of stats.heldRuns) {
+            lines.push(`Held run ${heldRun.runId}${this.describeStore(heldRun.store)}: ${heldRun.updates} updates waiting since ${heldRun.heldAt}`);
+        }
+        for (const [name, connection] of down) {
+            lines.push(`${name} unreachable since ${connection.since}`);
+        }
+
+        lines.push('', `Went out of stock: ${outOfStock.length} product${outOfStock.length === 1 ? '' : 's'}`);
+        lines.push(...outOfStock.slice(0, MAX_LIST_LINES).map(entry => `  ${entry.sku}  ${entry.name || ''}${this.describeStore(entry.store)}`));
+        if (outOfStock.length > MAX_LIST_LINES) {
+            lines.push(`  ... and ${outOfStock.length - MAX_LIST_LINES} more`);
+        }
+
+        const sent = await this.send('dailySummary', 'Daily stock sync summary', lines, {
+            ...totals,
+            lastSyncTime: stats.lastSyncTime,
+            retryQueue: stats.retryQueue,
+            heldRuns: stats.heldRuns,
+            unreachable: down.map(([name]) => name),
+            outOfStockProducts: outOfStock
+        });
+        // Keep the list for the next summary when no channel took this one
+        if (!sent) {
+            return false;
+        }
+
+        const latest = this.store.readNotifications();
+        latest.outOfStock = [];
+        latest.lastSummaryAt = new Date().toISOString();
+        this.store.writeNotifications(latest);
+        return true;
+    }
+
+    /**
+     * Send a test message to every channel, ignoring triggers and event filters
+     * @returns {Promise<Object>} Channel name -> null when sent, or the error message
+     */
+    async sendTest() {
+        const message = {
+            event: 'test',
+            subject: `${this.prefix} Test notification`,
+            text: 'Notifications from the stock sync reach this channel.',
+            data: {}
+        };
+        const results = {};
+
+        for (const channel of this.channels) {
+            try {
+                await channel.send(message);
+                results[channel.name] = null;
+            } catch (error) {
+                results[channel.name] = error.message;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Send an alert unless the same alert was sent within the repeat interval
+     * @param {string} event - Trigger name
+     * @param {string} key - Alert key, the same for repeats of one problem
+     * @param {string} subject - Short description
+     * @param {Array<string>} lines - Message body
+     * @param {Object} data - Details for webhooks
+     * @returns {Promise<boolean>} True if the alert was sent
+     */
+    async notify(event, key, subject, lines, data = {}) {
+        if (!this.isTriggerEnabled(event)) {
+            return false;
+        }
+
+        const state = this.store.readNotifications();
+        const previous = state.sent[key];
+
+        if (this.isRecent(previous)) {
+            previous.suppressed = (previous.suppressed || 0) + 1;
+            this.store.writeNotifications(state);
+            logger.info(`Notification "${subject}" held back, the same alert was sent at ${previous.sentAt}`);
+            return false;
+        }
+
+        const suppressed = previous ? previous.suppressed || 0 : 0;
+        const body = suppressed > 0
+            ? [...lines, '', `${suppressed} repeat${suppressed === 1 ? ' of this alert was' : 's of this alert were'} held back since ${previous.sentAt}.`]
+            : lines;
+
+        if (!await this.send(event, subject, body, data)) {
+            return false;
+        }
+
+        const latest = this.store.readNotifications();
+        latest.sent[key] = { sentAt: new Date().toISOString(), suppressed: 0 };
+        this.store.writeNotifications(latest);
+        return true;
+    }
+
+    /**
+     * Forget an alert once its problem is over, so a new occurrence is sent at once
+     * @param {string} key - Alert key
+     */
+    clear(key) {
+        const state = this.store.readNotifications();
+
+        if (state.sent[key]) {
+            delete state.sent[key];
+            this.store.writeNotifications(state);
+        }
+    }
+
+    /**
+     * Send a message to every channel that takes this event
+     * @param {string} event - Trigger name
+     * @param {string} subject - Short description
+     * @param {Array<string>} lines - Message body
+     * @param {Object} data - Details for webhooks
+     * @returns {Promise<boolean>} True if at least one channel accepted it
+     */
+    async send(event, subject, lines, data) {
+        const channels = this.channels.filter(channel => !channel.events || channel.events.includes(event));
+        const message = { event: event, subject: `${this.prefix} ${subject}`, text: lines.join('\n'), data: data };
+        const sentTo = [];
+
+        await Promise.all(channels.map(async channel => {
+            try {
+                await channel.send(message);
+                sentTo.push(channel.name);
+            } catch (error) {
+                logger.error(`Notification "${subject}" not sent to channel ${channel.name}: ${error.message}`);
+            }
+        }));
+
+        if (sentTo.length > 0) {
+            logger.info(`Notification "${subject}" sent to ${sentTo.join(', ')}`);
+        }
+
+        return sentTo.length > 0;
+    }
+
+    /**
+     * Check whether an alert was sent within the repeat interval
+     * @param {Object|undefined} sent - Entry of state.sent
+     * @returns {boolean} True if a repeat must be held back
+     */
+    isRecent(sent) {
+        return Boolean(sent) && Date.now() - Date.parse(sent.sentAt) < this.repeatAfterMinutes * 60000;
+    }
+
+    /**
+     * Drop expired out-of-stock entries, which pile up with every product that sells out
+     * @param {Object} state - Notification state, changed in place
+     */
+    pruneSent(state) {
+        for (const [key, sent] of Object.entries(state.sent)) {
+            if (key.startsWith('out-of-stock:') && !this.isRecent(sent)) {
+                delete state.sent[key];
+            }
+        }
+    }
+
+    /**
+     * Name a store in messages when more than one is configured
+     * @param {string} storeName - Store name
+     * @returns {string} e.g. " in store b2b", or "" for a single store
+     */
+    describeStore(storeName) {
+        const stores = config.woocommerce;
+        return Array.isArray(stores) && stores.length > 1 ? ` in store ${storeName}` : '';
+    }
+}
+
+Notifier.EVENTS = Object.keys(DEFAULT_TRIGGERS);
+
+module.exports = Notifier;
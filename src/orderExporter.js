@@ -0,0 +1,299 @@
+const logger = require('./logger');
+const config = require('./config');
+
+// Exported and skipped orders keep their tracking entry this long, then only their ID is kept
+const RETENTION_DAYS = 180;
+// Orders given up after maxAttempts stay visible this long, then only their ID is kept
+const GIVEN_UP_RETENTION_DAYS = 30;
+// Orders are fetched from a little before the checkpoint to absorb clock differences
+// between this PC and the WooCommerce server; already tracked orders are skipped
+const CHECKPOINT_OVERLAP_MINUTES = 10;
+
+/**
+ * Exports paid WooCommerce orders to IPOS as sales or stock-out documents,
+ * so online sales also reduce the shop stock. Every order is tracked and
+ * exported exactly once; failed exports are retried on the next run.
+ */
+class OrderExporter {
+    /**
+     * @param {Array} stores - Stores {name, woocommerce} from the sync service
+     * @param {LocalApiService} localApi - IPOS client
+     * @param {SkuMapper} skuMapper - SKU to barcode mapping
+     * @param {SyncStore} store - Persistent store holding checkpoints and export state
+     */
+    constructor(stores, localApi, skuMapper, store) {
+        const options = config.orderExport || {};
+
+        this.stores = stores;
+        this.localApi = localApi;
+        this.skuMapper = skuMapper;
+        this.store = store;
+
+        this.enabled = Boolean(options.enabled);
+        this.endpoint = options.endpoint || '/api/sales';
+        this.documentType = options.documentType || 'sale';
+        this.statuses = options.statuses || ['processing', 'completed'];
+        // How far back the very first run looks, before a checkpoint exists
+        this.initialLookbackHours = options.initialLookbackHours !== undefined ? options.initialLookbackHours : 24;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.isRunning = false;
+    }
+
+    /**
+     * Export new orders of every store and retry earlier failures
+     * @returns {Promise<Object|null>} {exported, failed, skipped, stores}, or null if an export was already running
+     */
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Order export already in progress');
+            return null;
+        }
+
+        this.isRunning = true;
+        const state = this.store.loadOrderExports();
+        const summary = { exported: 0, failed: 0, skipped: 0, stores: {} };
+
+        try {
+            // Orders whose earlier export failed are retried from the saved document
+            await this.retryFailed(state, summary);
+
+            for (const store of this.stores) {
+                summary.stores[store.name] = { status: 'success', ordersChecked: 0 };
+
+                try {
+                    await this.exportStore(store, state, summary);
+                } catch (error) {
+                    logger.error(`Order export for store ${store.name} failed:`, error);
+                    summary.stores[store.name].status = 'failed';
+                    summary.stores[store.name].error = error.message;
+                }
+            }
+
+            this.prune(state);
+            state.lastRun = { finishedAt: new Date().toISOString(), ...summary };
+            logger.info(`Order export finished: ${summary.exported} exported, ${summary.failed} failed, ${summary.skipped} skipped`);
+        } finally {
+            this.store.saveOrderExports(state);
+            this.isRunning = false;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Fetch orders changed since the store's checkpoint and export the new ones
+     * @param {Object} store - Store {name, woocommerce}
+     * @param {Object} state - Export state, updated in place
+     * @param {Object} summary - Run summary to accumulate into
+     */
+    async exportStore(store, state, summary) {
+        const checkpoint = state.checkpoints[store.name];
+        const since = checkpoint
+            ? new Date(new Date(checkpoint).getTime() - CHECKPOINT_OVERLAP_MINUTES * 60 * 1000).toISOString()
+            : new Date(Date.now() - this.initialLookbackHours * 3600 * 1000).toISOString();
+        const startedAt = new Date().toISOString();
+        // Orders pruned from the tracking entries are never exported again, even when modified years later
+        const archived = new Set(state.archived[store.name] || []);
+
+        const orders = await store.woocommerce.getOrders({ statuses: this.statuses, modifiedAfter: since });
+        summary.stores[store.name].ordersChecked = orders.length;
+        logger.info(`Order export: ${orders.length} orders changed in store ${store.name} since ${since}`);
+
+        for (const order of orders) {
+            const key = this.getKey(store.name, order.id);
+
+            if (state.orders[key] || archived.has(order.id)) {
+                continue;
+            }
+
+            const document = this.buildDocument(store.name, order);
+
+            if (document.items.length === 0) {
+                logger.warn(`Order ${order.number || order.id} in store ${store.name} has no items with a SKU, not exported`);
+                state.orders[key] = { status: 'skipped', reason: 'No items with a SKU', at: new Date().toISOString() };
+                summary.skipped++;
+                continue;
+            }
+
+            state.orders[key] = { status: 'pending', attempts: 0, document: document };
+            await this.exportDocument(state, state.orders[key], summary);
+        }
+
+        // Only move the checkpoint once every fetched order is tracked
+        state.checkpoints[store.name] = startedAt;
+    }
+
+    /**
+     * Retry exports that failed in earlier runs
+     * @param {Object} state - Export state, updated in place
+     * @param {Object} summary - Run summary to accumulate into
+     */
+    async retryFailed(state, summary) {
+        for (const [key, entry] of Object.entries(state.orders)) {
+            // A pending entry means the process stopped mid-export; the stable reference lets IPOS spot a duplicate
+            if ((entry.status === 'failed' || entry.status === 'pending') && entry.attempts < this.maxAttempts) {
+                logger.info(`Retrying export of order ${entry.document.reference} (attempt ${entry.attempts + 1}/${this.maxAttempts})`);
+                await this.exportDocument(state, entry, summary);
+            }
+        }
+    }
+
+    /**
+     * Post one document to IPOS and record the outcome. The state is saved
+     * before the post and after it, so a crash in between leaves a pending
+     * entry behind instead of an order that is exported again as new.
+     * @param {Object} state - Export state holding the entry
+     * @param {Object} entry - Tracking entry, updated in place
+     * @param {Object} summary - Run summary to accumulate into
+     */
+    async exportDocument(state, entry, summary) {
+        entry.status = 'pending';
+        entry.attempts++;
+        this.store.saveOrderExports(state);
+
+        try {
+            await this.localApi.postDocument(this.endpoint, entry.document);
+
+            entry.status = 'exported';
+            entry.exportedAt = new Date().toISOString();
+            delete entry.lastError;
+            // The document is no longer needed once IPOS has it
+            entry.reference = entry.document.reference;
+            delete entry.document;
+            summary.exported++;
+            logger.info(`Exported order ${entry.reference} to IPOS`);
+        } catch (error) {
+            entry.status = 'failed';
+            entry.lastError = error.message;
+            entry.lastAttemptAt = new Date().toISOString();
+            summary.failed++;
+
+            if (entry.attempts >= this.maxAttempts) {
+                logger.error(`Giving up on order ${entry.document.reference} after ${entry.attempts} attempts: ${error.message}`);
+            } else {
+                logger.warn(`Export of order ${entry.document.reference} failed, will retry on the next run: ${error.message}`);
+            }
+        }
+
+        this.store.saveOrderExports(state);
+    }
+
+    /**
+     * Build the IPOS document for an order
+     * @param {string} storeName - Store the order belongs to
+     * @param {Object} order - Raw WooCommerce order
+     * @returns {Object} Document posted to the IPOS endpoint
+     */
+    buildDocument(storeName, order) {
+        const items = [];
+
+        for (const item of order.line_items || []) {
+            if (!item.sku || item.sku.trim() === '') {
+                logger.warn(`Order ${order.number || order.id}: line item "${item.name}" has no SKU, left out of the export`);
+                continue;
+            }
+
+            items.push({
+                barcode: this.skuMapper.toBarcode(item.sku),
+                sku: item.sku,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price,
+                total: item.total
+            });
+        }
+
+        const billing = order.billing || {};
+
+        return {
+            type: this.documentType,
+            // Stable reference so IPOS can reject duplicates as well
+            reference: `WC-${storeName}-${order.number || order.id}`,
+            store: storeName,
+            orderId: order.id,
+            orderNumber: order.number || String(order.id),
+            date: order.date_paid_gmt || order.date_created_gmt || order.date_created,
+            customer: [billing.first_name, billing.last_name].filter(Boolean).join(' '),
+            currency: order.currency,
+            total: order.total,
+            items: items
+        };
+    }
+
+    /**
+     * Tracking key for an order
+     * @param {string} storeName - Store name
+     * @param {number} orderId - WooCommerce order ID
+     * @returns {string} Key in the export state
+     */
+    getKey(storeName, orderId) {
+        return `${storeName}:${orderId}`;
+    }
+
+    /**
+     * Drop the tracking entries of exported and skipped orders older than the
+     * retention period, and of orders given up after maxAttempts once their
+     * last attempt is old enough. Their order IDs move to state.archived, so
+     * they are still never exported again.
+     * @param {Object} state - Export state, updated in place
+     */
+    prune(state) {
+        const cutoff = Date.now() - RETENTION_DAYS * 24 * 3600 * 1000;
+        const givenUpCutoff = Date.now() - GIVEN_UP_RETENTION_DAYS * 24 * 3600 * 1000;
+
+        for (const [key, entry] of Object.entries(state.orders)) {
+            const at = entry.exportedAt || entry.at;
+
+            if (at && new Date(at).getTime() < cutoff) {
+                this.archive(state, key);
+            } else if (entry.status === 'failed' && entry.attempts >= this.maxAttempts &&
+                entry.lastAttemptAt && new Date(entry.lastAttemptAt).getTime() < givenUpCutoff) {
+                logger.warn(`Archiving order ${entry.document.reference}, given up ${GIVEN_UP_RETENTION_DAYS} days ago and never exported`);
+                this.archive(state, key);
+            }
+        }
+    }
+
+    /**
+     * Replace the tracking entry of an order by its ID in state.archived
+     * @param {Object} state - Export state, updated in place
+     * @param {string} key - Tracking key from getKey()
+     */
+    archive(state, key) {
+        const separator = key.lastIndexOf(':');
+        const storeName = key.slice(0, separator);
+        const orderId = Number(key.slice(separator + 1));
+
+        state.archived[storeName] = state.archived[storeName] || [];
+        state.archived[storeName].push(orderId);
+        delete state.orders[key];
+    }
+
+    /**
+     * Summarise the export state for stats and the CLI
+     * @returns {Object} {enabled, checkpoints, exported, archived, failed, lastRun}
+     */
+    getStatus() {
+        const state = this.store.loadOrderExports();
+        const entries = Object.entries(state.orders);
+
+        return {
+            enabled: this.enabled,
+            checkpoints: state.checkpoints,
+            exported: entries.filter(([, entry]) => entry.status === 'exported').length,
+            archived: Object.values(state.archived).reduce((count, orderIds) => count + orderIds.length, 0),
+            failed: entries
+                .filter(([, entry]) => entry.status === 'failed')
+                .map(([key, entry]) => ({
+                    key: key,
+                    reference: entry.document.reference,
+                    attempts: entry.attempts,
+                    retrying: entry.attempts < this.maxAttempts,
+                    lastError: entry.lastError
+                })),
+            lastRun: state.lastRun || null
+        };
+    }
+}
+
+module.exports = OrderExporter;
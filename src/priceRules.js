@@ -0,0 +1,125 @@
+const logger = require('./logger');
+const config = require('./config');
+
+const ROUNDING_MODES = ['none', 'nearest', 'up', 'down'];
+
+/**
+ * Opt-in price sync: turns the IPOS selling and promo prices into the
+ * regular_price and sale_price published to WooCommerce
+ */
+class PriceRules {
+    /**
+     * @param {Object} options - Price sync settings, defaults to config.priceSync
+     * @param {number} multiplier - Per-store price multiplier
+     */
+    constructor(options = config.priceSync || {}, multiplier = 1) {
+        const rounding = options.rounding || {};
+
+        this.enabled = Boolean(options.enabled);
+        this.syncSalePrice = Boolean(options.salePriceField);
+        this.multiplier = Number(multiplier) || 1;
+        this.roundingMode = rounding.mode || 'none';
+        this.roundingStep = Number(rounding.step) || 1;
+        this.decimals = options.decimals !== undefined ? Number(options.decimals) : 0;
+        this.maxChangePercent = options.maxChangePercent !== undefined ? options.maxChangePercent : 30;
+
+        if (!ROUNDING_MODES.includes(this.roundingMode)) {
+            throw new Error(`priceSync.rounding.mode: unknown mode "${this.roundingMode}" (use ${ROUNDING_MODES.join(', ')})`);
+        }
+    }
+
+    /**
+     * Apply the store multiplier and rounding to an IPOS price
+     * @param {number} price - Price from IPOS
+     * @returns {string} Price formatted for the WooCommerce API, e.g. "15000" or "12.50"
+     */
+    convert(price) {
+        let value = price * this.multiplier;
+
+        if (this.roundingMode !== 'none') {
+            const round = { nearest: Math.round, up: Math.ceil, down: Math.floor }[this.roundingMode];
+            value = round(value / this.roundingStep) * this.roundingStep;
+        }
+
+        return value.toFixed(this.decimals);
+    }
+
+    /**
+     * Check whether a price change exceeds the configured limit
+     * @param {string} oldPrice - Current WooCommerce price
+     * @param {string} newPrice - Price about to be published
+     * @returns {number|null} Change in percent when it is over the limit, otherwise null
+     */
+    exceedsLimit(oldPrice, newPrice) {
+        const oldValue = parseFloat(oldPrice);
+
+        if (this.maxChangePercent === null || isNaN(oldValue) || oldValue <= 0) {
+            return null;
+        }
+
+        const changePercent = Math.abs(parseFloat(newPrice) - oldValue) / oldValue * 100;
+        return changePercent > this.maxChangePercent ? changePercent : null;
+    }
+
+    /**
+     * Compute the price change for a product
+     * @param {Object} product - Mapped WooCommerce product with regular_price and sale_price
+     * @param {Object} stockData - Parsed IPOS data with price and salePrice
+     * @returns {Object|null} {change, blocked} where change is {regular, sale, oldRegular, oldSale}
+     *                        or null when prices are already in sync or unknown
+     */
+    apply(product, stockData) {
+        if (!this.enabled || !stockData || stockData.price === null || stockData.price === undefined) {
+            return null;
+        }
+
+        const regular = this.convert(stockData.price);
+        const change = { regular: regular, oldRegular: product.regular_price || '' };
+        let changed = parseFloat(change.oldRegular) !== parseFloat(regular);
+
+        if (this.syncSalePrice) {
+            // A promo price only counts when it is below the regular price; otherwise the sale is cleared
+            const sale = stockData.salePrice ? this.convert(stockData.salePrice) : '';
+            change.sale = sale !== '' && parseFloat(sale) < parseFloat(regular) ? sale : '';
+            change.oldSale = product.sale_price || '';
+            changed = changed || (change.sale === '' ? change.oldSale !== '' : parseFloat(change.oldSale) !== parseFloat(change.sale));
+        }
+
+        if (!changed) {
+            return null;
+        }
+
+        // Starting or ending a sale is not limited, only a sale price that moves too far
+        const checks = [['regular_price', change.oldRegular, change.regular]];
+        if (this.syncSalePrice && change.oldSale !== '' && change.sale !== '') {
+            checks.push(['sale_price', change.oldSale, change.sale]);
+        }
+
+        for (const [field, oldPrice, newPrice] of checks) {
+            const changePercent = this.exceedsLimit(oldPrice, newPrice);
+            if (changePercent !== null) {
+                logger.warn(`Price change for ${product.sku} blocked: ${field} ${oldPrice} -> ${newPrice} (${changePercent.toFixed(1)}%, limit ${this.maxChangePercent}%)`);
+                return { change: null, blocked: { sku: product.sku, field: field, oldPrice: oldPrice, newPrice: newPrice, changePercent: changePercent } };
+            }
+        }
+
+        return { change: change, blocked: null };
+    }
+
+    /**
+     * Describe a price change for logs and reports
+     * @param {Object} change - Price change from apply()
+     * @returns {string} e.g. "15000 -> 16000, sale 14000 -> none"
+     */
+    describe(change) {
+        const parts = [`${change.oldRegular || 'none'} -> ${change.regular}`];
+
+        if (change.sale !== undefined && change.sale !== change.oldSale) {
+            parts.push(`sale ${change.oldSale || 'none'} -> ${change.sale || 'none'}`);
+        }
+
+        return parts.join(', ');
+    }
+}
+
+module.exports = PriceRules;
@@ -0,0 +1,147 @@
+const logger = require('./logger');
+const config = require('./config');
+
+// More specific scopes win over broader ones
+const SCOPE_PRIORITY = ['sku', 'tag', 'category', 'global'];
+
+/**
+ * Safety stock and publish rules that turn the raw IPOS quantity into the
+ * quantity published to WooCommerce
+ */
+class PublishRules {
+    /**
+     * @param {Array} rules - Rule definitions, defaults to config.publishRules
+     */
+    constructor(rules = config.publishRules || []) {
+        this.rules = rules.map((rule, index) => this.normalizeRule(rule, index));
+    }
+
+    /**
+     * Validate and normalise one rule definition
+     * @param {Object} rule - Rule from config
+     * @param {number} index - Position in the config list, used in names and errors
+     * @returns {Object} Normalised rule
+     */
+    normalizeRule(rule, index) {
+        const scope = rule.scope || 'global';
+
+        if (!SCOPE_PRIORITY.includes(scope)) {
+            throw new Error(`publishRules[${index}]: unknown scope "${scope}" (use ${SCOPE_PRIORITY.join(', ')})`);
+        }
+
+        if (scope !== 'global' && (!Array.isArray(rule.match) || rule.match.length === 0)) {
+            throw new Error(`publishRules[${index}]: scope "${scope}" needs a non-empty "match" list`);
+        }
+
+        return {
+            name: rule.name || `${scope}#${index}`,
+            scope: scope,
+            match: (rule.match || []).map(value => String(value).trim().toLowerCase()),
+            buffer: Number(rule.buffer) || 0,
+            percentage: rule.percentage !== undefined && rule.percentage !== null ? Number(rule.percentage) : null,
+            maxPublish: rule.maxPublish !== undefined && rule.maxPublish !== null ? Number(rule.maxPublish) : null,
+            minToShow: Number(rule.minToShow) || 0
+        };
+    }
+
+    /**
+     * Check whether a rule applies to a product
+     * @param {Object} rule - Normalised rule
+     * @param {Object} product - Mapped WooCommerce product
+     * @returns {boolean} True if the rule applies
+     */
+    matches(rule, product) {
+        if (rule.scope === 'global') {
+            return true;
+        }
+
+        if (rule.scope === 'sku') {
+            return rule.match.includes(String(product.sku).trim().toLowerCase());
+        }
+
+        const terms = rule.scope === 'category' ? product.categories : product.tags;
+        return (terms || []).some(term =>
+            rule.match.includes(String(term.id)) ||
+            rule.match.includes(String(term.slug || '').toLowerCase()) ||
+            rule.match.includes(String(term.name || '').toLowerCase())
+        );
+    }
+
+    /**
+     * Find the most specific rule for a product
+     * @param {Object} product - Mapped WooCommerce product
+     * @returns {Object|null} Rule or null when no rule applies
+     */
+    findRule(product) {
+        for (const scope of SCOPE_PRIORITY) {
+            const rule = this.rules.find(candidate => candidate.scope === scope && this.matches(candidate, product));
+            if (rule) {
+                return rule;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compute the quantity to publish for a product
+     * @param {Object} product - Mapped WooCommerce product
+     * @param {number} rawQuantity - Stock quantity from IPOS
+     * @returns {Object} {quantity, rule} where rule describes what was applied, or null
+     */
+    apply(product, rawQuantity) {
+        const rule = this.findRule(product);
+
+        if (!rule) {
+            return { quantity: rawQuantity, rule: null };
+        }
+
+        let quantity = rawQuantity - rule.buffer;
+
+        if (rule.percentage !== null) {
+            quantity = Math.floor(quantity * rule.percentage / 100);
+        }
+
+        if (rule.maxPublish !== null) {
+            quantity = Math.min(quantity, rule.maxPublish);
+        }
+
+        if (quantity < rule.minToShow) {
+            quantity = 0;
+        }
+
+        quantity = Math.max(0, quantity);
+
+        if (quantity !== rawQuantity) {
+            logger.debug(`Publish rule ${rule.name} applied to ${product.sku}: ${rawQuantity} -> ${quantity}`);
+        }
+
+        return { quantity: quantity, rule: this.describe(rule) };
+    }
+
+    /**
+     * Describe a rule for logs and diff reports
+     * @param {Object} rule - Normalised rule
+     * @returns {string} e.g. "category#1: buffer 2, 50%, max 20, min 3"
+     */
+    describe(rule) {
+        const parts = [];
+
+        if (rule.buffer) {
+            parts.push(`buffer ${rule.buffer}`);
+        }
+        if (rule.percentage !== null) {
+            parts.push(`${rule.percentage}%`);
+        }
+        if (rule.maxPublish !== null) {
+            parts.push(`max ${rule.maxPublish}`);
+        }
+        if (rule.minToShow) {
+            parts.push(`min ${rule.minToShow}`);
+        }
+
+        return `${rule.name}: ${parts.join(', ') || 'no change'}`;
+    }
+}
+
+module.exports = PublishRules;
@@ -0,0 +1,295 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./logger');
+const SecretProvider = require('./secretProvider');
+const config = require('./config');
+
+// Request bodies larger than this are rejected
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP receiver for stock-change notifications pushed by IPOS. Changed
+ * barcodes are collected, deduplicated and synced together once a burst of
+ * notifications has settled.
+ */
+class PushReceiver {
+    /**
+     * @param {StockSyncService} syncService - The running sync service
+     */
+    constructor(syncService) {
+        const pushApi = config.pushApi || {};
+
+        this.syncService = syncService;
+        this.host = pushApi.host || '127.0.0.1';
+        this.port = pushApi.port || 8788;
+        this.secret = SecretProvider.getShared().resolve(pushApi.secret, 'pushApi.secret') || '';
+        // Wait this long after the last notification before syncing
+        this.debounceMs = pushApi.debounceMs !== undefined ? pushApi.debounceMs : 2000;
+        // ...but never hold a barcode back longer than this during a continuous burst
+        this.maxWaitMs = pushApi.maxWaitMs !== undefined ? pushApi.maxWaitMs : 10000;
+        // Retry delay when another sync holds the lock
+        this.busyRetryMs = pushApi.busyRetryMs || 5000;
+        this.maxBarcodesPerRequest = pushApi.maxBarcodesPerRequest || 1000;
+
+        this.server = null;
+        this.pending = new Set();
+        this.firstPendingAt = null;
+        this.timer = null;
+        this.flushing = false;
+    }
+
+    /**
+     * Start listening for notifications
+     * @returns {Promise<void>} Resolves once the server is listening
+     */
+    start() {
+        if (!this.secret) {
+            logger.error('Push receiver is enabled but pushApi.secret is not set, refusing to start it');
+            return Promise.resolve();
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                logger.error('Push receiver request failed:', error);
+                this.sendJson(res, 500, { error: 'Internal server error' });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                logger.info(`Push receiver listening on http://${this.host}:${this.port}/push/stock`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the server and drop any pending barcodes; the next scheduled full sync covers them
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+            logger.info('Push receiver stopped');
+        }
+    }
+
+    /**
+     * Handle an incoming request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        const pathname = new URL(req.url, `http://${req.headers.host || 'localhost'}`).pathname;
+
+        if (req.method !== 'POST' || pathname !== '/push/stock') {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        if (!this.isAuthorized(req)) {
+            logger.warn(`Unauthorized push notification from ${req.socket.remoteAddress}`);
+            return this.sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        let body;
+        try {
+            body = await this.readBody(req);
+        } catch (error) {
+            return this.sendJson(res, error.statusCode || 400, { error: error.message });
+        }
+
+        const barcodes = this.extractBarcodes(body);
+
+        if (barcodes === null) {
+            return this.sendJson(res, 400, { error: 'Expected {"barcodes": [...]}, {"barcode": "..."} or an array of barcodes' });
+        }
+
+        if (barcodes.length > this.maxBarcodesPerRequest) {
+            return this.sendJson(res, 413, { error: `At most ${this.maxBarcodesPerRequest} barcodes per request` });
+        }
+
+        this.enqueue(barcodes);
+        this.sendJson(res, 202, { accepted: barcodes.length, pending: this.pending.size });
+    }
+
+    /**
+     * Check the shared secret, sent as X-Push-Secret or a bearer token
+     * @param {http.IncomingMessage} req - Request
+     * @returns {boolean} True if the secret matches
+     */
+    isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        const secret = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-push-secret'];
+
+        if (typeof secret !== 'string') {
+            return false;
+        }
+
+        // Digests have the same length whatever was sent, timingSafeEqual throws on buffers of different lengths
+        const digest = value => crypto.createHash('sha256').update(value, 'utf8').digest();
+        return crypto.timingSafeEqual(digest(secret), digest(this.secret));
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<*>} Parsed body
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    const error = new Error('Request body too large');
+                    error.statusCode = 413;
+                    reject(error);
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Get the barcodes from a notification body
+     * @param {*} body - Parsed request body
+     * @returns {Array<string>|null} Trimmed, non-empty barcodes, or null when the body has no barcode list
+     */
+    extractBarcodes(body) {
+        let values = null;
+
+        if (Array.isArray(body)) {
+            values = body;
+        } else if (body && Array.isArray(body.barcodes)) {
+            values = body.barcodes;
+        } else if (body && body.barcode !== undefined) {
+            values = [body.barcode];
+        }
+
+        if (values === null) {
+            return null;
+        }
+
+        return values
+            .filter(value => typeof value === 'string' || typeof value === 'number')
+            .map(value => String(value).trim())
+            .filter(value => value !== '');
+    }
+
+    /**
+     * Add barcodes to the pending set and (re)start the debounce timer
+     * @param {Array<string>} barcodes - Changed barcodes
+     */
+    enqueue(barcodes) {
+        if (barcodes.length === 0) {
+            return;
+        }
+
+        for (const barcode of barcodes) {
+            this.pending.add(barcode);
+        }
+
+        if (!this.firstPendingAt) {
+            this.firstPendingAt = Date.now();
+        }
+
+        logger.debug(`Push notification for ${barcodes.length} barcodes, ${this.pending.size} pending`);
+        this.schedule(this.debounceMs);
+    }
+
+    /**
+     * Schedule a flush, keeping within maxWaitMs of the oldest pending barcode
+     * @param {number} delayMs - Requested delay
+     */
+    schedule(delayMs) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        const waited = Date.now() - this.firstPendingAt;
+        const delay = Math.max(0, Math.min(delayMs, this.maxWaitMs - waited));
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => {
+                logger.error('Push sync failed:', error);
+            });
+        }, delay);
+    }
+
+    /**
+     * Sync all pending barcodes. When another sync holds the lock, the
+     * barcodes stay pending and the flush is retried later.
+     */
+    async flush() {
+        if (this.pending.size === 0) {
+            return;
+        }
+
+        if (this.flushing || this.syncService.isRunning) {
+            logger.info(`Sync in progress, retrying ${this.pending.size} pushed barcodes in ${this.busyRetryMs / 1000}s`);
+            this.firstPendingAt = Date.now();
+            this.schedule(this.busyRetryMs);
+            return;
+        }
+
+        const barcodes = Array.from(this.pending);
+        this.pending.clear();
+        this.firstPendingAt = null;
+        this.flushing = true;
+
+        try {
+            logger.info(`Syncing ${barcodes.length} barcodes pushed by IPOS`);
+            const summary = await this.syncService.syncBarcodes(barcodes);
+
+            // Another run grabbed the lock in the meantime
+            if (!summary) {
+                this.enqueue(barcodes);
+            }
+        } finally {
+            this.flushing = false;
+
+            // Notifications that arrived during the sync
+            if (this.pending.size > 0 && !this.timer) {
+                this.schedule(this.debounceMs);
+            }
+        }
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status code
+     * @param {Object} body - Response body
+     */
+    sendJson(res, status, body) {
+        if (res.headersSent) {
+            return;
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = PushReceiver;
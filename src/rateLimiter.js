@@ -0,0 +1,33 @@
+/**
+ * Spaces out requests so that no more than a given number start per second.
+ * Callers await acquire() right before each request.
+ */
+class RateLimiter {
+    /**
+     * @param {number|null} requestsPerSecond - Request cap, or null/0 for no limit
+     */
+    constructor(requestsPerSecond = null) {
+        this.intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+        this.nextSlotAt = 0;
+    }
+
+    /**
+     * Wait for the next free request slot
+     * @returns {Promise<void>} Resolves when the request may start
+     */
+    async acquire() {
+        if (this.intervalMs === 0) {
+            return;
+        }
+
+        const now = Date.now();
+        const slotAt = Math.max(now, this.nextSlotAt);
+        this.nextSlotAt = slotAt + this.intervalMs;
+
+        if (slotAt > now) {
+            await new Promise(resolve => setTimeout(resolve, slotAt - now));
+        }
+    }
+}
+
+module.exports = RateLimiter;
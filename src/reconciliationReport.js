@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const COLUMNS = [
+    { key: 'sku', header: 'SKU' },
+    { key: 'barcode', header: 'IPOS Barcode' },
+    { key: 'name', header: 'Name' },
+    { key: 'productId', header: 'Product ID' },
+    { key: 'parentId', header: 'Parent ID' },
+    { key: 'wooStock', header: 'WooCommerce Stock' },
+    { key: 'wooStockStatus', header: 'WooCommerce Stock Status' },
+    { key: 'localStock', header: 'IPOS Stock' },
+    { key: 'rule', header: 'Publish Rule' },
+    { key: 'publishedStock', header: 'Published Stock' },
+    { key: 'matchState', header: 'Match State' }
+];
+
+/**
+ * Full reconciliation between WooCommerce and IPOS. Read-only: nothing is
+ * written to either system.
+ */
+class ReconciliationReport {
+    /**
+     * @param {WooCommerceService} woocommerce - WooCommerce service
+     * @param {LocalApiService} localApi - Local IPOS API service
+     * @param {Object} options - Options
+     * @param {SkuMapper} options.skuMapper - SKU to barcode mapper
+     * @param {PublishRules} options.publishRules - Safety stock rules applied before comparing
+     */
+    constructor(woocommerce, localApi, options = {}) {
+        this.woocommerce = woocommerce;
+        this.localApi = localApi;
+        this.skuMapper = options.skuMapper || null;
+        this.publishRules = options.publishRules || null;
+        this.rows = [];
+    }
+
+    /**
+     * Fetch every product and compare it against IPOS
+     * @returns {Promise<Array>} Report rows
+     */
+    async build() {
+        const products = await this.woocommerce.getAllProducts({ includeWithoutSku: true });
+        await this.localApi.loadStockIndex();
+
+        this.rows = [];
+
+        try {
+            for (const product of products) {
+                this.rows.push(await this.buildRow(product));
+            }
+        } finally {
+            this.localApi.clearStockIndex();
+        }
+
+        logger.info(`Reconciliation report built for ${this.rows.length} products`);
+        return this.rows;
+    }
+
+    /**
+     * Compare one product against IPOS
+     * @param {Object} product - Mapped WooCommerce product
+     * @returns {Promise<Object>} Report row
+     */
+    async buildRow(product) {
+        const sku = (product.sku || '').trim();
+        const row = {
+            sku: sku,
+            barcode: null,
+            name: product.name,
+            productId: product.id,
+            parentId: product.parentId,
+            wooStock: product.stock_quantity,
+            wooStockStatus: product.stock_status,
+            localStock: null,
+            rule: null,
+            publishedStock: null,
+            matchState: 'no_sku'
+        };
+
+        if (sku === '') {
+            return row;
+        }
+
+        row.barcode = this.skuMapper ? this.skuMapper.toBarcode(sku) : sku;
+
+        const lookup = this.localApi.hasStockIndex()
+            ? this.localApi.lookupIndexedStock(row.barcode)
+            : await this.localApi.lookupStock(row.barcode);
+
+        if (lookup.status === 'found' && lookup.stockData.available) {
+            row.localStock = lookup.stockData.stockQuantity;
+
+            const published = this.publishRules ? this.publishRules.apply(product, row.localStock) : { quantity: row.localStock, rule: null };
+            row.rule = published.rule;
+            row.publishedStock = published.quantity;
+            row.matchState = row.publishedStock === row.wooStock ? 'in_sync' : 'differs';
+        } else if (lookup.status === 'parse_failure' || lookup.status === 'found') {
+            row.matchState = 'parse_failure';
+        } else if (lookup.status === 'error') {
+            row.matchState = 'lookup_error';
+        } else {
+            row.matchState = 'missing_in_ipos';
+        }
+
+        return row;
+    }
+
+    /**
+     * Count rows per match state
+     * @returns {Object} Counts keyed by match state
+     */
+    getTotals() {
+        const totals = { total: this.rows.length };
+
+        for (const row of this.rows) {
+            totals[row.matchState] = (totals[row.matchState] || 0) + 1;
+        }
+
+        return totals;
+    }
+
+    /**
+     * Format the report as CSV
+     * @returns {string} CSV text
+     */
+    toCsv() {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [COLUMNS.map(column => escape(column.header)).join(',')];
+        for (const row of this.rows) {
+            lines.push(COLUMNS.map(column => escape(row[column.key])).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format the report as JSON
+     * @returns {string} JSON text
+     */
+    toJson() {
+        return JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            totals: this.getTotals(),
+            products: this.rows
+        }, null, 2);
+    }
+
+    /**
+     * Write the report as an XLSX workbook
+     * @param {string} file - Output file path
+     * @returns {Promise<void>}
+     */
+    async writeXlsx(file) {
+        // Loaded lazily so CSV and JSON reports do not need the dependency
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Reconciliation');
+
+        sheet.columns = COLUMNS.map(column => ({ header: column.header, key: column.key, width: 18 }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.addRows(this.rows);
+
+        const summary = workbook.addWorksheet('Summary');
+        summary.columns = [
+            { header: 'Match State', key: 'state', width: 20 },
+            { header: 'Products', key: 'count', width: 12 }
+        ];
+        summary.getRow(1).font = { bold: true };
+        for (const [state, count] of Object.entries(this.getTotals())) {
+            summary.addRow({ state, count });
+        }
+
+        await workbook.xlsx.writeFile(file);
+    }
+
+    /**
+     * Write the report in the requested format
+     * @param {string} format - 'csv', 'json' or 'xlsx'
+     * @param {string} file - Output file path
+     * @returns {Promise<string>} Path of the written file
+     */
+    async write(format, file) {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        if (format === 'csv') {
+            fs.writeFileSync(file, this.toCsv(), 'utf8');
+        } else if (format === 'json') {
+            fs.writeFileSync(file, this.toJson(), 'utf8');
+        } else if (format === 'xlsx') {
+            await this.writeXlsx(file);
+        } else {
+            throw new Error(`Unsupported report format: ${format} (use csv, json or xlsx)`);
+        }
+
+        logger.info(`Reconciliation report written to ${file}`);
+        return file;
+    }
+}
+
+ReconciliationReport.FORMATS = ['csv', 'json', 'xlsx'];
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,239 @@
+const CronExpression = require('./cronExpression');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Job types a schedule can run, see StockSyncService.runScheduledJob()
+const JOBS = ['full', 'changed', 'orders'];
+const INTERVAL_UNITS = { s: 1 / 60, m: 1, h: 60, d: 1440 };
+// How far ahead the next run is searched; "0 0 31 2 *" never matches
+const LOOKAHEAD_DAYS = 366;
+
+/**
+ * One entry of sync.schedules: when to run (a cron expression or an
+ * interval), which job to run and the blackout windows in which it must
+ * not run. Times are wall-clock times in the schedule's timezone.
+ */
+class Schedule {
+    /**
+     * @param {Object} options - Schedule {name, cron | every, job, timezone, blackouts}
+     * @param {Object} defaults - Settings shared by all schedules {timezone, blackouts}
+     */
+    constructor(options, defaults = {}) {
+        this.name = options.name || options.job || 'default';
+        this.job = options.job || 'full';
+        this.timezone = options.timezone || defaults.timezone || Schedule.getLocalTimezone();
+
+        if (!JOBS.includes(this.job)) {
+            throw new Error(`Schedule ${this.name}: unknown job "${this.job}" (use ${JOBS.join(', ')})`);
+        }
+
+        if ((options.cron === undefined) === (options.every === undefined)) {
+            throw new Error(`Schedule ${this.name}: set either "cron" or "every"`);
+        }
+
+        this.cron = options.cron !== undefined ? new CronExpression(options.cron) : null;
+        this.intervalMinutes = options.every !== undefined ? Schedule.parseInterval(options.every) : null;
+        this.blackouts = [...(defaults.blackouts || []), ...(options.blackouts || [])].map(window => this.parseBlackout(window));
+
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                weekday: 'short'
+            });
+        } catch (error) {
+            throw new Error(`Schedule ${this.name}: unknown timezone "${this.timezone}"`);
+        }
+    }
+
+    /**
+     * Timezone of this PC, used when neither the schedule nor sync.timezone sets one
+     * @returns {string} IANA timezone name, e.g. "Asia/Jakarta"
+     */
+    static getLocalTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Parse a human interval into minutes
+     * @param {string|number} value - e.g. 15 (minutes), "15m", "2h", "1h30m" or "every 90 minutes"
+     * @returns {number} Whole minutes, between 1 and 1440
+     */
+    static parseInterval(value) {
+        let minutes = 0;
+
+        if (typeof value === 'number') {
+            minutes = value;
+        } else {
+            const text = String(value).trim().toLowerCase().replace(/^every\s+/, '');
+            const pattern = /(\d+(?:\.\d+)?)\s*(seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h|days?|d)\s*/y;
+            let match;
+
+            while ((match = pattern.exec(text)) !== null) {
+                minutes += Number(match[1]) * INTERVAL_UNITS[match[2][0]];
+                if (pattern.lastIndex === text.length) {
+                    break;
+                }
+            }
+
+            if (text === '' || pattern.lastIndex !== text.length) {
+                throw new Error(`Interval "${value}" is not understood, use e.g. "15m", "2h" or "1h30m"`);
+            }
+        }
+
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+            throw new Error(`Interval "${value}" must be a whole number of minutes between 1 minute and 24 hours (use "cron" for longer schedules)`);
+        }
+
+        return minutes;
+    }
+
+    /**
+     * Parse a blackout window
+     * @param {Object} window - {from: "22:00", to: "06:00", days: ["sat", "sun"]}; days are optional
+     * @returns {Object} {from, to, days} with times in minutes after midnight and days as weekday numbers
+     */
+    parseBlackout(window) {
+        const toMinutes = text => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+            if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+                throw new Error(`Schedule ${this.name}: blackout time "${text}" must be HH:MM`);
+            }
+            return Number(match[1]) * 60 + Number(match[2]);
+        };
+
+        const days = (window.days || WEEKDAYS).map(day => {
+            const index = WEEKDAYS.indexOf(String(day).toLowerCase().slice(0, 3));
+            if (index === -1) {
+                throw new Error(`Schedule ${this.name}: blackout day "${day}" is not a weekday`);
+            }
+            return index;
+        });
+
+        return { from: toMinutes(window.from), to: toMinutes(window.to), days: new Set(days) };
+    }
+
+    /**
+     * Describe when the schedule runs, for logs and stats
+     * @returns {string} e.g. "cron 0 2 * * * (Asia/Jakarta)" or "every 15 minutes (Asia/Jakarta)"
+     */
+    describe() {
+        const when = this.cron ? `cron ${this.cron.expression}` : `every ${this.intervalMinutes} minute${this.intervalMinutes === 1 ? '' : 's'}`;
+        return `${when} (${this.timezone})`;
+    }
+
+    /**
+     * Wall-clock time of a moment in the schedule's timezone
+     * @param {Date} date - Moment
+     * @returns {Object} {minute, hour, day, month, year, weekday, minuteOfDay}
+     */
+    getLocalTime(date) {
+        const parts = {};
+        for (const part of this.formatter.formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+
+        const time = {
+            minute: Number(parts.minute),
+            hour: Number(parts.hour),
+            day: Number(parts.day),
+            month: Number(parts.month),
+            year: Number(parts.year),
+            weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+        };
+        time.minuteOfDay = time.hour * 60 + time.minute;
+        return time;
+    }
+
+    /**
+     * Check whether a wall-clock time falls in a blackout window. A window
+     * ending before it starts runs past midnight and belongs to the day it starts.
+     * @param {Object} time - Wall-clock time from getLocalTime()
+     * @returns {number} Minutes until the blackout ends, 0 if the schedule may run
+     */
+    getBlackoutRemaining(time) {
+        const previousDay = (time.weekday + 6) % 7;
+        let remaining = 0;
+
+        for (const window of this.blackouts) {
+            if (window.from < window.to) {
+                if (window.days.has(time.weekday) && time.minuteOfDay >= window.from && time.minuteOfDay < window.to) {
+                    remaining = Math.max(remaining, window.to - time.minuteOfDay);
+                }
+            } else if (window.days.has(time.weekday) && time.minuteOfDay >= window.from) {
+                remaining = Math.max(remaining, 1440 - time.minuteOfDay + window.to);
+            } else if (window.days.has(previousDay) && time.minuteOfDay < window.to) {
+                remaining = Math.max(remaining, window.to - time.minuteOfDay);
+            }
+        }
+
+        return remaining;
+    }
+
+    /**
+     * Find the next run time
+     * @param {Date} after - Find the first run in a later minute than this
+     * @returns {Date|null} Next run, or null if none within a year
+     */
+    nextRun(after = new Date()) {
+        let at = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+        const end = at + LOOKAHEAD_DAYS * 24 * 3600 * 1000;
+
+        while (at < end) {
+            const time = this.getLocalTime(new Date(at));
+            let skip = 1;
+
+            if (this.cron) {
+                if (!this.cron.matchesDate(time)) {
+                    skip = 1440 - time.minuteOfDay;
+                } else if (!this.cron.matchesHour(time)) {
+                    skip = 60 - time.minute;
+                } else if (this.cron.matches(time)) {
+                    const blackout = this.getBlackoutRemaining(time);
+                    if (blackout === 0) {
+                        return new Date(at);
+                    }
+                    skip = blackout;
+                }
+            } else {
+                // Intervals are counted from midnight, so "every 45m" runs at 00:00, 00:45, 01:30, ...
+                const remainder = time.minuteOfDay % this.intervalMinutes;
+                const blackout = this.getBlackoutRemaining(time);
+                if (remainder === 0 && blackout === 0) {
+                    return new Date(at);
+                }
+                skip = Math.max(blackout, Math.min(this.intervalMinutes - remainder, 1440 - time.minuteOfDay));
+            }
+
+            at = this.advance(at, time, skip);
+        }
+
+        return null;
+    }
+
+    /**
+     * Move forward by a number of wall-clock minutes. On a day that loses an
+     * hour to daylight saving time the same number of real minutes lands an
+     * hour too late, so the overshoot is taken back.
+     * @param {number} at - Current moment in milliseconds
+     * @param {Object} time - Its wall-clock time from getLocalTime()
+     * @param {number} minutes - Wall-clock minutes to move forward
+     * @returns {number} Next moment to check, always at least a minute later
+     */
+    advance(at, time, minutes) {
+        const next = at + minutes * 60000;
+        const nextTime = this.getLocalTime(new Date(next));
+        const days = (Date.UTC(nextTime.year, nextTime.month - 1, nextTime.day) - Date.UTC(time.year, time.month - 1, time.day)) / 86400000;
+        const overshoot = days * 1440 + nextTime.minuteOfDay - time.minuteOfDay - minutes;
+
+        return overshoot > 0 ? Math.max(next - overshoot * 60000, at + 60000) : next;
+    }
+}
+
+Schedule.JOBS = JOBS;
+
+module.exports = Schedule;
@@ -0,0 +1,125 @@
+const logger = require('./logger');
+
+// setTimeout cannot wait longer than about 24.8 days, longer waits are re-armed
+const MAX_TIMER_MS = 24 * 3600 * 1000;
+
+/**
+ * Runs schedules on timers. Each schedule is armed for its next run time;
+ * when it fires it is armed again before its job starts, so a long job does
+ * not shift the schedule. Overlapping jobs are left to the job runner.
+ */
+class Scheduler {
+    /**
+     * @param {Function} runJob - Async function called with the Schedule that fired
+     */
+    constructor(runJob) {
+        this.runJob = runJob;
+        // Schedule -> {timer, nextRun, lastRun}
+        this.entries = new Map();
+    }
+
+    /**
+     * Replace the running schedules
+     * @param {Array<Schedule>} schedules - Schedules to run
+     */
+    start(schedules) {
+        this.stop();
+
+        for (const schedule of schedules) {
+            this.entries.set(schedule, { timer: null, nextRun: null, lastRun: null });
+            this.arm(schedule, new Date());
+
+            const nextRun = this.entries.get(schedule).nextRun;
+            logger.info(`Schedule ${schedule.name}: ${schedule.job} sync ${schedule.describe()}, next run ${nextRun ? nextRun.toISOString() : 'never'}`);
+        }
+    }
+
+    /**
+     * Stop all schedules
+     */
+    stop() {
+        for (const entry of this.entries.values()) {
+            clearTimeout(entry.timer);
+        }
+        this.entries.clear();
+    }
+
+    /**
+     * Set the timer for the next run of a schedule
+     * @param {Schedule} schedule - Schedule
+     * @param {Date} after - Run after this time
+     */
+    arm(schedule, after) {
+        const entry = this.entries.get(schedule);
+        entry.nextRun = schedule.nextRun(after);
+
+        if (!entry.nextRun) {
+            logger.warn(`Schedule ${schedule.name} (${schedule.describe()}) has no run time in the next year, it will not run`);
+            return;
+        }
+
+        const waitMs = entry.nextRun.getTime() - Date.now();
+
+        entry.timer = setTimeout(() => {
+            if (waitMs > MAX_TIMER_MS) {
+                this.arm(schedule, after);
+                return;
+            }
+            this.fire(schedule, entry.nextRun);
+        }, Math.max(0, Math.min(waitMs, MAX_TIMER_MS)));
+    }
+
+    /**
+     * Run a schedule's job and arm it for the following run
+     * @param {Schedule} schedule - Schedule that fired
+     * @param {Date} at - Time the run was planned for
+     */
+    async fire(schedule, at) {
+        const entry = this.entries.get(schedule);
+        if (!entry) {
+            return;
+        }
+
+        entry.lastRun = new Date();
+        // Timers may fire a little early, so the next run is searched after the planned time
+        this.arm(schedule, new Date(Math.max(at.getTime(), Date.now())));
+
+        try {
+            await this.runJob(schedule);
+        } catch (error) {
+            logger.error(`Scheduled ${schedule.name} run failed:`, error);
+        }
+    }
+
+    /**
+     * Describe the running schedules for stats
+     * @returns {Array} {name, job, schedule, nextRun, lastRun} per schedule
+     */
+    getStatus() {
+        return Array.from(this.entries, ([schedule, entry]) => ({
+            name: schedule.name,
+            job: schedule.job,
+            schedule: schedule.describe(),
+            nextRun: entry.nextRun ? entry.nextRun.toISOString() : null,
+            lastRun: entry.lastRun ? entry.lastRun.toISOString() : null
+        }));
+    }
+
+    /**
+     * The earliest next run of all schedules
+     * @returns {Date|null} Next run time, or null when nothing is scheduled
+     */
+    getNextRun() {
+        let next = null;
+
+        for (const entry of this.entries.values()) {
+            if (entry.nextRun && (!next || entry.nextRun < next)) {
+                next = entry.nextRun;
+            }
+        }
+
+        return next;
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+const config = require('./config');
+
+const FILE_VERSION = 1;
+
+/**
+ * Resolves credentials that are kept out of config.json. Secrets are named
+ * after the setting they replace, e.g. "woocommerce.default.consumer_secret"
+ * or "adminApi.token", and come from one of three providers:
+ * - env: environment variables, STOCK_SYNC_SECRET_WOOCOMMERCE_DEFAULT_CONSUMER_SECRET
+ * - file: an AES-256-GCM encrypted file, unlocked by a key derived from this
+ *   machine's ID or from a passphrase in an environment variable
+ * - command: an external command printing the secret, e.g. a password manager CLI
+ */
+class SecretProvider {
+    /**
+     * @param {Object} options - Secret settings, defaults to config.secrets
+     * @param {Object} env - Environment variables, defaults to process.env
+     */
+    constructor(options = config.secrets || {}, env = process.env) {
+        this.provider = options.provider || 'env';
+        this.file = path.resolve(path.join(__dirname, '..'), options.file || './data/secrets.enc');
+        this.keySource = options.key || 'machine';
+        this.passphraseEnv = options.passphraseEnv || 'STOCK_SYNC_PASSPHRASE';
+        this.command = options.command || null;
+        this.envPrefix = options.envPrefix || 'STOCK_SYNC_SECRET_';
+        this.env = env;
+        // Decrypted contents of the secrets file, read once
+        this.secrets = null;
+
+        if (this.provider === 'command' && !this.command) {
+            throw new Error('secrets.provider is "command" but secrets.command is not set');
+        }
+    }
+
+    /**
+     * Get the provider shared by all services
+     * @returns {SecretProvider} Shared provider
+     */
+    static getShared() {
+        if (!SecretProvider.shared) {
+            SecretProvider.shared = new SecretProvider();
+        }
+        return SecretProvider.shared;
+    }
+
+    /**
+     * Use a value from the config when it is set, otherwise look the secret up
+     * @param {string|undefined} value - Value from config.json or an environment override
+     * @param {string} name - Secret name
+     * @returns {string|null} The credential, or null when neither has it
+     */
+    resolve(value, name) {
+        if (value) {
+            return value;
+        }
+        return this.get(name);
+    }
+
+    /**
+     * Look up a secret
+     * @param {string} name - Secret name, e.g. "woocommerce.default.consumer_key"
+     * @returns {string|null} Secret value or null when not set
+     */
+    get(name) {
+        if (this.provider === 'env') {
+            return this.env[this.envName(name)] || null;
+        }
+
+        if (this.provider === 'command') {
+            return this.runCommand(name);
+        }
+
+        return this.readFile()[name] || null;
+    }
+
+    /**
+     * Environment variable holding a secret for the env provider
+     * @param {string} name - Secret name
+     * @returns {string} e.g. STOCK_SYNC_SECRET_ADMINAPI_TOKEN
+     */
+    envName(name) {
+        return this.envPrefix + name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    }
+
+    /**
+     * Run the external command for a secret. "{name}" in the command is
+     * replaced by the secret name; the command prints the value on stdout.
+     * @param {string} name - Secret name
+     * @returns {string|null} Trimmed output, or null when the command prints nothing
+     */
+    runCommand(name) {
+        if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+            throw new Error(`Invalid secret name "${name}"`);
+        }
+
+        try {
+            const output = execSync(this.command.replace(/\{name\}/g, name), {
+                encoding: 'utf8',
+                timeout: 15000,
+                stdio: ['ignore', 'pipe', 'pipe']
+            }).trim();
+            return output || null;
+        } catch (error) {
+            throw new Error(`Secret command failed for ${name}: ${(error.stderr || error.message).toString().trim()}`);
+        }
+    }
+
+    /**
+     * Store or replace a secret in the encrypted file
+     * @param {string} name - Secret name
+     * @param {string} value - Secret value
+     */
+    set(name, value) {
+        this.requireFileProvider('set');
+        const secrets = this.readFile();
+        secrets[name] = value;
+        this.writeFile(secrets);
+    }
+
+    /**
+     * Remove a secret from the encrypted file
+     * @param {string} name - Secret name
+     * @returns {boolean} True if the secret existed
+     */
+    delete(name) {
+        this.requireFileProvider('delete');
+        const secrets = this.readFile();
+
+        if (secrets[name] === undefined) {
+            return false;
+        }
+
+        delete secrets[name];
+        this.writeFile(secrets);
+        return true;
+    }
+
+    /**
+     * List the names of the secrets in the encrypted file
+     * @returns {Array<string>} Secret names, never the values
+     */
+    list() {
+        this.requireFileProvider('list');
+        return Object.keys(this.readFile()).sort();
+    }
+
+    /**
+     * Re-encrypt the file with a fresh salt and the configured key source,
+     * which also switches a file between machine key and passphrase. A new
+     * passphrase is read from <passphraseEnv>_NEW.
+     */
+    rotateKey() {
+        this.requireFileProvider('rotate');
+        const secrets = this.readFile();
+
+        if (this.keySource === 'passphrase') {
+            const passphrase = this.env[`${this.passphraseEnv}_NEW`] || this.env[this.passphraseEnv];
+            if (!passphrase) {
+                throw new Error(`Set the new passphrase in ${this.passphraseEnv}_NEW to rotate the key`);
+            }
+            this.writeFile(secrets, passphrase);
+        } else {
+            this.writeFile(secrets);
+        }
+    }
+
+    /**
+     * Fail unless secrets are kept in the encrypted file
+     * @param {string} action - Action attempted, for the message
+     */
+    requireFileProvider(action) {
+        if (this.provider !== 'file') {
+            throw new Error(`Cannot ${action} secrets with the "${this.provider}" provider, they are managed outside this service (set secrets.provider to "file" to use the encrypted secrets file)`);
+        }
+    }
+
+    /**
+     * Decrypt the secrets file
+     * @returns {Object} Secret name -> value, empty when the file does not exist yet
+     */
+    readFile() {
+        if (this.secrets) {
+            return this.secrets;
+        }
+
+        if (!fs.existsSync(this.file)) {
+            this.secrets = {};
+            return this.secrets;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        // The file records how it was locked, so a changed secrets.key only applies on the next write
+        const keySource = data.key || this.keySource;
+        const key = this.deriveKey(Buffer.from(data.salt, 'base64'), keySource);
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(data.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(data.data, 'base64')), decipher.final()]);
+            this.secrets = JSON.parse(plaintext.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Could not unlock ${this.file}: wrong ${keySource === 'passphrase' ? 'passphrase' : 'machine (the file was created on another PC)'} or the file is damaged`);
+        }
+
+        return this.secrets;
+    }
+
+    /**
+     * Encrypt and write the secrets file
+     * @param {Object} secrets - Secret name -> value
+     * @param {string|null} passphrase - Passphrase to use instead of the current one
+     */
+    writeFile(secrets, passphrase = null) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = this.deriveKey(salt, this.keySource, passphrase);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+        const data = {
+            version: FILE_VERSION,
+            key: this.keySource,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: encrypted.toString('base64')
+        };
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+        this.secrets = secrets;
+    }
+
+    /**
+     * Derive the file key from the passphrase or the machine ID
+     * @param {Buffer} salt - Random salt stored with the file
+     * @param {string} keySource - 'machine' or 'passphrase'
+     * @param {string|null} passphrase - Passphrase overriding the one in the environment
+     * @returns {Buffer} 32-byte key
+     */
+    deriveKey(salt, keySource, passphrase = null) {
+        let material = passphrase;
+
+        if (!material && keySource === 'passphrase') {
+            material = this.env[this.passphraseEnv];
+            if (!material) {
+                throw new Error(`The secrets file is locked with a passphrase, set it in the ${this.passphraseEnv} environment variable`);
+            }
+        }
+
+        return crypto.scryptSync(material || this.getMachineId(), salt, 32);
+    }
+
+    /**
+     * A stable ID of this machine. The service account and a logged-in user
+     * see the same ID, so both can unlock the file.
+     * @returns {string} Machine ID
+     */
+    getMachineId() {
+        if (process.platform === 'win32') {
+            try {
+                const output = execSync('reg query HKLM\\SOFTWARE\\Microsoft\\Cryptography /v MachineGuid', { encoding: 'utf8', timeout: 5000 });
+                const match = output.match(/MachineGuid\s+REG_SZ\s+(\S+)/);
+                if (match) {
+                    return match[1];
+                }
+            } catch (error) {
+                // Fall back to the host name below
+            }
+        }
+
+        for (const file of ['/etc/machine-id', '/var/lib/dbus/machine-id']) {
+            if (fs.existsSync(file)) {
+                return fs.readFileSync(file, 'utf8').trim();
+            }
+        }
+
+        return os.hostname();
+    }
+}
+
+SecretProvider.shared = null;
+
+module.exports = SecretProvider;
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+
+/**
+ * Maps WooCommerce SKUs to IPOS barcodes. An explicit override table takes
+ * precedence; otherwise the configured normalisation rules are applied.
+ */
+class SkuMapper {
+    constructor() {
+        const mapping = config.mapping || {};
+        const rules = mapping.rules || {};
+
+        this.rules = {
+            trim: rules.trim !== false,
+            case: rules.case || 'none',
+            stripPrefixes: rules.stripPrefixes || [],
+            stripSuffixes: rules.stripSuffixes || [],
+            padZerosTo: rules.padZerosTo || 0
+        };
+
+        this.overridesFile = mapping.overridesFile
+            ? path.resolve(path.join(__dirname, '..'), mapping.overridesFile)
+            : path.join(__dirname, '..', 'data', 'sku-mapping.json');
+
+        this.overrides = this.loadOverrides();
+    }
+
+    /**
+     * Load the override table from disk
+     * @returns {Map<string, string>} WooCommerce SKU -> IPOS barcode
+     */
+    loadOverrides() {
+        const overrides = new Map();
+
+        if (!fs.existsSync(this.overridesFile)) {
+            return overrides;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+            for (const [sku, barcode] of Object.entries(data)) {
+                overrides.set(sku.trim(), String(barcode).trim());
+            }
+            logger.info(`Loaded ${overrides.size} SKU mapping overrides from ${this.overridesFile}`);
+        } catch (error) {
+            logger.error(`Could not read SKU mapping overrides from ${this.overridesFile}: ${error.message}`);
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Save the override table to disk
+     */
+    saveOverrides() {
+        const dir = path.dirname(this.overridesFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const data = {};
+        for (const [sku, barcode] of this.overrides) {
+            data[sku] = barcode;
+        }
+
+        fs.writeFileSync(this.overridesFile, JSON.stringify(data, null, 2), 'utf8');
+    }
+
+    /**
+     * Resolve the IPOS barcode for a WooCommerce SKU
+     * @param {string} sku - WooCommerce SKU
+     * @returns {Object} {barcode, source} where source is 'override' or 'rules'
+     */
+    resolve(sku) {
+        const key = String(sku).trim();
+
+        if (this.overrides.has(key)) {
+            return { barcode: this.overrides.get(key), source: 'override' };
+        }
+
+        return { barcode: this.normalize(sku), source: 'rules' };
+    }
+
+    /**
+     * Resolve the IPOS barcode for a WooCommerce SKU
+     * @param {string} sku - WooCommerce SKU
+     * @returns {string} IPOS barcode
+     */
+    toBarcode(sku) {
+        return this.resolve(sku).barcode;
+    }
+
+    /**
+     * Apply the normalisation rules to a SKU
+     * @param {string} sku - WooCommerce SKU
+     * @returns {string} Normalised barcode
+     */
+    normalize(sku) {
+        let value = String(sku);
+
+        if (this.rules.trim) {
+            value = value.trim();
+        }
+
+        for (const prefix of this.rules.stripPrefixes) {
+            if (prefix && value.toUpperCase().startsWith(prefix.toUpperCase())) {
+                value = value.slice(prefix.length);
+                break;
+            }
+        }
+
+        for (const suffix of this.rules.stripSuffixes) {
+            if (suffix && value.toUpperCase().endsWith(suffix.toUpperCase())) {
+                value = value.slice(0, value.length - suffix.length);
+                break;
+            }
+        }
+
+        if (this.rules.case === 'upper') {
+            value = value.toUpperCase();
+        } else if (this.rules.case === 'lower') {
+            value = value.toLowerCase();
+        }
+
+        // Only pad purely numeric codes, so internal codes with letters are left alone
+        if (this.rules.padZerosTo > 0 && /^\d+$/.test(value)) {
+            value = value.padStart(this.rules.padZerosTo, '0');
+        }
+
+        return value;
+    }
+
+    /**
+     * Find the WooCommerce SKUs that map to an IPOS barcode. Rules cannot be
+     * reversed, so SKUs seen in earlier runs are checked against the barcode;
+     * the barcode itself is used when nothing else matches.
+     * @param {string} barcode - IPOS barcode
+     * @param {Iterable<string>} knownSkus - WooCommerce SKUs seen in earlier runs
+     * @returns {Array<string>} Matching SKUs
+     */
+    skusForBarcode(barcode, knownSkus = []) {
+        const target = String(barcode).trim();
+        const skus = new Set();
+
+        for (const [sku, mapped] of this.overrides) {
+            if (mapped === target) {
+                skus.add(sku);
+            }
+        }
+
+        for (const sku of knownSkus) {
+            if (this.toBarcode(sku) === target) {
+                skus.add(sku);
+            }
+        }
+
+        if (skus.size === 0) {
+            skus.add(target);
+        }
+
+        return Array.from(skus);
+    }
+
+    /**
+     * Find barcodes that more than one WooCommerce SKU maps to
+     * @param {Array<string>} skus - WooCommerce SKUs in this run
+     * @returns {Array} Array of {barcode, skus}
+     */
+    findAmbiguous(skus) {
+        const byBarcode = new Map();
+
+        for (const sku of skus) {
+            const barcode = this.toBarcode(sku);
+            if (!byBarcode.has(barcode)) {
+                byBarcode.set(barcode, []);
+            }
+            byBarcode.get(barcode).push(sku);
+        }
+
+        return Array.from(byBarcode.entries())
+            .filter(([, mappedSkus]) => mappedSkus.length > 1)
+            .map(([barcode, mappedSkus]) => ({ barcode, skus: mappedSkus }));
+    }
+
+    /**
+     * Import overrides from a CSV file with sku,barcode columns. SKUs listed
+     * more than once with different barcodes are reported and skipped.
+     * @param {string} file - CSV file path
+     * @param {Object} options - Options
+     * @param {boolean} options.replace - Replace the table instead of merging into it
+     * @returns {Object} {imported, conflicts}
+     */
+    importCsv(file, options = {}) {
+        const rows = this.parseCsv(fs.readFileSync(file, 'utf8'));
+
+        // Skip a header row if present
+        if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'sku') {
+            rows.shift();
+        }
+
+        const imported = new Map();
+        const conflicts = new Map();
+
+        for (const row of rows) {
+            const sku = (row[0] || '').trim();
+            const barcode = (row[1] || '').trim();
+
+            if (sku === '' || barcode === '') {
+                continue;
+            }
+
+            if (imported.has(sku) && imported.get(sku) !== barcode) {
+                conflicts.set(sku, [imported.get(sku), barcode]);
+                continue;
+            }
+
+            imported.set(sku, barcode);
+        }
+
+        for (const sku of conflicts.keys()) {
+            imported.delete(sku);
+        }
+
+        if (options.replace) {
+            this.overrides = new Map();
+        }
+
+        for (const [sku, barcode] of imported) {
+            this.overrides.set(sku, barcode);
+        }
+
+        this.saveOverrides();
+        logger.info(`Imported ${imported.size} SKU mapping overrides from ${file} (${conflicts.size} conflicting SKUs skipped)`);
+
+        return {
+            imported: imported.size,
+            conflicts: Array.from(conflicts.entries()).map(([sku, barcodes]) => ({ sku, barcodes }))
+        };
+    }
+
+    /**
+     * Export the override table as CSV
+     * @returns {string} CSV text with sku,barcode columns
+     */
+    exportCsv() {
+        // The importer splits on semicolons too
+        const escape = value => (/[",;\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const lines = ['sku,barcode'];
+
+        for (const [sku, barcode] of this.overrides) {
+            lines.push(`${escape(sku)},${escape(barcode)}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Minimal CSV parser supporting quoted fields, separated by commas or semicolons
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of fields
+     */
+    parseCsv(text) {
+        // Spreadsheet programs often save CSV with a byte order mark
+        text = text.replace(/^\uFEFF/, '');
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',' || char === ';') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                if (row.some(value => value.trim() !== '')) {
+                    rows.push(row);
+                }
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+
+        return rows;
+    }
+}
+
+module.exports = SkuMapper;
@@ -1,24 +1,71 @@
-const cron = require('node-cron');
+const path = require('path');
 const logger = require('./logger');
 const WooCommerceService = require('./woocommerce');
 const LocalApiService = require('./localApi');
-const config = require('../config.json');
+const SyncStore = require('./syncStore');
+const DiffReport = require('./diffReport');
+const SkuMapper = require('./skuMapper');
+const PublishRules = require('./publishRules');
+const AnomalyGuard = require('./anomalyGuard');
+const PriceRules = require('./priceRules');
+const OrderExporter = require('./orderExporter');
+const WorkerPool = require('./workerPool');
+const RateLimiter = require('./rateLimiter');
+const Schedule = require('./schedule');
+const Scheduler = require('./scheduler');
+const Notifier = require('./notifier');
+const Metrics = require('./metrics');
+const config = require('./config');
+
+// Duration buckets of sync runs, in seconds
+const RUN_DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
 
 class StockSyncService {
     constructor() {
-        this.woocommerce = new WooCommerceService();
+        // One WooCommerce client and set of publish rules per configured store
+        this.stores = WooCommerceService.getStoreConfigs().map(storeConfig => ({
+            name: storeConfig.name,
+            woocommerce: new WooCommerceService(storeConfig),
+            publishRules: new PublishRules(storeConfig.publishRules || config.publishRules || []),
+            priceRules: new PriceRules(config.priceSync || {}, storeConfig.priceMultiplier)
+        }));
+        // The first store is used by single-store commands such as the reconciliation report
+        this.woocommerce = this.stores[0].woocommerce;
+        this.publishRules = this.stores[0].publishRules;
         this.localApi = new LocalApiService();
+        this.store = new SyncStore();
+        this.skuMapper = new SkuMapper();
+        this.anomalyGuard = new AnomalyGuard();
+        this.orderExporter = new OrderExporter(this.stores, this.localApi, this.skuMapper, this.store);
+        // Email, Telegram and webhook alerts about connections, runs and updates
+        this.notifier = new Notifier(this.store);
+        // Prometheus metrics, served by the admin API at /metrics
+        this.metrics = Metrics.getShared();
+        this.setupMetrics();
         this.isRunning = false;
-        this.lastSyncTime = null;
-        this.syncStats = {
-            totalSyncs: 0,
-            totalProducts: 0,
-            totalUpdates: 0,
-            totalErrors: 0
-        };
+        this.currentRunId = null;
+        // IPOS lookups run in parallel, optionally capped in requests per second
+        this.lookupPool = new WorkerPool(config.sync.lookupConcurrency || 4);
+        this.lookupLimiter = new RateLimiter(config.sync.lookupRatePerSecond);
+        // IPOS lookups made during a run, shared by all stores
+        this.stockCache = null;
+        // SKUs seen in full runs, used to resolve barcodes pushed by IPOS
+        this.knownSkus = new Set();
+        // In dry-run mode differences are reported but never written to WooCommerce
+        this.dryRun = Boolean(config.sync.dryRun);
+        // Failed WooCommerce updates are queued and retried in the next runs
+        const retryQueue = config.sync.retryQueue || {};
+        this.retryQueueEnabled = retryQueue.enabled !== false;
+        this.retryMaxAttempts = retryQueue.maxAttempts || 5;
+        this.reportsDir = path.join(__dirname, '..', 'reports');
+        // Dry-run diff tables go to stdout unless a CLI command prints JSON there
+        this.printDiffReports = true;
+        // IPOS stock and price per known barcode as of the last run, used by changed-only runs
+        this.stockSnapshot = null;
         
-        // Cron job for scheduled syncing
-        this.cronJob = null;
+        // Timers running the configured sync schedules
+        this.scheduler = new Scheduler(schedule => this.runScheduledJob(schedule));
+        this.started = false;
     }
 
     /**
@@ -38,7 +85,9 @@ class StockSyncService {
             if (config.sync.enabled) {
                 this.setupScheduledSync();
             }
-            
+
+            this.notifier.startDailySummary(() => this.getStats());
+            this.started = true;
             logger.info('Stock Sync Service started successfully');
             
         } catch (error) {
@@ -53,163 +102,1113 @@ class StockSyncService {
     stop() {
         logger.info('Stopping Stock Sync Service...');
         
-        if (this.cronJob) {
-            this.cronJob.stop();
-            this.cronJob = null;
-        }
-        
+        this.scheduler.stop();
+        this.notifier.stopDailySummary();
+        this.started = false;
         logger.info('Stock Sync Service stopped');
     }
 
     /**
-     * Test connections to both APIs
+     * Apply settings reloaded from the config file. Rules and limits are
+     * rebuilt from the live config; the schedules are recreated when any
+     * scheduling setting changed.
+     * @param {Array<string>} changed - Paths of the changed settings, e.g. "sync.intervalMinutes"
+     */
+    applyConfig(changed) {
+        const storeConfigs = WooCommerceService.getStoreConfigs();
+
+        this.stores.forEach((store, index) => {
+            store.publishRules = new PublishRules(storeConfigs[index].publishRules || config.publishRules || []);
+            store.priceRules = new PriceRules(config.priceSync || {}, storeConfigs[index].priceMultiplier);
+        });
+        this.publishRules = this.stores[0].publishRules;
+        this.anomalyGuard = new AnomalyGuard();
+        this.lookupPool = new WorkerPool(config.sync.lookupConcurrency || 4);
+        this.lookupLimiter = new RateLimiter(config.sync.lookupRatePerSecond);
+
+        const retryQueue = config.sync.retryQueue || {};
+        this.retryQueueEnabled = retryQueue.enabled !== false;
+        this.retryMaxAttempts = retryQueue.maxAttempts || 5;
+
+        if (changed.some(changedPath => changedPath.startsWith('notifications') || changedPath === 'sync.timezone')) {
+            this.notifier.reload();
+        }
+
+        const scheduling = ['sync.intervalMinutes', 'sync.enabled', 'sync.schedules', 'sync.timezone', 'sync.blackouts'];
+
+        if (this.started && changed.some(changedPath => scheduling.includes(changedPath))) {
+            this.scheduler.stop();
+
+            if (config.sync.enabled) {
+                this.setupScheduledSync();
+            } else {
+                logger.info('Scheduled sync disabled');
+            }
+        }
+    }
+
+    /**
+     * Declare the service metrics. Totals, queues and timestamps are read
+     * from the run history and state files on each scrape, so they survive
+     * restarts like the stats do.
+     */
+    setupMetrics() {
+        const metrics = this.metrics;
+
+        metrics.counter('stock_sync_syncs_total', 'Completed sync runs (successful or partial)');
+        metrics.counter('stock_sync_products_checked_total', 'Products compared with IPOS');
+        metrics.counter('stock_sync_updates_applied_total', 'Stock updates written to WooCommerce');
+        metrics.counter('stock_sync_errors_total', 'Failed runs plus failed stock updates');
+        metrics.histogram('stock_sync_run_duration_seconds', 'Duration of sync runs', RUN_DURATION_BUCKETS);
+        metrics.gauge('stock_sync_running', '1 while a sync run is in progress');
+        metrics.gauge('stock_sync_last_success_timestamp_seconds', 'Unix time of the last successful full sync');
+        metrics.gauge('stock_sync_store_last_success_timestamp_seconds', 'Unix time of the last successful sync of each store');
+        metrics.gauge('stock_sync_retry_queue_updates', 'Failed updates waiting for a retry');
+        metrics.gauge('stock_sync_dead_letter_updates', 'Failed updates given up after retryQueue.maxAttempts');
+        metrics.gauge('stock_sync_missing_skus', 'WooCommerce SKUs not found in IPOS in the last successful full sync');
+
+        metrics.addCollector(() => this.collectMetrics());
+    }
+
+    /**
+     * Update the metrics kept outside the service, called before each scrape
+     */
+    collectMetrics() {
+        const metrics = this.metrics;
+        const totals = this.store.getTotals();
+        const lastSuccessfulRun = this.store.getLastSuccessfulRun();
+        const deadLetters = this.store.getDeadLetters();
+        const toSeconds = time => Math.round(Date.parse(time) / 1000);
+
+        metrics.set('stock_sync_syncs_total', {}, totals.totalSyncs);
+        metrics.set('stock_sync_products_checked_total', {}, totals.totalProducts);
+        metrics.set('stock_sync_updates_applied_total', {}, totals.totalUpdates);
+        metrics.set('stock_sync_errors_total', {}, totals.totalErrors);
+        metrics.set('stock_sync_running', {}, this.isRunning ? 1 : 0);
+
+        // Without a successful sync the timestamps are left out rather than reported as 1970
+        metrics.reset('stock_sync_last_success_timestamp_seconds');
+        if (lastSuccessfulRun) {
+            metrics.set('stock_sync_last_success_timestamp_seconds', {}, toSeconds(lastSuccessfulRun.finishedAt));
+            metrics.set('stock_sync_missing_skus', {}, (lastSuccessfulRun.missingSkus || []).length);
+        }
+
+        metrics.reset('stock_sync_store_last_success_timestamp_seconds');
+        for (const store of this.stores) {
+            const status = this.store.getStoreStatus(store.name);
+            if (status.lastSuccessAt) {
+                metrics.set('stock_sync_store_last_success_timestamp_seconds', { store: store.name }, toSeconds(status.lastSuccessAt));
+            }
+
+            metrics.set('stock_sync_retry_queue_updates', { store: store.name }, this.store.getRetryQueue(store.name).length);
+            metrics.set('stock_sync_dead_letter_updates', { store: store.name }, deadLetters.filter(entry => entry.store === store.name).length);
+        }
+    }
+
+    /**
+     * Get a configured store by name
+     * @param {string} name - Store name
+     * @returns {Object} Store {name, woocommerce, publishRules, priceRules}
+     */
+    getStore(name) {
+        const store = this.stores.find(candidate => candidate.name === name);
+
+        if (!store) {
+            throw new Error(`Unknown store "${name}" (configured: ${this.stores.map(candidate => candidate.name).join(', ')})`);
+        }
+
+        return store;
+    }
+
+    /**
+     * Log prefix naming the store, only used when more than one store is configured
+     * @param {Object} store - Store
+     * @returns {string} e.g. "[outlet] "
+     */
+    storeTag(store) {
+        return this.stores.length > 1 ? `[${store.name}] ` : '';
+    }
+
+    /**
+     * Test connections to both APIs. Fails only when IPOS or every
+     * WooCommerce store is unreachable.
      */
     async testConnections() {
         logger.info('Testing API connections...');
         
-        const wooCommerceOk = await this.woocommerce.testConnection();
-        const localApiOk = await this.localApi.testConnection();
+        const { failedStores, localApiOk } = await this.checkConnections();
         
-        if (!wooCommerceOk) {
+        if (failedStores.length === this.stores.length) {
             throw new Error('WooCommerce API connection failed');
         }
         
         if (!localApiOk) {
             throw new Error('Local API connection failed');
         }
+
+        if (failedStores.length > 0) {
+            logger.warn(`WooCommerce stores unreachable: ${failedStores.join(', ')}. The other stores will still be synced.`);
+            return;
+        }
         
         logger.info('All API connections successful');
     }
 
     /**
-     * Set up scheduled sync using cron
+     * Test every connection and report the results to the notifier, which
+     * alerts when one is lost or comes back
+     * @returns {Promise<Object>} {failedStores: names of unreachable stores, localApiOk}
      */
-    setupScheduledSync() {
-        const cronExpression = `*/${config.sync.intervalMinutes} * * * *`;
-        
-        logger.info(`Setting up scheduled sync every ${config.sync.intervalMinutes} minutes`);
-        
-        this.cronJob = cron.schedule(cronExpression, async () => {
-            if (!this.isRunning) {
-                await this.performSync();
-            } else {
-                logger.warn('Sync already in progress, skipping scheduled run');
+    async checkConnections() {
+        const results = {};
+        const failedStores = [];
+
+        for (const store of this.stores) {
+            const ok = await store.woocommerce.testConnection();
+            results[this.stores.length > 1 ? `WooCommerce store ${store.name}` : 'WooCommerce'] = ok;
+            if (!ok) {
+                failedStores.push(store.name);
             }
-        }, {
-            scheduled: true,
-            timezone: "Asia/Jakarta"  // Adjust to your timezone
-        });
-        
-        this.cronJob.start();
+        }
+
+        const localApiOk = await this.localApi.testConnection();
+        results.IPOS = localApiOk;
+
+        await this.notifier.connectionsChecked(results);
+        return { failedStores, localApiOk };
+    }
+
+    /**
+     * Check the connections before a scheduled or manual run when connection
+     * alerts are on. The run goes ahead either way and reports its own errors.
+     */
+    async watchConnections() {
+        if (this.notifier.watchesConnections()) {
+            await this.checkConnections();
+        }
+    }
+
+    /**
+     * Build the schedules from sync.schedules, or a single full sync every
+     * sync.intervalMinutes when no schedules are configured
+     * @returns {Array<Schedule>} Enabled schedules
+     */
+    buildSchedules() {
+        const defaults = { timezone: config.sync.timezone, blackouts: config.sync.blackouts };
+        const entries = config.sync.schedules && config.sync.schedules.length > 0
+            ? config.sync.schedules
+            : [{ name: 'default', every: config.sync.intervalMinutes, job: 'full' }];
+
+        return entries
+            .filter(entry => entry.enabled !== false)
+            .map(entry => new Schedule(entry, defaults));
+    }
+
+    /**
+     * Start the configured sync schedules
+     */
+    setupScheduledSync() {
+        this.scheduler.start(this.buildSchedules());
         logger.info('Scheduled sync activated');
     }
 
+    /**
+     * Run the job of a schedule that fired
+     * @param {Schedule} schedule - Schedule {name, job}
+     */
+    async runScheduledJob(schedule) {
+        if (this.isRunning) {
+            logger.warn(`Sync already in progress, skipping scheduled ${schedule.name} run`);
+            return;
+        }
+
+        logger.info(`Scheduled ${schedule.name} run (${schedule.job})`);
+
+        if (schedule.job === 'changed') {
+            await this.syncChanged();
+        } else if (schedule.job === 'orders') {
+            if (!this.orderExporter.enabled || this.dryRun) {
+                logger.warn(`Schedule ${schedule.name} exports orders but orderExport.enabled is off or this is a dry run, skipping`);
+                return;
+            }
+            await this.exportOrders();
+        } else {
+            await this.performSync();
+        }
+    }
+
     /**
      * Perform the main stock synchronization
+     * @param {string|null} storeName - Only sync this store
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if a sync was already running
+     */
+    async performSync(storeName = null) {
+        return this.executeRun('full', store => store.woocommerce.getAllProducts(), storeName, async () => {
+            // Online orders go to IPOS first so the stock read below already includes them.
+            // Dry runs never write anywhere, so they leave the orders alone too.
+            if (this.orderExporter.enabled && !this.dryRun && !storeName) {
+                try {
+                    await this.orderExporter.run();
+                } catch (error) {
+                    logger.error('Order export failed, continuing with the stock sync:', error);
+                }
+            }
+
+            await this.watchConnections();
+        });
+    }
+
+    /**
+     * Export new online orders to IPOS on their own, e.g. for an orders
+     * schedule or the CLI. Holds the sync lock so no run, here or in another
+     * process, posts the same orders at the same time.
+     * @returns {Promise<Object|null>} Export summary, or null if a sync or export was already running
+     */
+    async exportOrders() {
+        if (!this.acquireRunLock('orders')) {
+            return null;
+        }
+
+        try {
+            return await this.orderExporter.run();
+        } finally {
+            this.releaseRunLock();
+        }
+    }
+
+    /**
+     * Take the isRunning lock and the sync lock shared with other processes,
+     * e.g. the service and a CLI command working on the same data directory
+     * @param {string} owner - Run type or "orders", recorded with the lock
+     * @returns {boolean} True if the locks were taken
      */
-    async performSync() {
+    acquireRunLock(owner) {
         if (this.isRunning) {
             logger.warn('Sync already in progress');
-            return;
+            return false;
+        }
+
+        const holder = this.store.acquireLock(owner);
+        if (holder) {
+            logger.warn(`Sync already in progress in another process (${holder.owner}, process ${holder.pid}${holder.since ? ` since ${holder.since}` : ''})`);
+            return false;
         }
 
         this.isRunning = true;
-        const startTime = new Date();
-        
-        logger.info('=== Starting Stock Synchronization ===');
-        
+        return true;
+    }
+
+    /**
+     * Release the locks taken by acquireRunLock()
+     */
+    releaseRunLock() {
+        this.store.releaseLock();
+        this.isRunning = false;
+    }
+
+    /**
+     * Sync a single product by SKU through the normal compare and update path
+     * @param {string} sku - Product SKU
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if a sync was already running
+     */
+    async syncSku(sku) {
+        return this.syncSkus([sku]);
+    }
+
+    /**
+     * Sync a list of products by SKU through the normal compare and update path
+     * @param {Array<string>} skus - Product SKUs
+     * @param {string|null} storeName - Only sync this store
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if a sync was already running
+     */
+    async syncSkus(skus, storeName = null) {
+        return this.executeRun('sku', store => this.loadProductsBySku(store, skus), storeName);
+    }
+
+    /**
+     * Sync a chosen set of products, e.g. the items of a delivery, through
+     * the normal compare and update path. Products matching any of the
+     * criteria are synced.
+     * @param {Object} target - What to sync
+     * @param {Array<string>} target.skus - WooCommerce SKUs
+     * @param {Array<string>} target.barcodes - IPOS barcodes
+     * @param {Array<string>} target.categories - WooCommerce category IDs, slugs or names
+     * @param {Array<string>} target.tags - WooCommerce tag IDs, slugs or names
+     * @param {Date|string} target.modifiedSince - Products modified in WooCommerce after this time, see parseModifiedSince()
+     * @param {string|null} storeName - Only sync this store
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if a sync was already running
+     */
+    async syncTargeted(target, storeName = null) {
+        const skus = new Set(target.skus || []);
+        for (const barcode of target.barcodes || []) {
+            this.skuMapper.skusForBarcode(barcode, this.knownSkus).forEach(sku => skus.add(sku));
+        }
+
+        const criteria = {
+            categories: target.categories || [],
+            tags: target.tags || [],
+            modifiedAfter: target.modifiedSince ? this.parseModifiedSince(target.modifiedSince) : null
+        };
+        const hasQueries = criteria.categories.length > 0 || criteria.tags.length > 0 || criteria.modifiedAfter;
+
+        if (skus.size === 0 && !hasQueries) {
+            throw new Error('A targeted sync needs SKUs, barcodes, categories, tags or a modified-since time');
+        }
+
+        return this.executeRun('targeted', async store => {
+            const products = new Map();
+            const queried = hasQueries ? await store.woocommerce.getProductsMatching(criteria) : [];
+
+            for (const product of [...await this.loadProductsBySku(store, skus), ...queried]) {
+                products.set(`${product.parentId || ''}:${product.id}`, product);
+            }
+
+            logger.info(`${this.storeTag(store)}Targeted sync: ${products.size} products selected`);
+            return Array.from(products.values());
+        }, storeName);
+    }
+
+    /**
+     * Read a modified-since time
+     * @param {Date|string} value - A Date, an ISO date or time such as "2026-10-19" or
+     *                              "2026-10-19T08:00:00+07:00", or an age such as "30m", "2h" or "3d"
+     * @returns {Date} The time
+     */
+    parseModifiedSince(value) {
+        if (value instanceof Date) {
+            return value;
+        }
+
+        const age = /^(\d+)\s*(m|h|d)$/i.exec(String(value).trim());
+        if (age) {
+            const minutes = Number(age[1]) * { m: 1, h: 60, d: 1440 }[age[2].toLowerCase()];
+            return new Date(Date.now() - minutes * 60000);
+        }
+
+        const time = new Date(String(value).trim());
+        if (isNaN(time.getTime())) {
+            throw new Error(`Modified-since "${value}" is not understood, use an ISO date such as 2026-10-19 or an age such as 2h or 3d`);
+        }
+
+        return time;
+    }
+
+    /**
+     * Look up the syncable products of a store for a list of SKUs
+     * @param {Object} store - Store
+     * @param {Iterable<string>} skus - Product SKUs
+     * @returns {Promise<Array>} Products found, SKUs without a product are skipped
+     */
+    async loadProductsBySku(store, skus) {
+        const products = [];
+
+        for (const sku of new Set(skus)) {
+            const product = await store.woocommerce.getSyncableProductBySku(sku);
+            if (product) {
+                products.push(product);
+            }
+        }
+
+        return products;
+    }
+
+    /**
+     * Sync the products behind a list of IPOS barcodes, e.g. barcodes pushed
+     * by IPOS after a sale
+     * @param {Array<string>} barcodes - Changed IPOS barcodes
+     * @param {string} type - Run type recorded in the history
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if a sync was already running
+     */
+    async syncBarcodes(barcodes, type = 'push') {
+        const skus = this.skusForBarcodes(barcodes);
+        return this.executeRun(type, store => this.loadProductsBySku(store, skus));
+    }
+
+    /**
+     * Find the WooCommerce SKUs behind a list of IPOS barcodes
+     * @param {Array<string>} barcodes - IPOS barcodes
+     * @returns {Set<string>} SKUs
+     */
+    skusForBarcodes(barcodes) {
+        const skus = new Set();
+        for (const barcode of barcodes) {
+            this.skuMapper.skusForBarcode(barcode, this.knownSkus).forEach(sku => skus.add(sku));
+        }
+        return skus;
+    }
+
+    /**
+     * Sync only the products whose IPOS stock or price changed since the
+     * previous run. The changes are found by comparing the IPOS list
+     * endpoint against the snapshot of the last run, so without a list
+     * endpoint, or before the first full run, a full sync runs instead.
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if nothing changed or a sync was already running
+     */
+    async syncChanged() {
+        if (!this.localApi.listEndpoint || !this.stockSnapshot) {
+            logger.info(`Changed-only sync needs ${this.localApi.listEndpoint ? 'a completed full run' : 'localApi.listEndpoint'}, running a full sync instead`);
+            return this.performSync();
+        }
+
+        // The lock is taken before the stock index is loaded, so no push flush can replace or clear it meanwhile
+        if (!this.acquireRunLock('changed')) {
+            return;
+        }
+
+        let handedOver = false;
+
         try {
-            // Get all products from WooCommerce
-            const products = await this.woocommerce.getAllProducts();
-            
-            if (products.length === 0) {
-                logger.warn('No products found in WooCommerce with SKUs');
+            await this.watchConnections();
+            if (!await this.localApi.loadStockIndex()) {
+                logger.warn('Could not download IPOS stock, skipping changed-only sync');
                 return;
             }
 
-            logger.info(`Found ${products.length} products to sync`);
-            
-            // Process products in batches
-            const updates = [];
-            const batchSize = config.sync.batchSize;
-            
-            for (let i = 0; i < products.length; i += batchSize) {
-                const batch = products.slice(i, i + batchSize);
-                logger.info(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(products.length / batchSize)}`);
-                
-                const batchUpdates = await this.processBatch(batch);
-                updates.push(...batchUpdates);
-                
-                // Small delay between batches to prevent overwhelming the APIs
-                if (i + batchSize < products.length) {
-                    await this.delay(1000);
+            const snapshot = this.takeStockSnapshot();
+            const changed = Array.from(snapshot.keys()).filter(barcode => snapshot.get(barcode) !== this.stockSnapshot.get(barcode));
+
+            if (changed.length === 0) {
+                logger.info('Changed-only sync: no IPOS stock changes since the last run');
+                return;
+            }
+
+            logger.info(`Changed-only sync: ${changed.length} IPOS barcodes changed since the last run`);
+            const skus = this.skusForBarcodes(changed);
+            handedOver = true;
+            const runSummary = await this.runLocked('changed', store => this.loadProductsBySku(store, skus));
+
+            // Changes of a store that could not be reached are picked up again by the next run
+            if (runSummary.status !== 'failed' && runSummary.status !== 'partial') {
+                this.stockSnapshot = snapshot;
+            }
+
+            return runSummary;
+        } finally {
+            // Once handed over, the run clears the index and releases the lock itself
+            if (!handedOver) {
+                this.localApi.clearStockIndex();
+                this.releaseRunLock();
+            }
+        }
+    }
+
+    /**
+     * Record the IPOS stock and price of every barcode known from full runs,
+     * read from the loaded stock index
+     * @returns {Map} Barcode -> "stock|price|salePrice"
+     */
+    takeStockSnapshot() {
+        const snapshot = new Map();
+
+        for (const sku of this.knownSkus) {
+            const barcode = this.skuMapper.toBarcode(sku);
+            const stockData = this.localApi.getIndexedStock(barcode);
+            snapshot.set(barcode, stockData ? `${stockData.stockQuantity}|${stockData.price}|${stockData.salePrice}` : 'missing');
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Create the per-store section of a run summary
+     * @returns {Object} Empty store summary
+     */
+    createStoreSummary() {
+        return {
+            status: 'success',
+            productsChecked: 0,
+            updatesApplied: 0,
+            updatesFailed: 0,
+            errors: [],
+            differences: [],
+            missingSkus: [],
+            unmappedSkus: [],
+            priceBlocked: []
+        };
+    }
+
+    /**
+     * Run one sync: load products, compare against local stock and apply
+     * the differences. IPOS is read once and the result fanned out to every
+     * store; a store that fails is reported and does not stop the others.
+     * Holds the run lock for the whole run; it is taken before the first
+     * await, so currentRunId is set as soon as this returns its promise.
+     * @param {string} type - Run type recorded in the history ('full', 'sku', 'push', 'changed')
+     * @param {Function} loadProducts - Async function returning the products to sync for a store
+     * @param {string|null} storeName - Only sync this store
+     * @param {Function|null} prepare - Async function run under the lock before the products are loaded
+     * @returns {Promise<Object|undefined>} Run summary, or undefined if a sync was already running
+     */
+    async executeRun(type, loadProducts, storeName = null, prepare = null) {
+        if (storeName) {
+            this.getStore(storeName);
+        }
+
+        if (!this.acquireRunLock(type)) {
+            return;
+        }
+
+        return this.runLocked(type, loadProducts, storeName, prepare);
+    }
+
+    /**
+     * The run of executeRun(), for callers that already hold the run lock;
+     * the lock is released when the run ends
+     * @param {string} type - Run type recorded in the history
+     * @param {Function} loadProducts - Async function returning the products to sync for a store
+     * @param {string|null} storeName - Only sync this store
+     * @param {Function|null} prepare - Async function run before the products are loaded
+     * @returns {Promise<Object>} Run summary
+     */
+    async runLocked(type, loadProducts, storeName = null, prepare = null) {
+        const stores = storeName ? [this.getStore(storeName)] : this.stores;
+        // Only a run over every store knows the whole catalogue
+        const complete = type === 'full' && !storeName;
+        const startTime = new Date();
+        const runId = this.store.startRun(type);
+        this.currentRunId = runId;
+        this.stockCache = new Map();
+        const runSummary = {
+            runId: runId,
+            status: 'success',
+            productsChecked: 0,
+            updatesApplied: 0,
+            updatesFailed: 0,
+            errors: [],
+            differences: [],
+            missingSkus: [],
+            unmappedSkus: [],
+            ambiguousSkus: [],
+            stores: {}
+        };
+
+        logger.info(`=== Starting Stock Synchronization (${type} run ${runId}${this.dryRun ? ', dry run' : ''}) ===`);
+
+        try {
+            if (prepare) {
+                await prepare();
+            }
+
+            // Load every store's products first, so IPOS is only read once for all of them
+            const loaded = [];
+
+            for (const store of stores) {
+                const storeSummary = this.createStoreSummary();
+                runSummary.stores[store.name] = storeSummary;
+
+                try {
+                    loaded.push({ store, storeSummary, products: await loadProducts(store) });
+                } catch (error) {
+                    logger.error(`${this.storeTag(store)}Could not load products from WooCommerce:`, error);
+                    storeSummary.status = 'failed';
+                    storeSummary.errors.push({ error: error.message });
                 }
             }
 
-            // Apply updates to WooCommerce
-            if (updates.length > 0) {
-                logger.info(`Applying ${updates.length} stock updates to WooCommerce`);
-                const results = await this.woocommerce.batchUpdateStock(updates);
-                
-                // Update statistics
-                this.syncStats.totalUpdates += results.successful;
-                this.syncStats.totalErrors += results.failed;
-                
-                if (results.failed > 0) {
-                    logger.warn(`${results.failed} updates failed:`, results.errors);
+            const skus = new Set();
+            for (const entry of loaded) {
+                entry.products.forEach(product => skus.add(product.sku));
+            }
+
+            if (complete) {
+                this.knownSkus = skus;
+            }
+
+            if (skus.size === 0) {
+                if (loaded.length > 0) {
+                    logger.warn('No products found in WooCommerce with SKUs');
                 }
-            } else {
-                logger.info('No stock updates required - all products are in sync');
+                return runSummary;
+            }
+
+            runSummary.ambiguousSkus = this.skuMapper.findAmbiguous(Array.from(skus));
+            for (const entry of runSummary.ambiguousSkus) {
+                logger.warn(`Ambiguous SKU mapping: ${entry.skus.join(', ')} all map to IPOS barcode ${entry.barcode}`);
+            }
+
+            // Download all local stock at once for full runs when the IPOS list endpoint is available
+            let snapshot = null;
+            if (type === 'full' && await this.localApi.loadStockIndex() && complete) {
+                snapshot = this.takeStockSnapshot();
+            }
+
+            for (const entry of loaded) {
+                try {
+                    await this.syncToStore(runId, type, entry.store, entry.products, entry.storeSummary);
+                } catch (error) {
+                    logger.error(`${this.storeTag(entry.store)}Sync failed:`, error);
+                    entry.storeSummary.status = 'failed';
+                    entry.storeSummary.errors.push({ error: error.message });
+                }
+            }
+
+            // Changed-only runs compare against what every store has just been synced with
+            if (snapshot && Object.values(runSummary.stores).every(result => result.status !== 'failed')) {
+                this.stockSnapshot = snapshot;
             }
 
-            // Update sync statistics
-            this.syncStats.totalSyncs++;
-            this.syncStats.totalProducts += products.length;
-            this.lastSyncTime = new Date();
-            
             const duration = (new Date() - startTime) / 1000;
             logger.info(`=== Sync Completed in ${duration.toFixed(2)} seconds ===`);
-            logger.info(`Stats: ${updates.length} updates applied, ${products.length} products checked`);
-            
+
+            if (runSummary.ambiguousSkus.length > 0) {
+                logger.warn(`SKU mapping: ${runSummary.ambiguousSkus.length} ambiguous barcodes`, {
+                    ambiguousSkus: runSummary.ambiguousSkus
+                });
+            }
+
         } catch (error) {
             logger.error('Sync failed:', error);
-            this.syncStats.totalErrors++;
+            runSummary.status = 'failed';
+            runSummary.errors.push({ error: error.message });
         } finally {
-            this.isRunning = false;
+            this.localApi.clearStockIndex();
+            this.stockCache = null;
+            this.finalizeRunSummary(runSummary);
+            this.store.finishRun(runId, runSummary);
+            this.metrics.observe('stock_sync_run_duration_seconds', { type: type, status: runSummary.status }, (new Date() - startTime) / 1000);
+            this.currentRunId = null;
+            this.releaseRunLock();
+            await this.notifier.runFinished(runSummary);
         }
+
+        return runSummary;
+    }
+
+    /**
+     * Compare one store's products against local stock and apply the differences
+     * @param {string} runId - Current run ID
+     * @param {string} type - Run type
+     * @param {Object} store - Store {name, woocommerce, publishRules, priceRules}
+     * @param {Array} products - Products loaded from the store
+     * @param {Object} storeSummary - Store section of the run summary to fill in
+     */
+    async syncToStore(runId, type, store, products, storeSummary) {
+        const tag = this.storeTag(store);
+        let queuedIds = new Set();
+
+        // Updates that failed in earlier runs go first, with fresh values
+        if (this.retryQueueEnabled && ['full', 'push', 'changed'].includes(type)) {
+            const queuedProducts = await this.loadQueuedProducts(store, products);
+            queuedIds = new Set(queuedProducts.map(product => product.id));
+            products = [...queuedProducts, ...products.filter(product => !queuedIds.has(product.id))];
+        }
+
+        if (products.length === 0) {
+            logger.warn(`${tag}No products found in WooCommerce with SKUs`);
+            return;
+        }
+
+        logger.info(`${tag}Found ${products.length} products to sync`);
+
+        // Process products in batches
+        const updates = [];
+        const batchSize = config.sync.batchSize;
+        const batchDelayMs = config.sync.batchDelayMs !== undefined ? config.sync.batchDelayMs : 1000;
+
+        for (let i = 0; i < products.length; i += batchSize) {
+            const batch = products.slice(i, i + batchSize);
+            logger.info(`${tag}Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(products.length / batchSize)}`);
+
+            const batchUpdates = await this.processBatch(batch, storeSummary, store);
+            updates.push(...batchUpdates);
+
+            // Small delay between batches to prevent overwhelming the APIs
+            if (batchDelayMs > 0 && i + batchSize < products.length) {
+                await this.delay(batchDelayMs);
+            }
+        }
+
+        storeSummary.productsChecked = products.length;
+        storeSummary.differences = updates.map(update => ({
+            sku: update.sku,
+            productId: update.productId,
+            name: update.productName,
+            wooStock: update.currentStock,
+            rawStock: update.rawStock,
+            rule: update.ruleApplied,
+            localStock: update.stockQuantity,
+            oldPrice: update.price ? update.price.oldRegular : null,
+            newPrice: update.price ? update.price.regular : null,
+            locations: update.locationBreakdown
+        }));
+
+        const verdict = this.anomalyGuard.check(products, updates);
+        storeSummary.anomalyMetrics = verdict.metrics;
+
+        if (this.dryRun) {
+            const report = new DiffReport(updates, this.stores.length > 1 ? store.name : null);
+            report.output(this.reportsDir, this.printDiffReports);
+
+            storeSummary.dryRunTotals = report.getTotals();
+            if (verdict.hold) {
+                logger.warn(`${tag}Dry run: a real run would be held by the anomaly guard: ${verdict.reasons.join('; ')}`);
+            }
+            logger.info(`${tag}Dry run: ${updates.length} stock updates computed, nothing written to WooCommerce`);
+            return;
+        }
+
+        if (verdict.hold) {
+            this.store.holdRun({ runId, store: store.name, reasons: verdict.reasons, metrics: verdict.metrics, updates });
+
+            storeSummary.status = 'held';
+            storeSummary.heldReasons = verdict.reasons;
+            logger.error(`${tag}Run ${runId} held by anomaly guard, ${updates.length} updates NOT applied: ${verdict.reasons.join('; ')}`);
+            logger.error('Review the changes with "node app.js held" and apply them with "node app.js held confirm"');
+            return;
+        }
+
+        // A normal run supersedes any run held earlier for this store
+        if (type === 'full' && this.store.getHeldRun(store.name)) {
+            logger.info(`${tag}Anomaly no longer detected, discarding previously held run`);
+            this.store.clearHeldRun(store.name);
+        }
+
+        // Queued products that no longer differ need no retry
+        const pendingIds = new Set(updates.map(update => update.productId));
+        const resolvedIds = Array.from(queuedIds).filter(productId => !pendingIds.has(productId));
+        if (resolvedIds.length > 0) {
+            logger.info(`${tag}${resolvedIds.length} queued updates are no longer needed, removing them from the retry queue`);
+            this.store.clearRetries(store.name, resolvedIds);
+        }
+
+        // Apply updates to WooCommerce
+        if (updates.length > 0) {
+            logger.info(`${tag}Applying ${updates.length} stock updates to WooCommerce`);
+            const results = await store.woocommerce.batchUpdateStock(updates);
+
+            this.recordResults(runId, store, updates, results, storeSummary);
+            await this.notifier.updatesApplied(store.name, updates, results);
+
+            if (results.failed > 0) {
+                logger.warn(`${tag}${results.failed} updates failed:`, results.errors);
+            }
+        } else {
+            logger.info(`${tag}No stock updates required - all products are in sync`);
+        }
+
+        logger.info(`${tag}Stats: ${storeSummary.updatesApplied} updates applied, ${products.length} products checked`);
+
+        if (storeSummary.priceBlocked.length > 0) {
+            logger.warn(`${tag}${storeSummary.priceBlocked.length} price changes blocked by priceSync.maxChangePercent`, {
+                priceBlocked: storeSummary.priceBlocked
+            });
+        }
+
+        if (storeSummary.unmappedSkus.length > 0) {
+            logger.warn(`${tag}SKU mapping: ${storeSummary.unmappedSkus.length} unmapped SKUs`, {
+                unmappedSkus: storeSummary.unmappedSkus
+            });
+        }
+    }
+
+    /**
+     * Roll the per-store results up into the top level of the run summary,
+     * which keeps the shape used by the history, stats and dashboard
+     * @param {Object} runSummary - Run summary with a stores section
+     * @param {boolean} dryRun - Whether the run was a dry run
+     */
+    finalizeRunSummary(runSummary, dryRun = this.dryRun) {
+        const missing = new Set(runSummary.missingSkus);
+        const unmapped = new Set(runSummary.unmappedSkus);
+        const heldReasons = [];
+        const priceBlocked = [];
+        const dryRunTotals = { changes: 0, outOfStock: 0, backInStock: 0, priceChanges: 0 };
+
+        for (const [name, result] of Object.entries(runSummary.stores)) {
+            const withStore = entry => (this.stores.length > 1 ? { store: name, ...entry } : entry);
+
+            runSummary.productsChecked += result.productsChecked;
+            runSummary.updatesApplied += result.updatesApplied;
+            runSummary.updatesFailed += result.updatesFailed;
+            runSummary.errors.push(...result.errors.map(withStore));
+            runSummary.differences.push(...result.differences.map(withStore));
+            priceBlocked.push(...(result.priceBlocked || []).map(withStore));
+            result.missingSkus.forEach(sku => missing.add(sku));
+            result.unmappedSkus.forEach(sku => unmapped.add(sku));
+
+            for (const reason of result.heldReasons || []) {
+                heldReasons.push(this.stores.length > 1 ? `${name}: ${reason}` : reason);
+            }
+            for (const key of Object.keys(dryRunTotals)) {
+                dryRunTotals[key] += result.dryRunTotals ? result.dryRunTotals[key] : 0;
+            }
+        }
+
+        runSummary.missingSkus = Array.from(missing);
+        runSummary.unmappedSkus = Array.from(unmapped);
+        runSummary.priceBlocked = priceBlocked;
+
+        // An unexpected error already marked the whole run as failed
+        if (runSummary.status === 'failed') {
+            return;
+        }
+
+        const results = Object.values(runSummary.stores);
+        const failedStores = results.filter(result => result.status === 'failed').length;
+
+        if (results.length > 0 && failedStores === results.length) {
+            runSummary.status = 'failed';
+        } else if (dryRun) {
+            runSummary.status = 'dry-run';
+            runSummary.dryRunTotals = dryRunTotals;
+        } else if (failedStores > 0) {
+            runSummary.status = 'partial';
+        } else if (heldReasons.length > 0) {
+            runSummary.status = 'held';
+        }
+
+        if (heldReasons.length > 0) {
+            runSummary.heldReasons = heldReasons;
+        }
+    }
+
+    /**
+     * Apply the updates of runs held by the anomaly guard after explicit confirmation
+     * @param {string|null} storeName - Only confirm the run held for this store
+     * @returns {Promise<Object|null>} Run summary, or null if nothing is held or a sync is running
+     */
+    async confirmHeldRun(storeName = null) {
+        const heldRuns = this.store.getHeldRuns().filter(heldRun => !storeName || heldRun.store === storeName);
+
+        if (heldRuns.length === 0) {
+            logger.warn('No held run to confirm');
+            return null;
+        }
+
+        if (!this.acquireRunLock('confirm-held')) {
+            logger.warn('Cannot confirm held run now');
+            return null;
+        }
+
+        const startTime = new Date();
+        const runId = this.store.startRun('confirm-held');
+        this.currentRunId = runId;
+        const runSummary = {
+            runId: runId,
+            status: 'success',
+            heldRunIds: heldRuns.map(heldRun => heldRun.runId),
+            productsChecked: 0,
+            updatesApplied: 0,
+            updatesFailed: 0,
+            errors: [],
+            differences: [],
+            missingSkus: [],
+            unmappedSkus: [],
+            stores: {}
+        };
+
+        try {
+            for (const heldRun of heldRuns) {
+                const storeSummary = this.createStoreSummary();
+                storeSummary.productsChecked = heldRun.updates.length;
+                runSummary.stores[heldRun.store] = storeSummary;
+
+                const store = this.stores.find(candidate => candidate.name === heldRun.store);
+                if (!store) {
+                    logger.error(`Held run ${heldRun.runId} belongs to store "${heldRun.store}", which is no longer configured`);
+                    storeSummary.status = 'failed';
+                    storeSummary.errors.push({ error: `Store "${heldRun.store}" is not configured` });
+                    continue;
+                }
+
+                logger.warn(`${this.storeTag(store)}Applying ${heldRun.updates.length} held updates from run ${heldRun.runId} (confirmed)`);
+
+                try {
+                    const results = await store.woocommerce.batchUpdateStock(heldRun.updates);
+                    this.recordResults(runId, store, heldRun.updates, results, storeSummary);
+                    this.store.clearHeldRun(store.name);
+                    await this.notifier.updatesApplied(store.name, heldRun.updates, results);
+                } catch (error) {
+                    logger.error(`${this.storeTag(store)}Applying held run failed:`, error);
+                    storeSummary.status = 'failed';
+                    storeSummary.errors.push({ error: error.message });
+                }
+            }
+        } finally {
+            this.finalizeRunSummary(runSummary, false);
+            this.store.finishRun(runId, runSummary);
+            this.metrics.observe('stock_sync_run_duration_seconds', { type: 'confirm-held', status: runSummary.status }, (new Date() - startTime) / 1000);
+            this.currentRunId = null;
+            this.releaseRunLock();
+            await this.notifier.runFinished(runSummary);
+        }
+
+        return runSummary;
+    }
+
+    /**
+     * Record the outcome of a batch update in the run summary and the change history
+     * @param {string} runId - Current run ID
+     * @param {Object} store - Store the updates were sent to
+     * @param {Array} updates - Updates that were sent to WooCommerce
+     * @param {Object} results - Results summary from batchUpdateStock()
+     * @param {Object} storeSummary - Store section of the run summary to accumulate into
+     */
+    recordResults(runId, store, updates, results, storeSummary) {
+        const failedIds = new Set(results.errors.map(error => error.productId));
+        const applied = updates.filter(update => !failedIds.has(update.productId));
+
+        this.store.recordChanges(runId, applied.map(update => ({
+            store: store.name,
+            sku: update.sku,
+            productId: update.productId,
+            parentId: update.parentId,
+            oldQuantity: update.currentStock,
+            newQuantity: update.stockQuantity,
+            price: update.price || null
+        })));
+
+        storeSummary.updatesApplied += results.successful;
+        storeSummary.updatesFailed += results.failed;
+        storeSummary.errors.push(...results.errors);
+
+        if (!this.retryQueueEnabled) {
+            return;
+        }
+
+        this.store.clearRetries(store.name, applied.map(update => update.productId));
+
+        if (results.errors.length > 0) {
+            const failures = updates
+                .filter(update => failedIds.has(update.productId))
+                .map(update => ({
+                    update: update,
+                    error: results.errors.find(error => error.productId === update.productId).error
+                }));
+
+            this.queueFailures(store, failures);
+        }
+    }
+
+    /**
+     * Put failed updates on the retry queue and report the ones that ran out of attempts
+     * @param {Object} store - Store the updates belong to
+     * @param {Array} failures - {update, error} pairs
+     */
+    queueFailures(store, failures) {
+        const { queued, deadLettered } = this.store.recordFailedUpdates(store.name, failures, this.retryMaxAttempts);
+
+        if (queued > 0) {
+            logger.warn(`${this.storeTag(store)}${queued} failed updates queued for retry in the next run`);
+        }
+        for (const entry of deadLettered) {
+            logger.error(`${this.storeTag(store)}Giving up on ${entry.sku} after ${entry.attempts} attempts, moved to the dead-letter list: ${entry.lastError}`);
+        }
+    }
+
+    /**
+     * Get the products behind the queued updates of a store. Products already
+     * loaded for this run are reused, others are fetched by SKU. Queued
+     * products that are gone count a failed attempt, except in a dry run.
+     * @param {Object} store - Store whose retry queue is loaded
+     * @param {Array} products - Products already loaded for this run
+     * @returns {Promise<Array>} Products to retry, oldest failure first
+     */
+    async loadQueuedProducts(store, products) {
+        const queued = this.store.getRetryQueue(store.name);
+
+        if (queued.length === 0) {
+            return [];
+        }
+
+        const loaded = new Map(products.map(product => [product.id, product]));
+        const queuedProducts = [];
+        const notFound = [];
+
+        for (const entry of queued) {
+            const product = loaded.get(entry.productId) || await store.woocommerce.getSyncableProductBySku(entry.sku);
+
+            if (product && product.id === entry.productId) {
+                queuedProducts.push(product);
+            } else {
+                // Counts as a failed attempt, so products deleted in WooCommerce end up in the dead-letter list
+                notFound.push({ update: entry, error: 'Product not found in WooCommerce or no longer syncable' });
+            }
+        }
+
+        if (queuedProducts.length > 0) {
+            logger.info(`${this.storeTag(store)}Retrying ${queuedProducts.length} updates that failed in earlier runs`);
+        }
+
+        // A dry run leaves the retry queue as it is, attempts included
+        if (notFound.length > 0 && this.dryRun) {
+            logger.info(`${this.storeTag(store)}Dry run: ${notFound.length} queued updates would count a failed attempt, their products were not found`);
+        } else if (notFound.length > 0) {
+            this.queueFailures(store, notFound);
+        }
+
+        return queuedProducts;
     }
 
     /**
      * Process a batch of products
      * @param {Array} products - Batch of products to process
+     * @param {Object} runSummary - Optional run summary collecting missingSkus, unmappedSkus and priceBlocked
+     * @param {Object} store - Store whose publish and price rules apply, defaults to the first store
      * @returns {Promise<Array>} Array of updates to apply
      */
-    async processBatch(products) {
+    async processBatch(products, runSummary = { missingSkus: [], unmappedSkus: [], priceBlocked: [] }, store = this.stores[0]) {
         const updates = [];
+        const lookups = await this.lookupBarcodes(products);
         
         for (const product of products) {
             try {
-                const localStock = await this.getLocalStock(product.sku);
+                const mapped = this.skuMapper.resolve(product.sku);
+                const lookup = lookups.get(mapped.barcode);
+
+                if (lookup.error) {
+                    throw lookup.error;
+                }
+
+                const stockData = lookup.stockData;
+                const rawStock = stockData ? stockData.stockQuantity : null;
                 
-                if (localStock !== null) {
-                    // Compare stock levels
+                if (rawStock !== null) {
+                    // Apply safety stock rules before comparing, so WooCommerce is compared with what we publish
+                    const published = store.publishRules.apply(product, rawStock);
+                    const localStock = published.quantity;
                     const currentStock = product.stock_quantity || 0;
-                    
-                    if (localStock !== currentStock) {
-                        logger.info(`Stock difference found for ${product.sku}: WooCommerce=${currentStock}, Local=${localStock}`);
-                        
+                    const pricing = store.priceRules.apply(product, stockData);
+
+                    if (pricing && pricing.blocked) {
+                        runSummary.priceBlocked.push(pricing.blocked);
+                    }
+
+                    const priceChange = pricing ? pricing.change : null;
+
+                    if (localStock !== currentStock || priceChange) {
+                        if (localStock !== currentStock) {
+                            const ruleText = published.rule ? `, rule ${published.rule}, raw IPOS=${rawStock}` : '';
+                            logger.info(`${this.storeTag(store)}Stock difference found for ${product.sku}: WooCommerce=${currentStock}, Local=${localStock}${ruleText} [${this.localApi.formatLocations(stockData.locations)}]`);
+                        }
+                        if (priceChange) {
+                            logger.info(`${this.storeTag(store)}Price difference found for ${product.sku}: ${store.priceRules.describe(priceChange)}`);
+                        }
+
                         updates.push({
                             productId: product.id,
+                            parentId: product.parentId,
                             sku: product.sku,
+                            barcode: mapped.barcode,
                             stockQuantity: localStock,
+                            rawStock: rawStock,
+                            ruleApplied: published.rule,
                             currentStock: currentStock,
-                            productName: product.name
+                            price: priceChange,
+                            productName: product.name,
+                            locationBreakdown: this.localApi.formatLocations(stockData.locations)
                         });
                     } else {
                         logger.debug(`Stock in sync for ${product.sku}: ${currentStock}`);
                     }
                 } else {
-                    logger.warn(`Could not get stock for SKU: ${product.sku}`);
+                    logger.warn(`Could not get stock for SKU: ${product.sku}${mapped.barcode !== product.sku ? ` (IPOS barcode ${mapped.barcode})` : ''}`);
+                    runSummary.missingSkus.push(product.sku);
+
+                    // Without an explicit override there is nothing tying this SKU to IPOS
+                    if (mapped.source !== 'override') {
+                        runSummary.unmappedSkus.push(product.sku);
+                    }
                 }
                 
             } catch (error) {
@@ -221,54 +1220,182 @@ class StockSyncService {
     }
 
     /**
-     * Get stock quantity from local API with retry logic
+     * Look up the IPOS stock of a batch of products through the worker pool.
+     * Each barcode is looked up once, even when several products share it.
+     * @param {Array} products - Batch of products
+     * @returns {Promise<Map>} Barcode to {stockData} or {error}
+     */
+    async lookupBarcodes(products) {
+        const barcodes = Array.from(new Set(products.map(product => this.skuMapper.toBarcode(product.sku))));
+
+        const results = await this.lookupPool.map(barcodes, async barcode => {
+            try {
+                return { stockData: await this.getLocalStockData(barcode) };
+            } catch (error) {
+                return { error: error };
+            }
+        });
+
+        return new Map(barcodes.map((barcode, index) => [barcode, results[index]]));
+    }
+
+    /**
+     * Get stock quantity from the bulk stock index when loaded, otherwise
+     * from the local API with retry logic
      * @param {string} sku - Product SKU/barcode
      * @returns {Promise<number|null>} Stock quantity or null if not found
      */
     async getLocalStock(sku) {
-        let retries = 0;
+        const stockData = await this.getLocalStockData(sku);
+        return stockData ? stockData.stockQuantity : null;
+    }
+
+    /**
+     * Get parsed stock data, including the per-location breakdown, from the
+     * bulk stock index when loaded, otherwise from the local API with retry logic.
+     * During a run each barcode is looked up once and shared by all stores.
+     * @param {string} sku - Product SKU/barcode
+     * @returns {Promise<Object|null>} Parsed stock data or null if not found
+     */
+    async getLocalStockData(sku) {
+        if (this.stockCache && this.stockCache.has(sku)) {
+            return this.stockCache.get(sku);
+        }
+
+        const stockData = await this.fetchLocalStockData(sku);
+
+        if (this.stockCache) {
+            this.stockCache.set(sku, stockData);
+        }
+
+        return stockData;
+    }
+
+    /**
+     * Look up stock data in the bulk stock index or the local API, bypassing the per-run cache
+     * @param {string} sku - Product SKU/barcode
+     * @returns {Promise<Object|null>} Parsed stock data or null if not found
+     */
+    async fetchLocalStockData(sku) {
+        if (this.localApi.hasStockIndex()) {
+            const stockData = this.localApi.getIndexedStock(sku);
+
+            if (stockData && stockData.available) {
+                return stockData;
+            }
+
+            logger.debug(`SKU ${sku} not found in local stock index`);
+            return null;
+        }
+
         const maxRetries = config.sync.maxRetries;
-        
-        while (retries < maxRetries) {
-            try {
-                const stockData = await this.localApi.getStockByBarcode(sku);
-                
-                if (stockData && stockData.available) {
-                    return stockData.stockQuantity;
-                } else {
-                    logger.debug(`No stock data available for SKU: ${sku}`);
-                    return null;
-                }
-                
-            } catch (error) {
-                retries++;
-                logger.warn(`Retry ${retries}/${maxRetries} for SKU ${sku}: ${error.message}`);
-                
-                if (retries < maxRetries) {
-                    await this.delay(config.sync.retryDelayMs * retries); // Exponential backoff
-                } else {
-                    logger.error(`Failed to get stock for SKU ${sku} after ${maxRetries} retries`);
-                    return null;
+
+        // lookupStock() reports failed requests as status "error" instead of throwing
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            await this.lookupLimiter.acquire();
+            const result = await this.localApi.lookupStock(sku);
+
+            if (result.status !== 'error') {
+                if (result.stockData && result.stockData.available) {
+                    return result.stockData;
                 }
+                logger.debug(`No stock data available for SKU: ${sku}`);
+                return null;
+            }
+
+            if (attempt < maxRetries) {
+                logger.warn(`Retry ${attempt}/${maxRetries} for SKU ${sku}: ${result.error}`);
+                await this.delay(config.sync.retryDelayMs * attempt); // Exponential backoff
             }
         }
-        
+
+        logger.error(`Failed to get stock for SKU ${sku} after ${maxRetries} attempts`);
         return null;
     }
 
+    /**
+     * Compare a single SKU between every WooCommerce store and the local API
+     * without changing anything
+     * @param {string} sku - Product SKU
+     * @returns {Promise<Object>} Local stock and each store's product side by side
+     */
+    async compareSku(sku) {
+        const barcode = this.skuMapper.toBarcode(sku);
+        const stockData = await this.localApi.getStockByBarcode(barcode);
+        const rawStock = stockData && stockData.available ? stockData.stockQuantity : null;
+        const stores = [];
+
+        for (const store of this.stores) {
+            const product = await store.woocommerce.getSyncableProductBySku(sku);
+            const published = product && rawStock !== null ? store.publishRules.apply(product, rawStock) : null;
+            const localStock = published ? published.quantity : rawStock;
+            const wooStock = product ? product.stock_quantity : null;
+            const pricing = product ? store.priceRules.apply(product, stockData) : null;
+
+            stores.push({
+                store: store.name,
+                name: product ? product.name : null,
+                productId: product ? product.id : null,
+                wooStock: wooStock,
+                wooStockStatus: product ? product.stock_status : null,
+                rule: published ? published.rule : null,
+                localStock: localStock,
+                wooPrice: product ? product.regular_price : null,
+                publishedPrice: pricing && pricing.change ? pricing.change.regular : (product ? product.regular_price : null),
+                inSync: product !== null && localStock !== null && wooStock === localStock && !(pricing && pricing.change)
+            });
+        }
+
+        return {
+            sku: sku,
+            barcode: barcode,
+            rawStock: rawStock,
+            iposPrice: stockData ? stockData.price : null,
+            stores: stores
+        };
+    }
+
     /**
      * Get current sync statistics
      * @returns {Object} Sync statistics
      */
     getStats() {
+        const lastSuccessfulRun = this.store.getLastSuccessfulRun();
+        const lastRun = this.store.getRecentRuns(1)[0] || null;
+        const nextRun = this.scheduler.getNextRun();
+
         return {
-            ...this.syncStats,
+            ...this.store.getTotals(),
             isRunning: this.isRunning,
-            lastSyncTime: this.lastSyncTime,
-            nextSyncTime: this.cronJob ? 'Every ' + config.sync.intervalMinutes + ' minutes' : 'Not scheduled'
+            currentRunId: this.currentRunId,
+            lastSyncTime: lastSuccessfulRun ? lastSuccessfulRun.finishedAt : null,
+            lastRun: lastRun,
+            stores: this.stores.map(store => ({ name: store.name, ...this.store.getStoreStatus(store.name) })),
+            heldRuns: this.summarizeHeldRuns(),
+            orderExport: this.orderExporter.getStatus(),
+            retryQueue: {
+                queued: this.stores.reduce((total, store) => total + this.store.getRetryQueue(store.name).length, 0),
+                deadLetters: this.store.getDeadLetters().length
+            },
+            nextSyncTime: nextRun ? nextRun.toISOString() : null,
+            schedules: this.scheduler.getStatus()
         };
     }
 
+    /**
+     * Summarise the held runs for stats without the full update lists
+     * @returns {Array} Held run summaries, one per store
+     */
+    summarizeHeldRuns() {
+        return this.store.getHeldRuns().map(heldRun => ({
+            store: heldRun.store,
+            runId: heldRun.runId,
+            heldAt: heldRun.heldAt,
+            reasons: heldRun.reasons,
+            updates: heldRun.updates.length
+        }));
+    }
+
     /**
      * Manually trigger a sync (for testing or manual runs)
      */
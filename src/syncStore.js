@@ -0,0 +1,814 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+
+// Per-SKU lists of a run summary, dropped from older runs when the run log is compacted
+const DETAIL_FIELDS = ['differences', 'missingSkus', 'unmappedSkus', 'ambiguousSkus', 'priceBlocked'];
+// Errors kept per run (and per store) once its details are dropped
+const KEPT_ERRORS = 20;
+// Runs with details beyond storage.runDetails before the log is compacted, so it is not rewritten after every run
+const COMPACT_SLACK = 20;
+
+/**
+ * Append-only JSON lines store for sync runs and applied stock changes.
+ * Survives service restarts so stats and per-SKU history are not lost.
+ * The logs are compacted as they grow: runs and changes older than
+ * storage.historyDays are dropped (their totals are kept), and only the
+ * last storage.runDetails runs keep their per-SKU lists.
+ */
+class SyncStore {
+    constructor() {
+        const storage = config.storage || {};
+        this.dataDir = storage.dataDir
+            ? path.resolve(path.join(__dirname, '..'), storage.dataDir)
+            : path.join(__dirname, '..', 'data');
+
+        this.runsFile = path.join(this.dataDir, 'runs.jsonl');
+        this.changesFile = path.join(this.dataDir, 'changes.jsonl');
+        this.heldRunFile = path.join(this.dataDir, 'held-run.json');
+        this.orderExportFile = path.join(this.dataDir, 'order-exports.json');
+        this.retryQueueFile = path.join(this.dataDir, 'retry-queue.json');
+        this.notificationsFile = path.join(this.dataDir, 'notifications.json');
+        this.lockFile = path.join(this.dataDir, 'sync.lock');
+        this.historyDays = storage.historyDays || 90;
+        this.runDetails = storage.runDetails || 100;
+        // Totals of runs removed by compaction, added to getTotals()
+        this.compactedTotals = null;
+
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        this.runs = this.loadRuns();
+        this.runsFileSize = this.getFileSize(this.runsFile);
+        this.markInterruptedRuns();
+    }
+
+    /**
+     * Get the size of a file, or 0 if it does not exist
+     * @param {string} file - Path to the file
+     * @returns {number} Size in bytes
+     */
+    getFileSize(file) {
+        return fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+
+    /**
+     * Reload runs when another process (e.g. a CLI command) appended to the run log
+     */
+    reloadIfChanged() {
+        const size = this.getFileSize(this.runsFile);
+
+        if (size !== this.runsFileSize) {
+            this.runs = this.loadRuns();
+            this.runsFileSize = size;
+        }
+    }
+
+    /**
+     * Read a JSON lines file, skipping lines that cannot be parsed
+     * @param {string} file - Path to the file
+     * @returns {Array} Parsed records
+     */
+    readLines(file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        const records = [];
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (line.trim() === '') {
+                continue;
+            }
+
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn(`Skipping corrupt line in ${path.basename(file)}: ${error.message}`);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Append a record to a JSON lines file
+     * @param {string} file - Path to the file
+     * @param {Object} record - Record to append
+     */
+    appendLine(file, record) {
+        fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+
+        if (file === this.runsFile) {
+            this.runsFileSize = this.getFileSize(this.runsFile);
+        }
+    }
+
+    /**
+     * Rebuild run records from the run event log
+     * @returns {Array} Runs ordered by start time
+     */
+    loadRuns() {
+        const runs = new Map();
+        this.compactedTotals = null;
+
+        for (const event of this.readLines(this.runsFile)) {
+            if (event.event === 'compacted') {
+                this.compactedTotals = event.totals;
+            } else if (event.event === 'run_started') {
+                runs.set(event.runId, {
+                    runId: event.runId,
+                    type: event.type || 'full',
+                    pid: event.pid || null,
+                    startedAt: event.startedAt,
+                    finishedAt: null,
+                    status: 'running'
+                });
+            } else if (event.event === 'run_finished' && runs.has(event.runId)) {
+                const { event: _event, ...summary } = event;
+                Object.assign(runs.get(event.runId), summary);
+            }
+        }
+
+        return Array.from(runs.values());
+    }
+
+    /**
+     * Check whether the process that started a run is still alive
+     * @param {number|null} pid - Process ID recorded with the run
+     * @returns {boolean} True if the process is still running
+     */
+    isProcessAlive(pid) {
+        if (!pid) {
+            return false;
+        }
+
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Take the sync lock shared by every process using this data directory,
+     * e.g. the service and CLI commands. A lock left behind by a process
+     * that is gone is taken over.
+     * @param {string} owner - What holds the lock, e.g. a run type or "orders"
+     * @returns {Object|null} null once the lock is taken, otherwise the holder {pid, owner, since}
+     */
+    acquireLock(owner) {
+        const lock = { pid: process.pid, owner: owner, since: new Date().toISOString() };
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                fs.writeFileSync(this.lockFile, JSON.stringify(lock), { encoding: 'utf8', flag: 'wx' });
+                return null;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const holder = this.readLock();
+            if (holder && holder.pid !== process.pid && this.isProcessAlive(holder.pid)) {
+                return holder;
+            }
+            // A lock file still being written is younger than a few seconds
+            if (!holder && Date.now() - fs.statSync(this.lockFile).mtimeMs < 5000) {
+                return { pid: null, owner: 'unknown', since: null };
+            }
+
+            logger.warn(`Removing stale sync lock${holder ? ` of process ${holder.pid} (${holder.owner})` : ''}`);
+            fs.rmSync(this.lockFile, { force: true });
+        }
+
+        return this.readLock() || { pid: null, owner: 'unknown', since: null };
+    }
+
+    /**
+     * Release the sync lock if this process holds it
+     */
+    releaseLock() {
+        const holder = this.readLock();
+
+        if (holder && holder.pid === process.pid) {
+            fs.rmSync(this.lockFile, { force: true });
+        }
+    }
+
+    /**
+     * Read the sync lock file
+     * @returns {Object|null} Holder {pid, owner, since}, or null if there is no readable lock
+     */
+    readLock() {
+        try {
+            return JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Close runs that were still in progress when the service stopped. Runs
+     * owned by another live process (e.g. the service while a CLI command
+     * starts) are left alone.
+     */
+    markInterruptedRuns() {
+        for (const run of this.runs) {
+            if (run.status === 'running' && !this.isProcessAlive(run.pid)) {
+                logger.warn(`Sync run ${run.runId} started at ${run.startedAt} did not finish, marking as interrupted`);
+                this.finishRun(run.runId, { status: 'interrupted' });
+            }
+        }
+    }
+
+    /**
+     * Record the start of a sync run
+     * @param {string} type - Run type, e.g. 'full'
+     * @returns {string} The new run ID
+     */
+    startRun(type = 'full') {
+        const startedAt = new Date().toISOString();
+        const runId = `run-${Date.now()}`;
+
+        this.appendLine(this.runsFile, { event: 'run_started', runId, type, pid: process.pid, startedAt });
+        this.runs.push({ runId, type, pid: process.pid, startedAt, finishedAt: null, status: 'running' });
+
+        return runId;
+    }
+
+    /**
+     * Record the end of a sync run
+     * @param {string} runId - Run ID returned by startRun()
+     * @param {Object} summary - Run summary (status, productsChecked, updatesApplied, updatesFailed, errors,
+     *                           differences, missingSkus, unmappedSkus, ambiguousSkus)
+     */
+    finishRun(runId, summary) {
+        const record = {
+            status: 'success',
+            productsChecked: 0,
+            updatesApplied: 0,
+            updatesFailed: 0,
+            errors: [],
+            differences: [],
+            missingSkus: [],
+            unmappedSkus: [],
+            ambiguousSkus: [],
+            ...summary,
+            finishedAt: new Date().toISOString()
+        };
+
+        this.appendLine(this.runsFile, { event: 'run_finished', runId, ...record });
+
+        const run = this.runs.find(entry => entry.runId === runId);
+        if (run) {
+            Object.assign(run, record);
+        }
+
+        this.compactIfNeeded();
+    }
+
+    /**
+     * Check whether a run still holds its per-SKU lists
+     * @param {Object} run - Run record
+     * @returns {boolean} True if any detail list is non-empty
+     */
+    hasDetails(run) {
+        return DETAIL_FIELDS.some(field => Array.isArray(run[field]) && run[field].length > 0);
+    }
+
+    /**
+     * Compact the logs once there are runs past storage.historyDays or too
+     * many runs with details
+     */
+    compactIfNeeded() {
+        const cutoff = Date.now() - this.historyDays * 24 * 3600 * 1000;
+        const expired = this.runs.some(run => run.status !== 'running' && Date.parse(run.startedAt) < cutoff);
+        const detailed = this.runs.filter(run => this.hasDetails(run)).length;
+
+        if (expired || detailed > this.runDetails + COMPACT_SLACK) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite runs.jsonl without the runs older than storage.historyDays,
+     * whose totals are carried over in a "compacted" record, and drop the
+     * per-SKU lists of all but the last storage.runDetails runs. The last
+     * successful run of each type is always kept whole, it feeds the stats.
+     * changes.jsonl loses the changes older than storage.historyDays.
+     */
+    compact() {
+        this.reloadIfChanged();
+
+        const cutoff = Date.now() - this.historyDays * 24 * 3600 * 1000;
+        const lastSuccessful = new Set();
+        for (const run of this.runs) {
+            if (run.status === 'success') {
+                lastSuccessful.add(run.type);
+            }
+        }
+        const keepWhole = new Set(Array.from(lastSuccessful, type => this.getLastSuccessfulRun(type)));
+
+        const totals = { ...this.getTotals() };
+        const kept = this.runs.filter(run => keepWhole.has(run) || run.status === 'running' || Date.parse(run.startedAt) >= cutoff);
+        const removed = this.runs.filter(run => !kept.includes(run));
+
+        // The kept runs' own totals are counted again on load
+        const keptTotals = this.sumTotals(kept);
+        for (const key of Object.keys(totals)) {
+            totals[key] -= keptTotals[key];
+        }
+
+        const detailsFrom = kept.length - this.runDetails;
+        const lines = [JSON.stringify({ event: 'compacted', at: new Date().toISOString(), totals })];
+
+        kept.forEach((run, index) => {
+            const { runId, type, pid, startedAt, ...summary } = index < detailsFrom && !keepWhole.has(run) ? this.stripDetails(run) : run;
+            lines.push(JSON.stringify({ event: 'run_started', runId, type, pid, startedAt }));
+            if (summary.status !== 'running') {
+                lines.push(JSON.stringify({ event: 'run_finished', runId, ...summary }));
+            }
+        });
+
+        this.rewriteFile(this.runsFile, lines);
+        this.runs = this.loadRuns();
+        this.runsFileSize = this.getFileSize(this.runsFile);
+
+        if (fs.existsSync(this.changesFile)) {
+            const changes = this.readLines(this.changesFile).filter(change => Date.parse(change.appliedAt) >= cutoff);
+            this.rewriteFile(this.changesFile, changes.map(change => JSON.stringify(change)));
+        }
+
+        logger.info(`Compacted the sync history: ${removed.length} runs older than ${this.historyDays} days removed, ${kept.length} runs kept`);
+    }
+
+    /**
+     * Copy of a run without its per-SKU lists and with the errors cut short
+     * @param {Object} run - Run record
+     * @returns {Object} Trimmed run record
+     */
+    stripDetails(run) {
+        const strip = summary => {
+            const trimmed = { ...summary };
+            for (const field of DETAIL_FIELDS) {
+                if (Array.isArray(trimmed[field])) {
+                    trimmed[field] = [];
+                }
+            }
+            if (Array.isArray(trimmed.errors)) {
+                trimmed.errors = trimmed.errors.slice(0, KEPT_ERRORS);
+            }
+            return trimmed;
+        };
+
+        const trimmed = strip(run);
+        if (run.stores) {
+            trimmed.stores = {};
+            for (const [name, result] of Object.entries(run.stores)) {
+                trimmed.stores[name] = strip(result);
+            }
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Replace the contents of a JSON lines file in one step
+     * @param {string} file - Path to the file
+     * @param {Array<string>} lines - Serialised records
+     */
+    rewriteFile(file, lines) {
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, lines.map(line => `${line}\n`).join(''), 'utf8');
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Record stock changes applied to WooCommerce during a run
+     * @param {string} runId - Run ID the changes belong to
+     * @param {Array} changes - Array of {store, sku, productId, parentId, oldQuantity, newQuantity, price}
+     */
+    recordChanges(runId, changes) {
+        const appliedAt = new Date().toISOString();
+
+        for (const change of changes) {
+            this.appendLine(this.changesFile, {
+                runId,
+                store: change.store || null,
+                sku: change.sku,
+                productId: change.productId,
+                parentId: change.parentId || null,
+                oldQuantity: change.oldQuantity,
+                newQuantity: change.newQuantity,
+                ...(change.price ? { oldPrice: change.price.oldRegular, newPrice: change.price.regular } : {}),
+                ...(change.price && change.price.sale !== undefined ? { oldSalePrice: change.price.oldSale, newSalePrice: change.price.sale } : {}),
+                appliedAt
+            });
+        }
+    }
+
+    /**
+     * Get the most recent runs, newest first
+     * @param {number} limit - Maximum number of runs to return
+     * @returns {Array} Run records
+     */
+    getRecentRuns(limit = 20) {
+        this.reloadIfChanged();
+        return this.runs.slice(-limit).reverse();
+    }
+
+    /**
+     * Get the most recent successful run of a type
+     * @param {string} type - Run type, defaults to full syncs
+     * @returns {Object|null} Run record or null
+     */
+    getLastSuccessfulRun(type = 'full') {
+        this.reloadIfChanged();
+        for (let i = this.runs.length - 1; i >= 0; i--) {
+            if (this.runs[i].status === 'success' && this.runs[i].type === type) {
+                return this.runs[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the applied stock changes for a SKU, newest first
+     * @param {string} sku - Product SKU
+     * @param {number} limit - Maximum number of changes to return
+     * @returns {Array} Change records
+     */
+    getSkuHistory(sku, limit = 50) {
+        return this.readLines(this.changesFile)
+            .filter(change => change.sku === sku)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Read all held runs from disk, keyed by store name
+     * @returns {Object} Store name -> held run
+     */
+    readHeldRuns() {
+        if (!fs.existsSync(this.heldRunFile)) {
+            return {};
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.heldRunFile, 'utf8'));
+
+            // Files written before multi-store support hold a single run
+            if (Array.isArray(data.updates)) {
+                return { [data.store || 'default']: data };
+            }
+
+            return data;
+        } catch (error) {
+            logger.error(`Could not read held run from ${this.heldRunFile}: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Write the held runs, removing the file when nothing is held
+     * @param {Object} heldRuns - Store name -> held run
+     */
+    writeHeldRuns(heldRuns) {
+        if (Object.keys(heldRuns).length === 0) {
+            if (fs.existsSync(this.heldRunFile)) {
+                fs.unlinkSync(this.heldRunFile);
+            }
+            return;
+        }
+
+        fs.writeFileSync(this.heldRunFile, JSON.stringify(heldRuns, null, 2), 'utf8');
+    }
+
+    /**
+     * Save a run whose updates were held back by the anomaly guard. Replaces
+     * any run previously held for the same store.
+     * @param {Object} heldRun - {runId, store, reasons, metrics, updates}
+     */
+    holdRun(heldRun) {
+        const heldRuns = this.readHeldRuns();
+        heldRuns[heldRun.store] = { ...heldRun, heldAt: new Date().toISOString() };
+        this.writeHeldRuns(heldRuns);
+    }
+
+    /**
+     * Get the runs currently held by the anomaly guard
+     * @returns {Array} Held runs, one per store
+     */
+    getHeldRuns() {
+        return Object.values(this.readHeldRuns());
+    }
+
+    /**
+     * Get the run currently held by the anomaly guard for a store
+     * @param {string} store - Store name
+     * @returns {Object|null} Held run or null
+     */
+    getHeldRun(store) {
+        return this.readHeldRuns()[store] || null;
+    }
+
+    /**
+     * Remove the held run of a store, or all held runs
+     * @param {string|null} store - Store name, or null for all stores
+     */
+    clearHeldRun(store = null) {
+        const heldRuns = store ? this.readHeldRuns() : {};
+        delete heldRuns[store];
+        this.writeHeldRuns(heldRuns);
+    }
+
+    /**
+     * Get the latest result of one store, taken from the per-store section of the run summaries
+     * @param {string} store - Store name
+     * @returns {Object} {lastRun, lastSuccessAt} where lastRun is the store's part of the newest finished run
+     */
+    getStoreStatus(store) {
+        this.reloadIfChanged();
+        let lastRun = null;
+        let lastSuccessAt = null;
+
+        for (let i = this.runs.length - 1; i >= 0 && (!lastRun || !lastSuccessAt); i--) {
+            const run = this.runs[i];
+            const result = run.stores && run.stores[store];
+
+            if (!result) {
+                continue;
+            }
+
+            if (!lastRun) {
+                lastRun = { runId: run.runId, type: run.type, finishedAt: run.finishedAt, ...result };
+            }
+            if (!lastSuccessAt && run.type === 'full' && result.status === 'success') {
+                lastSuccessAt = run.finishedAt;
+            }
+        }
+
+        return { lastRun, lastSuccessAt };
+    }
+
+    /**
+     * Load the order export state
+     * @returns {Object} {checkpoints, orders, lastRun} where checkpoints maps store name to an ISO
+     *                   timestamp and orders maps "store:orderId" to its export status
+     */
+    loadOrderExports() {
+        const empty = { checkpoints: {}, orders: {}, archived: {}, lastRun: null };
+
+        if (!fs.existsSync(this.orderExportFile)) {
+            return empty;
+        }
+
+        try {
+            return { ...empty, ...JSON.parse(fs.readFileSync(this.orderExportFile, 'utf8')) };
+        } catch (error) {
+            // Never fall back to an empty state here, that would export every order again
+            throw new Error(`Could not read order export state from ${this.orderExportFile}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the order export state
+     * @param {Object} state - State returned by loadOrderExports()
+     */
+    saveOrderExports(state) {
+        const tempFile = `${this.orderExportFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(state, null, 2), 'utf8');
+        fs.renameSync(tempFile, this.orderExportFile);
+    }
+
+    /**
+     * Read the retry queue and dead-letter list
+     * @returns {Object} {queue, deadLetters}, each keyed by store name, then product ID
+     */
+    readRetryQueue() {
+        const empty = { queue: {}, deadLetters: {} };
+
+        if (!fs.existsSync(this.retryQueueFile)) {
+            return empty;
+        }
+
+        try {
+            return { ...empty, ...JSON.parse(fs.readFileSync(this.retryQueueFile, 'utf8')) };
+        } catch (error) {
+            logger.error(`Could not read retry queue from ${this.retryQueueFile}: ${error.message}`);
+            return empty;
+        }
+    }
+
+    /**
+     * Write the retry queue and dead-letter list
+     * @param {Object} data - {queue, deadLetters}
+     */
+    writeRetryQueue(data) {
+        fs.writeFileSync(this.retryQueueFile, JSON.stringify(data, null, 2), 'utf8');
+    }
+
+    /**
+     * Read the notification state, shared by the service and CLI commands so
+     * restarts do not repeat alerts
+     * @returns {Object} {connections, sent, outOfStock, lastSummaryAt} where connections maps a
+     *                   connection name to its last known state and sent maps an alert key to
+     *                   {sentAt, suppressed}
+     */
+    readNotifications() {
+        const empty = { connections: {}, sent: {}, outOfStock: [], lastSummaryAt: null };
+
+        if (!fs.existsSync(this.notificationsFile)) {
+            return empty;
+        }
+
+        try {
+            return { ...empty, ...JSON.parse(fs.readFileSync(this.notificationsFile, 'utf8')) };
+        } catch (error) {
+            logger.error(`Could not read notification state from ${this.notificationsFile}: ${error.message}`);
+            return empty;
+        }
+    }
+
+    /**
+     * Write the notification state
+     * @param {Object} state - State returned by readNotifications()
+     */
+    writeNotifications(state) {
+        fs.writeFileSync(this.notificationsFile, JSON.stringify(state, null, 2), 'utf8');
+    }
+
+    /**
+     * Record updates that WooCommerce rejected. Each failure counts as one
+     * attempt; after maxAttempts the update moves to the dead-letter list.
+     * @param {string} store - Store name
+     * @param {Array} failures - {update, error} pairs
+     * @param {number} maxAttempts - Attempts before an update is dead-lettered
+     * @returns {Object} {queued, deadLettered} with the number of updates left on the queue
+     *                   and the entries dead-lettered by this call
+     */
+    recordFailedUpdates(store, failures, maxAttempts) {
+        const data = this.readRetryQueue();
+        const queue = data.queue[store] || {};
+        const deadLetters = data.deadLetters[store] || {};
+        const deadLettered = [];
+        let queued = 0;
+        const now = new Date().toISOString();
+
+        for (const { update, error } of failures) {
+            const id = String(update.productId);
+            const previous = queue[id] || deadLetters[id] || null;
+            const entry = {
+                productId: update.productId,
+                parentId: update.parentId || null,
+                sku: update.sku,
+                productName: update.productName,
+                stockQuantity: update.stockQuantity,
+                price: update.price || null,
+                attempts: previous ? previous.attempts + 1 : 1,
+                firstFailedAt: previous ? previous.firstFailedAt : now,
+                lastFailedAt: now,
+                lastError: error
+            };
+
+            if (deadLetters[id] || entry.attempts >= maxAttempts) {
+                if (!deadLetters[id]) {
+                    deadLettered.push(entry);
+                }
+                delete queue[id];
+                deadLetters[id] = entry;
+            } else {
+                queue[id] = entry;
+                queued++;
+            }
+        }
+
+        data.queue[store] = queue;
+        data.deadLetters[store] = deadLetters;
+        this.writeRetryQueue(data);
+
+        return { queued, deadLettered };
+    }
+
+    /**
+     * Remove products from the retry queue and the dead-letter list, e.g.
+     * after they were updated successfully or found in sync
+     * @param {string} store - Store name
+     * @param {Array<number>} productIds - WooCommerce product or variation IDs
+     */
+    clearRetries(store, productIds) {
+        const data = this.readRetryQueue();
+        let changed = false;
+
+        for (const productId of productIds) {
+            const id = String(productId);
+            for (const list of [data.queue[store], data.deadLetters[store]]) {
+                if (list && list[id]) {
+                    delete list[id];
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            this.writeRetryQueue(data);
+        }
+    }
+
+    /**
+     * Get the queued updates of a store, oldest failure first
+     * @param {string} store - Store name
+     * @returns {Array} Retry queue entries
+     */
+    getRetryQueue(store) {
+        return Object.values(this.readRetryQueue().queue[store] || {})
+            .sort((a, b) => a.firstFailedAt.localeCompare(b.firstFailedAt));
+    }
+
+    /**
+     * Get dead-lettered updates
+     * @param {string|null} store - Store name, or null for all stores
+     * @returns {Array} Dead-letter entries, each with its store name
+     */
+    getDeadLetters(store = null) {
+        const deadLetters = this.readRetryQueue().deadLetters;
+
+        return Object.entries(deadLetters)
+            .filter(([name]) => !store || name === store)
+            .flatMap(([name, entries]) => Object.values(entries).map(entry => ({ store: name, ...entry })));
+    }
+
+    /**
+     * Empty the dead-letter list of a store, or of all stores
+     * @param {string|null} store - Store name, or null for all stores
+     * @returns {number} Number of entries removed
+     */
+    clearDeadLetters(store = null) {
+        const data = this.readRetryQueue();
+        const count = this.getDeadLetters(store).length;
+
+        if (store) {
+            delete data.deadLetters[store];
+        } else {
+            data.deadLetters = {};
+        }
+
+        this.writeRetryQueue(data);
+        return count;
+    }
+
+    /**
+     * Aggregate totals over all recorded runs
+     * @returns {Object} Totals in the shape of the former in-memory syncStats
+     */
+    getTotals() {
+        this.reloadIfChanged();
+        const totals = this.sumTotals(this.runs);
+
+        // Runs removed by compaction still count
+        if (this.compactedTotals) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += this.compactedTotals[key] || 0;
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Add up the totals of some runs
+     * @param {Array} runs - Run records
+     * @returns {Object} {totalSyncs, totalProducts, totalUpdates, totalErrors}
+     */
+    sumTotals(runs) {
+        const totals = {
+            totalSyncs: 0,
+            totalProducts: 0,
+            totalUpdates: 0,
+            totalErrors: 0
+        };
+
+        for (const run of runs) {
+            if (run.status === 'success' || run.status === 'partial') {
+                totals.totalSyncs++;
+            } else if (run.status === 'failed') {
+                totals.totalErrors++;
+            }
+
+            totals.totalProducts += run.productsChecked || 0;
+            totals.totalUpdates += run.updatesApplied || 0;
+            totals.totalErrors += run.updatesFailed || 0;
+        }
+
+        return totals;
+    }
+}
+
+module.exports = SyncStore;
@@ -0,0 +1,54 @@
+const axios = require('axios');
+const SecretProvider = require('./secretProvider');
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Notification channel posting to a Telegram chat through a bot
+ */
+class TelegramChannel {
+    /**
+     * @param {Object} options - Channel settings {name, botToken, chatId, apiUrl}
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.chatId = String(options.chatId);
+
+        const botToken = SecretProvider.getShared().resolve(options.botToken, `notifications.${this.name}.botToken`);
+        if (!botToken) {
+            throw new Error(`botToken is not set in the config or as secret notifications.${this.name}.botToken`);
+        }
+
+        this.client = axios.create({
+            baseURL: `${(options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '')}/bot${botToken}`,
+            timeout: 15000
+        });
+    }
+
+    /**
+     * Send a notification
+     * @param {Object} message - Message {event, subject, text, data}
+     * @returns {Promise<void>} Resolves once Telegram accepted the message
+     */
+    async send(message) {
+        let text = `${message.subject}\n\n${message.text}`;
+        if (text.length > MAX_MESSAGE_LENGTH) {
+            text = `${text.slice(0, MAX_MESSAGE_LENGTH)}\n…`;
+        }
+
+        try {
+            await this.client.post('/sendMessage', {
+                chat_id: this.chatId,
+                text: text,
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            // The request URL holds the bot token, so only Telegram's own description is passed on
+            const description = error.response && error.response.data && error.response.data.description;
+            throw new Error(description ? `Telegram: ${description}` : `Telegram request failed (${error.code || error.message.replace(/bot[^/]+/, 'bot***')})`);
+        }
+    }
+}
+
+module.exports = TelegramChannel;
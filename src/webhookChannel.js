@@ -0,0 +1,49 @@
+const axios = require('axios');
+const SecretProvider = require('./secretProvider');
+const config = require('./config');
+
+/**
+ * Notification channel posting a JSON document to any URL, e.g. a chat
+ * integration, an incident tool or an automation platform
+ */
+class WebhookChannel {
+    /**
+     * @param {Object} options - Channel settings {name, url, token, headers}
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.url = options.url;
+        this.headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'IPOS-WooCommerce-Stock-Sync/1.0.0',
+            ...(options.headers || {})
+        };
+
+        const token = SecretProvider.getShared().resolve(options.token, `notifications.${this.name}.token`);
+        if (token) {
+            this.headers.Authorization = `Bearer ${token}`;
+        }
+    }
+
+    /**
+     * Send a notification
+     * @param {Object} message - Message {event, subject, text, data}
+     * @returns {Promise<void>} Resolves once the receiver answered with a 2xx status
+     */
+    async send(message) {
+        try {
+            await axios.post(this.url, {
+                event: message.event,
+                service: (config.service && config.service.name) || null,
+                subject: message.subject,
+                text: message.text,
+                data: message.data,
+                sentAt: new Date().toISOString()
+            }, { headers: this.headers, timeout: 15000 });
+        } catch (error) {
+            throw new Error(error.response ? `${this.url} answered ${error.response.status}` : `${this.url}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = WebhookChannel;
@@ -1,13 +1,28 @@
 const axios = require('axios');
 const logger = require('./logger');
-const config = require('../config.json');
+const AdaptiveRateLimiter = require('./adaptiveRateLimiter');
+const SecretProvider = require('./secretProvider');
+const Metrics = require('./metrics');
+const config = require('./config');
 
 class WooCommerceService {
-    constructor() {
-        this.baseUrl = `${config.woocommerce.url}/wp-json/wc/v3`;
-        this.consumerKey = config.woocommerce.consumer_key;
-        this.consumerSecret = config.woocommerce.consumer_secret;
-        this.timeout = config.woocommerce.timeout;
+    /**
+     * @param {Object} storeConfig - One store from config.woocommerce, defaults to the first store
+     */
+    constructor(storeConfig = WooCommerceService.getStoreConfigs()[0]) {
+        this.name = storeConfig.name;
+        this.baseUrl = `${storeConfig.url}/wp-json/wc/v3`;
+        // Credentials missing from the config come from the secret provider
+        const secrets = SecretProvider.getShared();
+        this.consumerKey = secrets.resolve(storeConfig.consumer_key, `woocommerce.${this.name}.consumer_key`);
+        this.consumerSecret = secrets.resolve(storeConfig.consumer_secret, `woocommerce.${this.name}.consumer_secret`);
+        if (!this.consumerKey || !this.consumerSecret) {
+            throw new Error(`WooCommerce store ${this.name}: consumer_key and consumer_secret must be set in the config or as secrets woocommerce.${this.name}.consumer_key / woocommerce.${this.name}.consumer_secret`);
+        }
+        this.timeout = storeConfig.timeout;
+        // WooCommerce accepts at most 100 items per batch request
+        this.batchSize = Math.min(storeConfig.batchSize || 100, 100);
+        this.filters = this.buildFilters(storeConfig.filters || {});
         
         // Create axios instance with default configuration
         this.client = axios.create({
@@ -22,15 +37,96 @@ class WooCommerceService {
                 'User-Agent': 'IPOS-WooCommerce-Stock-Sync/1.0.0'
             }
         });
+
+        // Request timing goes first, so it sees each attempt and not the wait for a slot
+        Metrics.getShared().instrument(this.client, 'woocommerce', this.name);
+
+        // Every request to this store, reads and writes, is paced and retried by one limiter
+        this.rateLimiter = new AdaptiveRateLimiter(storeConfig.rateLimit || {}, this.name);
+        this.rateLimiter.attach(this.client);
     }
 
     /**
-     * Get all products from WooCommerce with their SKUs
+     * Read the configured stores. config.woocommerce is either a single store
+     * object or a list of named stores.
+     * @returns {Array} Store configs, each with a unique name
+     */
+    static getStoreConfigs() {
+        const stores = Array.isArray(config.woocommerce)
+            ? config.woocommerce
+            : [{ name: 'default', ...config.woocommerce }];
+
+        if (stores.length === 0) {
+            throw new Error('config.woocommerce must define at least one store');
+        }
+
+        const names = new Set();
+        return stores.map((store, index) => {
+            const name = store.name || (stores.length === 1 ? 'default' : `store${index + 1}`);
+
+            if (names.has(name)) {
+                throw new Error(`config.woocommerce: duplicate store name "${name}"`);
+            }
+            names.add(name);
+
+            return { ...store, name: name };
+        });
+    }
+
+    /**
+     * Normalise the product filters of a store
+     * @param {Object} filters - Store filters from config
+     * @returns {Object} Lower-cased include/exclude lists for categories and tags
+     */
+    buildFilters(filters) {
+        const normalize = list => (list || []).map(value => String(value).trim().toLowerCase());
+
+        return {
+            includeCategories: normalize(filters.includeCategories),
+            excludeCategories: normalize(filters.excludeCategories),
+            includeTags: normalize(filters.includeTags),
+            excludeTags: normalize(filters.excludeTags)
+        };
+    }
+
+    /**
+     * Check whether a product is synced to this store according to its filters
+     * @param {Object} product - Mapped product
+     * @returns {boolean} True if the product passes the filters
+     */
+    isIncluded(product) {
+        const hasTerm = (terms, list) => (terms || []).some(term =>
+            list.includes(String(term.id)) ||
+            list.includes(String(term.slug || '').toLowerCase()) ||
+            list.includes(String(term.name || '').toLowerCase())
+        );
+        const { includeCategories, excludeCategories, includeTags, excludeTags } = this.filters;
+
+        if (includeCategories.length > 0 && !hasTerm(product.categories, includeCategories)) {
+            return false;
+        }
+        if (includeTags.length > 0 && !hasTerm(product.tags, includeTags)) {
+            return false;
+        }
+
+        return !hasTerm(product.categories, excludeCategories) && !hasTerm(product.tags, excludeTags);
+    }
+
+    /**
+     * Get all products from WooCommerce with their SKUs, including the
+     * variations of variable products
+     * @param {Object} options - Options
+     * @param {boolean} options.includeWithoutSku - Also return products without a SKU (for reporting)
+     * @param {Object} options.query - Extra /products query parameters, e.g. {category: 15}
      * @returns {Promise<Array>} Array of products with SKU and stock information
      */
-    async getAllProducts() {
+    async getAllProducts(options = {}) {
+        const includeWithoutSku = Boolean(options.includeWithoutSku);
+        const query = options.query || {};
+        const matching = Object.keys(query).length > 0 ? ` matching ${JSON.stringify(query)}` : '';
+
         try {
-            logger.info('Fetching all products from WooCommerce...');
+            logger.info(`Fetching all products${matching} from WooCommerce store ${this.name}...`);
             
             let allProducts = [];
             let page = 1;
@@ -42,7 +138,7 @@ class WooCommerceService {
                         per_page: perPage,
                         page: page,
                         status: 'publish', // Only get published products
-                        manage_stock: true // Only get products that manage stock
+                        ...query
                     }
                 });
 
@@ -50,14 +146,19 @@ class WooCommerceService {
                     break; // No more products
                 }
 
-                // Filter products that have SKUs
-                const productsWithSku = response.data.filter(product => 
-                    product.sku && product.sku.trim() !== ''
-                );
+                let pageItems = [];
+                for (const product of response.data) {
+                    if (product.type === 'variable') {
+                        pageItems = pageItems.concat(await this.getSyncableVariationItems(product, includeWithoutSku));
+                    } else if (this.managesStock(product) && (includeWithoutSku || this.hasSku(product))) {
+                        pageItems.push(this.mapProduct(product));
+                    }
+                }
 
-                allProducts = allProducts.concat(productsWithSku);
+                pageItems = pageItems.filter(item => this.isIncluded(item));
+                allProducts = allProducts.concat(pageItems);
                 
-                logger.info(`Fetched page ${page}: ${response.data.length} products (${productsWithSku.length} with SKU)`);
+                logger.info(`Fetched page ${page}: ${response.data.length} products (${pageItems.length} syncable items with SKU)`);
                 
                 // If we got less than perPage, we're at the end
                 if (response.data.length < perPage) {
@@ -67,16 +168,8 @@ class WooCommerceService {
                 page++;
             }
 
-            logger.info(`Total products fetched: ${allProducts.length} products with SKUs`);
-            return allProducts.map(product => ({
-                id: product.id,
-                name: product.name,
-                sku: product.sku,
-                stock_quantity: product.stock_quantity || 0,
-                manage_stock: product.manage_stock,
-                stock_status: product.stock_status,
-                type: product.type
-            }));
+            logger.info(`Total products fetched: ${allProducts.length} products${includeWithoutSku ? '' : ' with SKUs'}`);
+            return allProducts;
 
         } catch (error) {
             logger.error('Error fetching products from WooCommerce:', error);
@@ -88,23 +181,233 @@ class WooCommerceService {
         }
     }
 
+    /**
+     * Get the syncable products in any of the given categories or tags, or
+     * modified after a point in time. Store filters still apply.
+     * @param {Object} criteria - Criteria
+     * @param {Array<string>} criteria.categories - Category IDs, slugs or names
+     * @param {Array<string>} criteria.tags - Tag IDs, slugs or names
+     * @param {Date|null} criteria.modifiedAfter - Products modified after this time
+     * @returns {Promise<Array>} Mapped products, each once
+     */
+    async getProductsMatching(criteria) {
+        const queries = [];
+
+        for (const id of await this.resolveTermIds('categories', criteria.categories || [])) {
+            queries.push({ category: id });
+        }
+        for (const id of await this.resolveTermIds('tags', criteria.tags || [])) {
+            queries.push({ tag: id });
+        }
+        if (criteria.modifiedAfter) {
+            queries.push({ modified_after: criteria.modifiedAfter.toISOString(), dates_are_gmt: true });
+        }
+
+        const products = new Map();
+        for (const query of queries) {
+            for (const product of await this.getAllProducts({ query: query })) {
+                products.set(`${product.parentId || ''}:${product.id}`, product);
+            }
+        }
+
+        return Array.from(products.values());
+    }
+
+    /**
+     * Find the IDs of product categories or tags
+     * @param {string} taxonomy - 'categories' or 'tags'
+     * @param {Array<string>} values - Term IDs, slugs or names
+     * @returns {Promise<Array<number>>} Term IDs
+     */
+    async resolveTermIds(taxonomy, values) {
+        const ids = [];
+
+        for (const value of values) {
+            const text = String(value).trim();
+
+            if (/^\d+$/.test(text)) {
+                ids.push(Number(text));
+                continue;
+            }
+
+            const response = await this.client.get(`/products/${taxonomy}`, {
+                params: { search: text, per_page: 100 }
+            });
+            const lower = text.toLowerCase();
+            const term = (response.data || []).find(candidate =>
+                String(candidate.slug).toLowerCase() === lower || String(candidate.name).toLowerCase() === lower
+            );
+
+            if (!term) {
+                throw new Error(`WooCommerce store ${this.name} has no product ${taxonomy === 'categories' ? 'category' : 'tag'} "${text}"`);
+            }
+            ids.push(term.id);
+        }
+
+        return ids;
+    }
+
+    /**
+     * Collect the syncable items of a variable product. The parent itself is
+     * only synced when it manages stock at product level; variations that
+     * inherit stock from the parent (manage_stock === 'parent') are covered
+     * by the parent, variations managing their own stock are synced directly
+     * and variations without stock management are left alone.
+     * @param {Object} product - Variable product from the /products endpoint
+     * @param {boolean} includeWithoutSku - Also return items without a SKU
+     * @returns {Promise<Array>} Mapped items for the parent and/or its variations
+     */
+    async getSyncableVariationItems(product, includeWithoutSku = false) {
+        const items = [];
+
+        if (this.managesStock(product)) {
+            if (includeWithoutSku || this.hasSku(product)) {
+                items.push(this.mapProduct(product));
+            } else {
+                logger.warn(`Variable product ${product.id} manages stock at parent level but has no SKU, skipping`);
+            }
+        }
+
+        const variations = await this.getProductVariations(product.id);
+
+        for (const variation of variations) {
+            if (variation.manage_stock === 'parent') {
+                logger.debug(`Variation ${variation.id} of product ${product.id} uses parent stock, skipping`);
+                continue;
+            }
+
+            if (!this.managesStock(variation)) {
+                logger.debug(`Variation ${variation.id} of product ${product.id} does not manage stock, skipping`);
+                continue;
+            }
+
+            if (includeWithoutSku || this.hasSku(variation)) {
+                items.push(this.mapProduct(variation, product));
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Get all variations of a variable product
+     * @param {number} productId - WooCommerce parent product ID
+     * @returns {Promise<Array>} Raw variation objects
+     */
+    async getProductVariations(productId) {
+        let variations = [];
+        let page = 1;
+        const perPage = 100;
+
+        while (true) {
+            const response = await this.client.get(`/products/${productId}/variations`, {
+                params: {
+                    per_page: perPage,
+                    page: page
+                }
+            });
+
+            if (!response.data || response.data.length === 0) {
+                break;
+            }
+
+            variations = variations.concat(response.data);
+
+            if (response.data.length < perPage) {
+                break;
+            }
+
+            page++;
+        }
+
+        logger.debug(`Fetched ${variations.length} variations for product ID ${productId}`);
+        return variations;
+    }
+
+    /**
+     * Check whether a product or variation manages its own stock. Items the
+     * shop left unmanaged are never synced, so the sync does not switch
+     * stock management on for them.
+     * @param {Object} item - Raw product or variation object
+     * @returns {boolean} True if manage_stock is true
+     */
+    managesStock(item) {
+        return item.manage_stock === true;
+    }
+
+    /**
+     * Check whether a product or variation has a usable SKU
+     * @param {Object} item - Raw product or variation object
+     * @returns {boolean} True if the item has a non-empty SKU
+     */
+    hasSku(item) {
+        return Boolean(item.sku && item.sku.trim() !== '');
+    }
+
+    /**
+     * Map a raw product or variation to the shape used by the sync
+     * @param {Object} item - Raw product or variation object
+     * @param {Object|null} parent - Parent product when item is a variation
+     * @returns {Object} Mapped product
+     */
+    mapProduct(item, parent = null) {
+        let name = item.name;
+
+        if (parent) {
+            const options = (item.attributes || []).map(attribute => attribute.option).filter(Boolean);
+            name = options.length > 0 ? `${parent.name} - ${options.join(', ')}` : (item.name || parent.name);
+        }
+
+        return {
+            id: item.id,
+            parentId: parent ? parent.id : null,
+            name: name,
+            sku: item.sku || '',
+            stock_quantity: item.stock_quantity || 0,
+            manage_stock: item.manage_stock,
+            stock_status: item.stock_status,
+            regular_price: item.regular_price || '',
+            sale_price: item.sale_price || '',
+            type: parent ? 'variation' : item.type,
+            // Variations inherit the parent's categories and tags
+            categories: this.mapTerms((parent || item).categories),
+            tags: this.mapTerms((parent || item).tags)
+        };
+    }
+
+    /**
+     * Reduce category or tag objects to the fields used for rule matching
+     * @param {Array} terms - Raw category or tag objects
+     * @returns {Array} Array of {id, slug, name}
+     */
+    mapTerms(terms) {
+        return (terms || []).map(term => ({ id: term.id, slug: term.slug, name: term.name }));
+    }
+
+    /**
+     * Build the REST endpoint for a product or a variation
+     * @param {number} productId - WooCommerce product or variation ID
+     * @param {number|null} parentId - Parent product ID for variations
+     * @returns {string} Endpoint path relative to the API base URL
+     */
+    getProductEndpoint(productId, parentId = null) {
+        return parentId ? `/products/${parentId}/variations/${productId}` : `/products/${productId}`;
+    }
+
     /**
      * Update stock quantity for a specific product
      * @param {number} productId - WooCommerce product ID
      * @param {number} stockQuantity - New stock quantity
+     * @param {number|null} parentId - Parent product ID when updating a variation
      * @returns {Promise<boolean>} True if update was successful
      */
-    async updateProductStock(productId, stockQuantity) {
+    async updateProductStock(productId, stockQuantity, parentId = null) {
         try {
             logger.info(`Updating stock for product ID ${productId} to quantity: ${stockQuantity}`);
             
-            const updateData = {
-                stock_quantity: stockQuantity,
-                manage_stock: true,
-                stock_status: stockQuantity > 0 ? 'instock' : 'outofstock'
-            };
+            const updateData = this.buildStockPayload(stockQuantity);
 
-            const response = await this.client.put(`/products/${productId}`, updateData);
+            const response = await this.client.put(this.getProductEndpoint(productId, parentId), updateData);
             
             if (response.data && response.data.id) {
                 logger.info(`Successfully updated stock for product ID ${productId}`);
@@ -127,8 +430,41 @@ class WooCommerceService {
     }
 
     /**
-     * Update stock for multiple products in batch
-     * @param {Array} updates - Array of {productId, stockQuantity} objects
+     * Build the stock fields sent to WooCommerce for a stock update
+     * @param {number} stockQuantity - New stock quantity
+     * @returns {Object} Update payload without the item ID
+     */
+    buildStockPayload(stockQuantity) {
+        return {
+            stock_quantity: stockQuantity,
+            stock_status: stockQuantity > 0 ? 'instock' : 'outofstock'
+        };
+    }
+
+    /**
+     * Build the fields sent to WooCommerce for a sync update: the stock
+     * fields plus the prices when the update carries a price change
+     * @param {Object} update - Update computed by processBatch()
+     * @returns {Object} Update payload without the item ID
+     */
+    buildUpdatePayload(update) {
+        const payload = this.buildStockPayload(update.stockQuantity);
+
+        if (update.price) {
+            payload.regular_price = update.price.regular;
+            if (update.price.sale !== undefined) {
+                payload.sale_price = update.price.sale;
+            }
+        }
+
+        return payload;
+    }
+
+    /**
+     * Update stock for multiple products in batch using the WooCommerce
+     * batch endpoints. Simple products go to /products/batch, variations to
+     * /products/{parentId}/variations/batch, in chunks of up to 100 items.
+     * @param {Array} updates - Array of {productId, parentId, stockQuantity, price} objects
      * @returns {Promise<Object>} Results summary
      */
     async batchUpdateStock(updates) {
@@ -141,49 +477,148 @@ class WooCommerceService {
             errors: []
         };
 
-        // Process updates with a small delay to respect API rate limits
-        for (let i = 0; i < updates.length; i++) {
-            const update = updates[i];
-            
-            try {
-                const success = await this.updateProductStock(update.productId, update.stockQuantity);
-                
-                if (success) {
-                    results.successful++;
-                } else {
-                    results.failed++;
-                    results.errors.push({
-                        productId: update.productId,
-                        sku: update.sku,
-                        error: 'Update failed'
-                    });
-                }
-            } catch (error) {
-                results.failed++;
-                results.errors.push({
-                    productId: update.productId,
-                    sku: update.sku,
-                    error: error.message
-                });
+        // Group updates by the batch endpoint they belong to
+        const groups = new Map();
+        for (const update of updates) {
+            const endpoint = update.parentId ? `/products/${update.parentId}/variations/batch` : '/products/batch';
+            if (!groups.has(endpoint)) {
+                groups.set(endpoint, []);
             }
+            groups.get(endpoint).push(update);
+        }
 
-            // Small delay to respect API rate limits (WooCommerce allows ~100 requests per minute)
-            if (i < updates.length - 1) {
-                await this.delay(700); // ~700ms delay between requests
+        const chunks = [];
+        for (const [endpoint, groupUpdates] of groups) {
+            for (let i = 0; i < groupUpdates.length; i += this.batchSize) {
+                chunks.push({ endpoint, updates: groupUpdates.slice(i, i + this.batchSize) });
             }
         }
 
+        // Pacing between chunks is left to the rate limiter
+        for (const chunk of chunks) {
+            await this.sendBatchChunk(chunk.endpoint, chunk.updates, results);
+        }
+
         logger.info(`Batch update completed: ${results.successful} successful, ${results.failed} failed`);
         return results;
     }
 
+    /**
+     * Send one chunk of updates to a batch endpoint and record per-item results
+     * @param {string} endpoint - Batch endpoint path
+     * @param {Array} updates - Updates in this chunk (at most 100)
+     * @param {Object} results - Results summary to accumulate into
+     */
+    async sendBatchChunk(endpoint, updates, results) {
+        const recordFailure = (update, message) => {
+            results.failed++;
+            results.errors.push({
+                productId: update.productId,
+                sku: update.sku,
+                error: message
+            });
+        };
+
+        try {
+            logger.info(`Sending ${updates.length} stock updates to ${endpoint}`);
+
+            const response = await this.client.post(endpoint, {
+                update: updates.map(update => ({
+                    id: update.productId,
+                    ...this.buildUpdatePayload(update)
+                }))
+            });
+
+            const items = (response.data && Array.isArray(response.data.update)) ? response.data.update : [];
+
+            for (let i = 0; i < updates.length; i++) {
+                const update = updates[i];
+                // Match on ID where possible, fall back to position in the response
+                const item = items.find(entry => entry && entry.id === update.productId) || items[i];
+
+                if (!item) {
+                    recordFailure(update, 'No result returned by batch endpoint');
+                } else if (item.error) {
+                    logger.error(`Failed to update stock for product ID ${update.productId} (${update.sku}): ${item.error.message || item.error.code}`);
+                    recordFailure(update, item.error.message || item.error.code || 'Update failed');
+                } else {
+                    const priceText = update.price ? `, regular price: ${update.price.regular}` : '';
+                    logger.info(`Successfully updated stock for product ID ${update.productId} to quantity: ${update.stockQuantity}${priceText}`);
+                    results.successful++;
+                }
+            }
+
+        } catch (error) {
+            logger.error(`Error sending batch update to ${endpoint}:`, error);
+            
+            if (error.response) {
+                logger.error(`API Error: ${error.response.status} - ${error.response.statusText}`);
+                logger.error('Response data:', error.response.data);
+            }
+
+            for (const update of updates) {
+                recordFailure(update, error.message);
+            }
+        }
+    }
+
+    /**
+     * Get orders with the given statuses modified after a point in time
+     * @param {Object} options - Options
+     * @param {Array<string>} options.statuses - Order statuses, e.g. ['processing', 'completed']
+     * @param {string} options.modifiedAfter - ISO 8601 timestamp (UTC)
+     * @returns {Promise<Array>} Raw order objects, oldest first
+     */
+    async getOrders(options) {
+        try {
+            let orders = [];
+            let page = 1;
+            const perPage = 100;
+
+            while (true) {
+                const response = await this.client.get('/orders', {
+                    params: {
+                        status: options.statuses.join(','),
+                        modified_after: options.modifiedAfter,
+                        dates_are_gmt: true,
+                        orderby: 'date',
+                        order: 'asc',
+                        per_page: perPage,
+                        page: page
+                    }
+                });
+
+                if (!response.data || response.data.length === 0) {
+                    break;
+                }
+
+                orders = orders.concat(response.data);
+
+                if (response.data.length < perPage) {
+                    break;
+                }
+
+                page++;
+            }
+
+            return orders;
+
+        } catch (error) {
+            logger.error(`Error fetching orders from WooCommerce store ${this.name}:`, error);
+            if (error.response) {
+                logger.error(`API Error: ${error.response.status} - ${error.response.statusText}`);
+            }
+            throw error;
+        }
+    }
+
     /**
      * Test connection to WooCommerce API
      * @returns {Promise<boolean>} True if connection is successful
      */
     async testConnection() {
         try {
-            logger.info('Testing connection to WooCommerce API...');
+            logger.info(`Testing connection to WooCommerce store ${this.name}...`);
             
             const response = await this.client.get('/products', { 
                 params: { per_page: 1 }
@@ -234,6 +669,61 @@ class WooCommerceService {
         }
     }
 
+    /**
+     * Get a product or variation by SKU in the shape used by the sync
+     * @param {string} sku - Product SKU
+     * @returns {Promise<Object|null>} Mapped product or null if not found or not syncable
+     */
+    async getSyncableProductBySku(sku) {
+        const product = await this.getProductBySku(sku);
+
+        if (!product) {
+            logger.warn(`No WooCommerce product found for SKU ${sku}`);
+            return null;
+        }
+
+        if (product.type === 'variation' && product.parent_id) {
+            if (product.manage_stock === 'parent') {
+                logger.warn(`Variation with SKU ${sku} uses parent stock, sync the parent product instead`);
+                return null;
+            }
+
+            if (!this.managesStock(product)) {
+                logger.warn(`Variation with SKU ${sku} does not manage stock, skipping`);
+                return null;
+            }
+
+            const response = await this.client.get(`/products/${product.parent_id}`);
+            return this.filterSyncable(this.mapProduct(product, response.data));
+        }
+
+        if (product.type === 'variable' && !this.managesStock(product)) {
+            logger.warn(`Variable product with SKU ${sku} does not manage stock at parent level`);
+            return null;
+        }
+
+        if (!this.managesStock(product)) {
+            logger.warn(`Product with SKU ${sku} does not manage stock, skipping`);
+            return null;
+        }
+
+        return this.filterSyncable(this.mapProduct(product));
+    }
+
+    /**
+     * Drop a single product that the store filters exclude
+     * @param {Object} product - Mapped product
+     * @returns {Object|null} The product, or null when filtered out
+     */
+    filterSyncable(product) {
+        if (!this.isIncluded(product)) {
+            logger.info(`SKU ${product.sku} is excluded by the filters of store ${this.name}`);
+            return null;
+        }
+
+        return product;
+    }
+
     /**
      * Utility function to add delay
      * @param {number} ms - Milliseconds to delay
@@ -0,0 +1,41 @@
+/**
+ * Runs an async worker over a list of items with bounded concurrency.
+ * Results keep the order of the input, whatever order the work finishes in.
+ */
+class WorkerPool {
+    /**
+     * @param {number} concurrency - Maximum number of workers running at once
+     */
+    constructor(concurrency = 1) {
+        this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+    }
+
+    /**
+     * Run the worker for every item
+     * @param {Array} items - Items to process
+     * @param {Function} worker - Async function (item, index) returning the result for an item
+     * @returns {Promise<Array>} Results in the same order as the items
+     */
+    async map(items, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        // Each runner takes the next unclaimed item until none are left
+        const runner = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        };
+
+        const runners = [];
+        for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+            runners.push(runner());
+        }
+
+        await Promise.all(runners);
+        return results;
+    }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,43 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdaptiveRateLimiter = require('../src/adaptiveRateLimiter');
+
+const limiter = new AdaptiveRateLimiter();
+
+test('reads a reset given in seconds', () => {
+    assert.equal(limiter.parseReset('30'), 30000);
+    assert.equal(limiter.parseReset('1.5'), 1500);
+    assert.equal(limiter.parseReset(' 0 '), 0);
+});
+
+test('reads a reset given as a Unix timestamp', () => {
+    const ms = limiter.parseReset(String(Math.floor(Date.now() / 1000) + 60));
+
+    assert.ok(ms > 58000 && ms <= 60000, `${ms}`);
+    assert.equal(limiter.parseReset(String(Math.floor(Date.now() / 1000) - 60)), 0);
+});
+
+test('reads a reset given as an HTTP date', () => {
+    const ms = limiter.parseReset(new Date(Date.now() + 120000).toUTCString());
+
+    assert.ok(ms > 118000 && ms <= 120000, `${ms}`);
+});
+
+test('ignores missing and unreadable values', () => {
+    assert.equal(limiter.parseReset(null), null);
+    assert.equal(limiter.parseReset('soon'), null);
+});
+
+test('reads the first header present', () => {
+    assert.equal(limiter.readHeader({ 'ratelimit-reset': '5' }, ['x-ratelimit-reset', 'ratelimit-reset']), '5');
+    assert.equal(limiter.readHeader({ 'x-ratelimit-reset': '' }, ['x-ratelimit-reset']), null);
+});
+
+test('retries throttling, server errors and network errors only', () => {
+    assert.ok(limiter.isRetryable({ response: { status: 429 } }));
+    assert.ok(limiter.isRetryable({ response: { status: 503 } }));
+    assert.ok(limiter.isRetryable({ code: 'ECONNRESET' }));
+    assert.ok(!limiter.isRetryable({ response: { status: 400 } }));
+    assert.ok(!limiter.isRetryable({ code: 'ERR_INVALID_URL' }));
+});
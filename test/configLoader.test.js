@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/configLoader');
+
+const example = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.example.json'), 'utf8'));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Load the example config with some settings changed
+ * @param {Function} change - Changes the parsed example config in place
+ * @returns {ConfigLoader} Loader after loading the file
+ */
+function load(change) {
+    const config = JSON.parse(JSON.stringify(example));
+    change(config);
+
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(config), 'utf8');
+    const loader = new ConfigLoader(file, {});
+    loader.load();
+    return loader;
+}
+
+test('loads the example config', () => {
+    assert.equal(load(() => {}).config.sync.batchSize, example.sync.batchSize);
+});
+
+test('accepts location weights of 0 and more', () => {
+    const loader = load(config => {
+        config.localApi.locations = { weights: { CABANG: 0.5, GUDANG: 0 } };
+    });
+
+    assert.deepEqual(loader.config.localApi.locations.weights, { CABANG: 0.5, GUDANG: 0 });
+});
+
+test('rejects location weights that are not numbers or negative', () => {
+    assert.throws(() => load(config => {
+        config.localApi.locations = { weights: { CABANG: 'half' } };
+    }), /localApi\.locations\.weights\.CABANG: must be number/);
+
+    assert.throws(() => load(config => {
+        config.localApi.locations = { weights: { CABANG: -1 } };
+    }), /localApi\.locations\.weights\.CABANG: must be at least 0/);
+});
+
+test('reports unknown settings as warnings', () => {
+    const loader = load(config => {
+        config.sync.batchSise = 20;
+    });
+
+    assert.deepEqual(loader.warnings, ['sync.batchSise is not a known setting and is ignored (typo?)']);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CronExpression = require('../src/cronExpression');
+
+const at = (hour, minute, day = 19, month = 10, weekday = 1) => ({ minute, hour, day, month, weekday });
+
+test('parses lists, ranges and steps', () => {
+    const cron = new CronExpression('*/15 8-10,20 * * *');
+
+    assert.deepEqual(Array.from(cron.fields.minute), [0, 15, 30, 45]);
+    assert.deepEqual(Array.from(cron.fields.hour), [8, 9, 10, 20]);
+});
+
+test('a start value with a step runs to the end of the range', () => {
+    assert.deepEqual(Array.from(new CronExpression('5/20 * * * *').fields.minute), [5, 25, 45]);
+});
+
+test('accepts month and weekday names, and 7 as Sunday', () => {
+    const cron = new CronExpression('0 0 * jan,dec sun');
+
+    assert.deepEqual(Array.from(cron.fields.month), [1, 12]);
+    assert.ok(cron.fields.weekday.has(0));
+    assert.ok(new CronExpression('0 0 * * 7').fields.weekday.has(0));
+});
+
+test('expands macros', () => {
+    assert.ok(new CronExpression('@daily').matches(at(0, 0)));
+    assert.ok(!new CronExpression('@daily').matches(at(0, 1)));
+});
+
+test('matches day or weekday when both are restricted', () => {
+    const cron = new CronExpression('0 9 1 * mon');
+
+    assert.ok(cron.matches(at(9, 0, 1, 10, 4)));
+    assert.ok(cron.matches(at(9, 0, 19, 10, 1)));
+    assert.ok(!cron.matches(at(9, 0, 20, 10, 2)));
+});
+
+test('matches day and weekday when only one is restricted', () => {
+    const cron = new CronExpression('0 9 * * mon-fri');
+
+    assert.ok(cron.matches(at(9, 0, 19, 10, 1)));
+    assert.ok(!cron.matches(at(9, 0, 18, 10, 0)));
+});
+
+test('rejects invalid expressions', () => {
+    assert.throws(() => new CronExpression('* * * *'), /must have 5 fields/);
+    assert.throws(() => new CronExpression('60 * * * *'), /between 0 and 59/);
+    assert.throws(() => new CronExpression('* * * * funday'), /not valid in the weekday field/);
+    assert.throws(() => new CronExpression('*/0 * * * *'), /invalid step/);
+    assert.throws(() => new CronExpression('30-10 * * * *'), /backwards/);
+});
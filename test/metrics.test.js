@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Metrics = require('../src/metrics');
+
+test('renders counters and gauges with labels', () => {
+    const metrics = new Metrics();
+    metrics.counter('sync_updates_total', 'Updates applied');
+    metrics.gauge('sync_queue', 'Queued updates');
+
+    metrics.inc('sync_updates_total', { store: 'retail' });
+    metrics.inc('sync_updates_total', { store: 'retail' }, 2);
+    metrics.set('sync_queue', {}, 4);
+
+    assert.equal(metrics.render(), [
+        '# HELP sync_updates_total Updates applied',
+        '# TYPE sync_updates_total counter',
+        'sync_updates_total{store="retail"} 3',
+        '# HELP sync_queue Queued updates',
+        '# TYPE sync_queue gauge',
+        'sync_queue 4',
+        ''
+    ].join('\n'));
+});
+
+test('renders histograms with cumulative buckets', () => {
+    const metrics = new Metrics();
+    metrics.histogram('sync_duration_seconds', 'Run duration', [1, 5]);
+
+    metrics.observe('sync_duration_seconds', {}, 0.5);
+    metrics.observe('sync_duration_seconds', {}, 3);
+    metrics.observe('sync_duration_seconds', {}, 10);
+
+    const lines = metrics.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+        'sync_duration_seconds_bucket{le="1"} 1',
+        'sync_duration_seconds_bucket{le="5"} 2',
+        'sync_duration_seconds_bucket{le="+Inf"} 3',
+        'sync_duration_seconds_sum 13.5',
+        'sync_duration_seconds_count 3'
+    ]);
+});
+
+test('escapes label values and formats special numbers', () => {
+    const metrics = new Metrics();
+
+    assert.equal(metrics.formatLabels({ name: 'a "b"\\c\nd' }), '{name="a \\"b\\"\\\\c\\nd"}');
+    assert.equal(metrics.formatValue(NaN), 'NaN');
+    assert.equal(metrics.formatValue(-Infinity), '-Inf');
+});
+
+test('runs collectors before rendering', () => {
+    const metrics = new Metrics();
+    metrics.gauge('sync_running', 'Whether a sync is running');
+    metrics.addCollector(() => metrics.set('sync_running', {}, 1));
+
+    assert.match(metrics.render(), /^sync_running 1$/m);
+});
+
+test('refuses undeclared metrics', () => {
+    assert.throws(() => new Metrics().inc('missing_total'), /not declared/);
+});
@@ -0,0 +1,67 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PriceRules = require('../src/priceRules');
+
+const product = (regular, sale = '') => ({ sku: 'A1', regular_price: regular, sale_price: sale });
+
+test('does nothing when price sync is off', () => {
+    assert.equal(new PriceRules({ enabled: false }).apply(product('100'), { price: 120 }), null);
+});
+
+test('applies the store multiplier and rounding', () => {
+    const rules = new PriceRules({ enabled: true, rounding: { mode: 'up', step: 500 } }, 1.1);
+
+    assert.equal(rules.convert(15000), '16500');
+    assert.equal(rules.convert(15100), '17000');
+    assert.equal(new PriceRules({ enabled: true, decimals: 2 }).convert(12.5), '12.50');
+});
+
+test('rejects unknown rounding modes', () => {
+    assert.throws(() => new PriceRules({ enabled: true, rounding: { mode: 'banker' } }), /unknown mode/);
+});
+
+test('returns null when prices are in sync', () => {
+    assert.equal(new PriceRules({ enabled: true }).apply(product('100'), { price: 100 }), null);
+});
+
+test('changes the regular price within the limit', () => {
+    const result = new PriceRules({ enabled: true, maxChangePercent: 30 }).apply(product('100'), { price: 120 });
+
+    assert.deepEqual(result, { change: { regular: '120', oldRegular: '100' }, blocked: null });
+});
+
+test('blocks a regular price change over the limit', () => {
+    const result = new PriceRules({ enabled: true, maxChangePercent: 30 }).apply(product('100'), { price: 200 });
+
+    assert.equal(result.change, null);
+    assert.equal(result.blocked.field, 'regular_price');
+    assert.equal(result.blocked.changePercent, 100);
+});
+
+test('blocks a sale price change over the limit', () => {
+    const rules = new PriceRules({ enabled: true, salePriceField: 'promo', maxChangePercent: 30 });
+    const result = rules.apply(product('100', '90'), { price: 100, salePrice: 10 });
+
+    assert.equal(result.change, null);
+    assert.equal(result.blocked.field, 'sale_price');
+});
+
+test('starts and ends sales without the limit', () => {
+    const rules = new PriceRules({ enabled: true, salePriceField: 'promo', maxChangePercent: 30 });
+
+    assert.equal(rules.apply(product('100'), { price: 100, salePrice: 20 }).change.sale, '20');
+    assert.equal(rules.apply(product('100', '90'), { price: 100, salePrice: null }).change.sale, '');
+});
+
+test('ignores a promo price that is not below the regular price', () => {
+    const rules = new PriceRules({ enabled: true, salePriceField: 'promo' });
+
+    assert.equal(rules.apply(product('100'), { price: 100, salePrice: 120 }), null);
+});
+
+test('describes changes', () => {
+    const rules = new PriceRules({ enabled: true });
+
+    assert.equal(rules.describe({ regular: '16000', oldRegular: '15000', sale: '', oldSale: '14000' }), '15000 -> 16000, sale 14000 -> none');
+});
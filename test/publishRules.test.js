@@ -0,0 +1,53 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PublishRules = require('../src/publishRules');
+
+const product = {
+    sku: 'A1',
+    categories: [{ id: 15, slug: 'shoes', name: 'Shoes' }],
+    tags: [{ id: 7, slug: 'clearance', name: 'Clearance' }]
+};
+
+test('publishes the raw quantity without rules', () => {
+    assert.deepEqual(new PublishRules([]).apply(product, 12), { quantity: 12, rule: null });
+});
+
+test('applies buffer, percentage, maximum and minimum in order', () => {
+    const rules = new PublishRules([{ buffer: 2, percentage: 50, maxPublish: 4 }]);
+
+    assert.equal(rules.apply(product, 12).quantity, 4);
+    assert.equal(rules.apply(product, 7).quantity, 2);
+    assert.equal(new PublishRules([{ minToShow: 3 }]).apply(product, 2).quantity, 0);
+    assert.equal(new PublishRules([{ buffer: 5 }]).apply(product, 2).quantity, 0);
+});
+
+test('uses the most specific matching rule', () => {
+    const rules = new PublishRules([
+        { buffer: 1 },
+        { scope: 'category', match: ['shoes'], buffer: 2 },
+        { scope: 'tag', match: ['Clearance'], buffer: 3 },
+        { scope: 'sku', match: ['b2'], buffer: 4 }
+    ]);
+
+    assert.equal(rules.apply(product, 10).quantity, 7);
+    assert.equal(rules.apply({ ...product, sku: 'B2' }, 10).quantity, 6);
+    assert.equal(rules.apply({ sku: 'C3', categories: [], tags: [] }, 10).quantity, 9);
+});
+
+test('matches categories by ID, slug or name', () => {
+    for (const match of ['15', 'shoes', 'SHOES']) {
+        assert.equal(new PublishRules([{ scope: 'category', match: [match], buffer: 1 }]).apply(product, 5).quantity, 4);
+    }
+});
+
+test('rejects invalid rules', () => {
+    assert.throws(() => new PublishRules([{ scope: 'brand' }]), /unknown scope/);
+    assert.throws(() => new PublishRules([{ scope: 'sku' }]), /non-empty "match" list/);
+});
+
+test('describes the applied rule', () => {
+    const rules = new PublishRules([{ name: 'safety', buffer: 2, percentage: 50 }]);
+
+    assert.equal(rules.apply(product, 10).rule, 'safety: buffer 2, 50%');
+});
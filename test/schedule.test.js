@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Schedule = require('../src/schedule');
+
+const next = (options, after) => new Schedule(options).nextRun(new Date(after)).toISOString();
+
+test('parses intervals', () => {
+    assert.equal(Schedule.parseInterval(15), 15);
+    assert.equal(Schedule.parseInterval('15m'), 15);
+    assert.equal(Schedule.parseInterval('2h'), 120);
+    assert.equal(Schedule.parseInterval('1h30m'), 90);
+    assert.equal(Schedule.parseInterval('every 90 minutes'), 90);
+    assert.throws(() => Schedule.parseInterval('soon'), /not understood/);
+    assert.throws(() => Schedule.parseInterval('2d'), /between 1 minute and 24 hours/);
+});
+
+test('needs either cron or every, and a known job', () => {
+    assert.throws(() => new Schedule({ timezone: 'UTC' }), /either "cron" or "every"/);
+    assert.throws(() => new Schedule({ cron: '* * * * *', every: '5m', timezone: 'UTC' }), /either "cron" or "every"/);
+    assert.throws(() => new Schedule({ every: '5m', job: 'backup', timezone: 'UTC' }), /unknown job/);
+    assert.throws(() => new Schedule({ every: '5m', timezone: 'Mars/Olympus' }), /unknown timezone/);
+});
+
+test('finds the next cron run in the schedule timezone', () => {
+    assert.equal(next({ cron: '0 9 * * *', timezone: 'Asia/Jakarta' }, '2026-10-19T00:00:00Z'), '2026-10-19T02:00:00.000Z');
+    assert.equal(next({ cron: '0 9 * * *', timezone: 'Asia/Jakarta' }, '2026-10-19T02:00:00Z'), '2026-10-20T02:00:00.000Z');
+});
+
+test('counts intervals from midnight', () => {
+    assert.equal(next({ every: '45m', timezone: 'UTC' }, '2026-10-19T00:50:00Z'), '2026-10-19T01:30:00.000Z');
+    assert.equal(next({ every: '45m', timezone: 'UTC' }, '2026-10-19T23:50:00Z'), '2026-10-20T00:00:00.000Z');
+});
+
+test('does not skip a run on a day that loses an hour', () => {
+    assert.equal(next({ cron: '30 0 * * 1', timezone: 'America/New_York' }, '2026-03-07T06:00:00Z'), '2026-03-09T04:30:00.000Z');
+    assert.equal(next({ cron: '0 3 * * *', timezone: 'America/New_York' }, '2026-03-08T05:00:00Z'), '2026-03-08T07:00:00.000Z');
+});
+
+test('runs once on a day that gains an hour', () => {
+    assert.equal(next({ cron: '30 0 * * *', timezone: 'America/New_York' }, '2026-10-31T12:00:00Z'), '2026-11-01T04:30:00.000Z');
+    assert.equal(next({ cron: '30 0 * * *', timezone: 'America/New_York' }, '2026-11-01T12:00:00Z'), '2026-11-02T05:30:00.000Z');
+});
+
+test('waits for blackout windows to end and never runs inside one', () => {
+    const blackouts = [{ from: '22:00', to: '06:00' }];
+
+    assert.equal(next({ every: '1h', timezone: 'UTC', blackouts }, '2026-10-19T21:30:00Z'), '2026-10-20T06:00:00.000Z');
+    assert.equal(new Schedule({ cron: '0 23 * * *', timezone: 'UTC', blackouts }).nextRun(new Date('2026-10-19T12:00:00Z')), null);
+});
+
+test('applies blackouts only on their days', () => {
+    const blackouts = [{ from: '00:00', to: '12:00', days: ['sun'] }];
+
+    assert.equal(next({ cron: '0 9 * * *', timezone: 'UTC', blackouts }, '2026-10-17T12:00:00Z'), '2026-10-19T09:00:00.000Z');
+});
+
+test('gives up on expressions that never match', () => {
+    assert.equal(new Schedule({ cron: '0 0 31 2 *', timezone: 'UTC' }).nextRun(new Date('2026-01-01T00:00:00Z')), null);
+});
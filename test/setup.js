@@ -0,0 +1,12 @@
+const path = require('path');
+const ConfigLoader = require('../src/configLoader');
+
+// Modules read the shared config when they are required; the tests use
+// config.example.json, without environment overrides, instead of config.json
+if (!ConfigLoader.shared) {
+    const loader = new ConfigLoader(path.join(__dirname, '..', 'config.example.json'), {});
+    loader.load();
+    ConfigLoader.shared = loader;
+}
+
+require('../src/logger').silent = true;
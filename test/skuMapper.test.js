@@ -0,0 +1,83 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SkuMapper = require('../src/skuMapper');
+
+const tempDirs = [];
+
+test.after(() => {
+    for (const dir of tempDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+/**
+ * Create a temporary directory removed after the tests
+ * @returns {string} Directory path
+ */
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sku-mapper-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * A mapper without overrides that saves to a temporary directory
+ * @returns {SkuMapper} Mapper
+ */
+function createMapper() {
+    const mapper = new SkuMapper();
+
+    mapper.overrides = new Map();
+    mapper.overridesFile = path.join(createTempDir(), 'sku-mapping.json');
+    return mapper;
+}
+
+/**
+ * Write a CSV file to a temporary directory
+ * @param {string} text - File contents
+ * @returns {string} File path
+ */
+function writeCsv(text) {
+    const file = path.join(createTempDir(), 'mapping.csv');
+    fs.writeFileSync(file, text, 'utf8');
+    return file;
+}
+
+test('parses quoted fields, escaped quotes and both separators', () => {
+    const rows = createMapper().parseCsv('sku;barcode\r\n"A,1","12""3"\nB;456\n\n');
+
+    assert.deepEqual(rows, [['sku', 'barcode'], ['A,1', '12"3'], ['B', '456']]);
+});
+
+test('imports a CSV with a byte order mark and a header', () => {
+    const mapper = createMapper();
+    const result = mapper.importCsv(writeCsv('\uFEFFsku,barcode\nA1,111\nB2,222\n'));
+
+    assert.equal(result.imported, 2);
+    assert.equal(mapper.toBarcode('A1'), '111');
+    assert.deepEqual(JSON.parse(fs.readFileSync(mapper.overridesFile, 'utf8')), { A1: '111', B2: '222' });
+});
+
+test('skips SKUs listed with different barcodes', () => {
+    const mapper = createMapper();
+    const result = mapper.importCsv(writeCsv('A1,111\nA1,999\nB2,222\n'));
+
+    assert.equal(result.imported, 1);
+    assert.deepEqual(result.conflicts, [{ sku: 'A1', barcodes: ['111', '999'] }]);
+});
+
+test('exports a CSV that imports back unchanged', () => {
+    const mapper = createMapper();
+    mapper.overrides = new Map([['A;1', '111'], ['B,2', '22"2'], ['C3', '333']]);
+
+    const csv = mapper.exportCsv();
+    assert.equal(csv, 'sku,barcode\n"A;1",111\n"B,2","22""2"\nC3,333\n');
+
+    const copy = createMapper();
+    copy.importCsv(writeCsv(csv));
+    assert.deepEqual(Array.from(copy.overrides), Array.from(mapper.overrides));
+});